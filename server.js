@@ -1,18 +1,57 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import morgan from 'morgan';
 import { connectToDb } from './src/db/connect.js';
-import animeRouter from './src/routes/anime.js';
-import mangaRouter from './src/routes/manga.js';
-import usersRouter from './src/routes/users.js';
-import watchlistsRouter from './src/routes/watchlists.js';
-import { serveSwagger, setupSwagger, swaggerSpec } from './swagger.js';
+import { createApp } from './src/app.js';
+import { createLruStore } from './src/middleware/cache.js';
+import { createMemoryStore, createMongoStore } from './src/middleware/rateLimit.js';
 
-const app = express();
 const PORT = process.env.PORT || 8080;
 
-app.set('trust proxy', 1);
+const MINUTE = 60_000;
+
+/**
+ * Requests per window for each caller (JWT subject, else IP), by route group.
+ * The longest matching prefix wins; paths outside every group are not limited.
+ */
+const RATE_LIMITS = {
+  '/anime': { windowMs: MINUTE, read: 300, write: 60 },
+  '/manga': { windowMs: MINUTE, read: 300, write: 60 },
+  '/users': { windowMs: MINUTE, read: 120, write: 30 },
+  '/watchlists': { windowMs: MINUTE, read: 300, write: 60 },
+  '/me': { windowMs: MINUTE, read: 300, write: 60 },
+  '/search': { windowMs: MINUTE, read: 60 },
+  '/franchises': { windowMs: MINUTE, read: 120 },
+  '/audit': { windowMs: MINUTE, read: 60 },
+  '/webhooks': { windowMs: MINUTE, read: 60, write: 30 },
+  // Each request opens a long-lived stream; this only caps reconnect storms
+  '/events': { windowMs: MINUTE, read: 30 },
+  // One request can cover many resources; POSTed queries count as writes
+  '/graphql': { windowMs: MINUTE, read: 120, write: 120 },
+  '/admin': { windowMs: MINUTE, read: 60, write: 30 },
+  // Bulk transfers are heavy: a handful per quarter hour
+  '/anime/import': { windowMs: 15 * MINUTE, write: 5 },
+  '/anime/export': { windowMs: 15 * MINUTE, read: 10 },
+  '/manga/import': { windowMs: 15 * MINUTE, write: 5 },
+  '/manga/export': { windowMs: 15 * MINUTE, read: 10 }
+};
+
+// memory: per instance (default) | mongo: shared by every instance
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+/**
+ * Cached reads by route group (src/middleware/cache.js): kept for `ttlMs` or
+ * until a write to one of their collections; browsers may reuse public ones for
+ * `maxAge` seconds.
+ */
+const CACHE_GROUPS = {
+  '/anime': { ttlMs: 10 * MINUTE, maxAge: 30 },
+  '/manga': { ttlMs: 10 * MINUTE, maxAge: 30 },
+  '/franchises': { ttlMs: 10 * MINUTE, maxAge: 30, collections: ['relations', 'anime', 'manga'] },
+  // Per caller; ?expand= embeds titles and users
+  '/watchlists': { ttlMs: MINUTE, private: true, collections: ['watchlists', 'anime', 'manga', 'users'] }
+};
+
+// Responses kept per instance; 0 turns the cache off
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES ?? 1000);
 
 // Fail fast for missing DB config
 for (const key of ['MONGODB_URI', 'DB_NAME']) {
@@ -21,46 +60,21 @@ for (const key of ['MONGODB_URI', 'DB_NAME']) {
     process.exit(1);
   }
 }
-
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '1mb' }));
-app.use(morgan('dev'));
-
-// Health + root
-app.get('/healthz', (_req, res) => res.status(200).json({ status: 'ok' }));
-app.get('/', (_req, res) => res.send('Anime & Manga Explorer API up'));
-
-// Routes (two from W05 + two new for W06)
-app.use('/anime', animeRouter);
-app.use('/manga', mangaRouter);
-app.use('/users', usersRouter);
-app.use('/watchlists', watchlistsRouter);
-
-// Swagger UI + raw spec
-app.use('/api-docs', serveSwagger, setupSwagger);
-app.get('/swagger.json', (_req, res) => {
-  res.setHeader('Content-Type', 'application/json');
-  res.send(swaggerSpec);
-});
-
-// 404 handler
-app.use((req, res) => res.status(404).json({ message: 'Not Found' }));
-
-// Error handler
-app.use((err, _req, res, _next) => {
-  console.error(err);
-  const status = err.statusCode || 500;
-  const expose = err.expose ?? false;
-  res.status(status).json({
-    message: expose ? err.message : 'Internal Server Error'
-  });
-});
+if (!['memory', 'mongo'].includes(RATE_LIMIT_STORE)) {
+  console.error(`❌ RATE_LIMIT_STORE must be memory or mongo, got "${RATE_LIMIT_STORE}"`);
+  process.exit(1);
+}
+if (!Number.isInteger(CACHE_MAX_ENTRIES) || CACHE_MAX_ENTRIES < 0) {
+  console.error(`❌ CACHE_MAX_ENTRIES must be a whole number, got "${process.env.CACHE_MAX_ENTRIES}"`);
+  process.exit(1);
+}
 
 const start = async () => {
   try {
-    await connectToDb(process.env.MONGODB_URI, process.env.DB_NAME);
-    app.listen(PORT, () => console.log(`🚀 Listening on :${PORT}`));
+    const db = await connectToDb(process.env.MONGODB_URI, process.env.DB_NAME);
+    const store = RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+    const cache = CACHE_MAX_ENTRIES > 0 ? { groups: CACHE_GROUPS, store: createLruStore({ maxEntries: CACHE_MAX_ENTRIES }) } : undefined;
+    createApp({ db, rateLimit: { groups: RATE_LIMITS, store }, cache }).listen(PORT, () => console.log(`🚀 Listening on :${PORT}`));
   } catch (e) {
     console.error('❌ Failed to start:', e.message);
     process.exit(1);
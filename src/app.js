@@ -0,0 +1,95 @@
+// src/app.js
+import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+import { useDb } from './db/connect.js';
+import { configureAuth, identify } from './middleware/auth.js';
+import { createResponseCache } from './middleware/cache.js';
+import { notFound, problemHandler, requestId } from './middleware/problem.js';
+import { rateLimit as rateLimiter } from './middleware/rateLimit.js';
+import animeRouter from './routes/anime.js';
+import mangaRouter from './routes/manga.js';
+import usersRouter from './routes/users.js';
+import watchlistsRouter from './routes/watchlists.js';
+import searchRouter from './routes/search.js';
+import meRouter from './routes/me.js';
+import auditRouter from './routes/audit.js';
+import franchisesRouter from './routes/franchises.js';
+import webhooksRouter from './routes/webhooks.js';
+import eventsRouter from './routes/events.js';
+import graphqlRouter from './routes/graphql.js';
+import cacheRouter from './routes/cache.js';
+import { serveSwagger, setupSwagger, swaggerSpec } from '../swagger.js';
+
+/**
+ * Build the Express app without connecting or listening, so tests can drive
+ * it in-process (supertest) and server.js only has to wire env to it.
+ *
+ * @param {object} [options]
+ * @param {import('mongodb').Db} [options.db]  connected database (see connectToDb); default: the one connectToDb set up
+ * @param {false | object} [options.auth]  passed to configureAuth — `false` disables JWT checks; default: AUTH0_* env
+ * @param {object} [options.rateLimit]  `{ groups, store }` for src/middleware/rateLimit.js; default: no limits
+ * @param {object} [options.cache]  `{ groups, store }` for src/middleware/cache.js; default: no response caching
+ * @returns {import('express').Express}
+ */
+export const createApp = ({ db, auth, rateLimit, cache } = {}) => {
+  if (db) useDb(db);
+  if (auth !== undefined) configureAuth(auth);
+
+  const app = express();
+
+  app.set('trust proxy', 1);
+  app.set('etag', 'weak'); // body-hash ETags on lists, so If-None-Match → 304 (by-id routes set their own)
+
+  // Middleware
+  app.use(requestId);
+  app.use(cors({
+    exposedHeaders: [
+      'X-Total-Count', 'Link', 'ETag', 'X-Request-Id', 'X-Cache',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+    ]
+  }));
+  // Before body parsing, so throttled requests cost as little as possible
+  if (rateLimit || cache) app.use(identify);
+  if (rateLimit) app.use(rateLimiter(rateLimit));
+  // Cached reads skip the routers (and MongoDB) altogether
+  if (cache) {
+    app.locals.responseCache = createResponseCache(cache);
+    app.use(app.locals.responseCache);
+  }
+  app.use(express.json({ limit: '1mb', type: ['application/json', 'application/*+json'] })); // incl. merge/json-patch
+  if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
+
+  // Health + root
+  app.get('/healthz', (_req, res) => res.status(200).json({ status: 'ok' }));
+  app.get('/', (_req, res) => res.send('Anime & Manga Explorer API up'));
+
+  // Routes (two from W05 + two new for W06)
+  app.use('/anime', animeRouter);
+  app.use('/manga', mangaRouter);
+  app.use('/users', usersRouter);
+  app.use('/watchlists', watchlistsRouter);
+  app.use('/search', searchRouter);
+  app.use('/me', meRouter);
+  app.use('/audit', auditRouter);
+  app.use('/franchises', franchisesRouter);
+  app.use('/webhooks', webhooksRouter);
+  app.use('/events', eventsRouter);
+  app.use('/graphql', graphqlRouter);
+  app.use('/admin/cache', cacheRouter);
+
+  // Swagger UI + raw spec
+  app.use('/api-docs', serveSwagger, setupSwagger);
+  app.get('/swagger.json', (_req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.send(swaggerSpec);
+  });
+
+  // 404 + errors, both as application/problem+json
+  app.use(notFound);
+  app.use(problemHandler);
+
+  return app;
+};
+
+export default createApp;
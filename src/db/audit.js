@@ -0,0 +1,118 @@
+// src/db/audit.js
+import { isDeepStrictEqual } from 'node:util';
+import { z } from 'zod';
+import { getUserSub } from '../middleware/auth.js';
+import { invalidateCached } from '../middleware/cache.js';
+import { createListQuery, exactFilter, rangeFilter } from '../utils/listQuery.js';
+import { publishChanges } from './changeFeed.js';
+import { getDb } from './connect.js';
+import { queueEvents } from './webhooks.js';
+
+/**
+ * Change history for anime, manga, users, watchlists, webhooks and relations:
+ * every write leaves one `audit` document.
+ *
+ *   { at, actor, action, resource, resourceId, requestId, changes, affected? }
+ *
+ *   actor      the caller's JWT sub (X-Debug-User when auth is off; null if anonymous
+ *              or a background job, e.g. the trash purge)
+ *   action     see AUDIT_ACTIONS
+ *   changes    [{ field, before?, after? }] for each top-level field that differs;
+ *              a create lists every field's `after`, a purge every field's `before`
+ *   affected   referencing items a purge cascaded to or nullified (DELETE_POLICY)
+ *
+ * Writes made inside a transaction pass its session, so the entry commits or
+ * rolls back with the change it describes. The same goes for the webhook
+ * events each entry raises (src/db/webhooks.js); the live feed behind
+ * GET /events (src/db/changeFeed.js) and the response cache
+ * (src/middleware/cache.js) only hear of it once it has committed.
+ */
+
+export const AUDIT_ACTIONS = [
+  'create',     // POST
+  'replace',    // PUT
+  'patch',      // PATCH (incl. PATCH /me)
+  'delete',     // DELETE (moved to the trash, see src/db/trash.js)
+  'restore',    // POST /:id/restore (taken back out of the trash)
+  'purge',      // DELETE /:id?hard=true, the trash retention sweep, or removing a relation
+  'import',     // bulk import row that inserted or changed a record
+  'progress',   // POST /watchlists/:id/progress
+  'provision',  // profile created from JWT claims
+  'link'        // existing profile linked to a JWT subject
+];
+
+export const AUDITED = ['anime', 'manga', 'users', 'watchlists', 'webhooks', 'relations'];
+
+// Bookkeeping that changes on every write; not worth a diff line
+const UNTRACKED = new Set(['_id', 'createdAt', 'updatedAt']);
+
+// Logged as changed, without the values
+const REDACTED = new Set(['secret']);
+const redact = (field, value) => (REDACTED.has(field) ? '[redacted]' : value);
+
+const audit = () => getDb().collection('audit');
+
+/** Top-level fields that differ between two versions of a document (secrets masked). */
+export const diffOf = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => !UNTRACKED.has(field) && !isDeepStrictEqual(before[field], after[field]))
+    .map((field) => ({
+      field,
+      ...(before[field] !== undefined ? { before: redact(field, before[field]) } : {}),
+      ...(after[field] !== undefined ? { after: redact(field, after[field]) } : {})
+    }));
+
+const entryOf = (req, { action, resource, resourceId, before, after, affected }) => ({
+  at: new Date(),
+  actor: req ? getUserSub(req) : null,
+  action,
+  resource,
+  resourceId: String(resourceId),
+  requestId: req?.id,
+  changes: diffOf(before ?? {}, after ?? {}),
+  ...(affected !== undefined ? { affected } : {})
+});
+
+/**
+ * Record one write.
+ * @param {import('express').Request | null} req  null for writes no request made (the trash purge)
+ * @param {{ action: string, resource: string, resourceId: unknown, before?: object, after?: object, affected?: number }} change
+ * @param {import('mongodb').ClientSession} [session]
+ */
+export const recordAudit = async (req, change, session) => {
+  const entry = entryOf(req, change);
+  await audit().insertOne(entry, { session });
+  await queueEvents([{ entry, change }], session);
+  publishChanges([{ entry, change }], session);
+  invalidateCached([entry.resource], session);
+};
+
+/** Record several writes (e.g. one bulk import batch); changes that altered nothing are skipped. */
+export const recordAuditMany = async (req, changes, session) => {
+  const items = changes.map((change) => ({ entry: entryOf(req, change), change })).filter(({ entry }) => entry.changes.length);
+  if (!items.length) return;
+  await audit().insertMany(items.map(({ entry }) => entry), { session });
+  await queueEvents(items, session);
+  publishChanges(items, session);
+  invalidateCached(items.map(({ entry }) => entry.resource), session);
+};
+
+const HISTORY_FILTERS = {
+  actor: exactFilter('actor', z.string().trim().min(1).describe('JWT subject that made the change')),
+  action: exactFilter('action', z.enum(AUDIT_ACTIONS)),
+  at: rangeFilter('at', z.coerce.date())
+};
+
+/** Query string for GET /<resource>/:id/history (newest first). */
+export const parseHistoryList = createListQuery({ sortable: ['at'], newestFirst: true, filters: HISTORY_FILTERS });
+
+/** Query string for GET /audit: the history filters plus which record. */
+export const parseAuditList = createListQuery({
+  sortable: ['at'],
+  newestFirst: true,
+  filters: {
+    ...HISTORY_FILTERS,
+    resource: exactFilter('resource', z.enum(AUDITED)),
+    resourceId: exactFilter('resourceId', z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be 24 hex chars'))
+  }
+});
@@ -0,0 +1,225 @@
+// src/db/changeFeed.js
+import { EventEmitter } from 'node:events';
+import { afterCommit, getDb, supportsTransactions } from './connect.js';
+
+/**
+ * Live change notifications for anime, manga, watchlists and relations, behind GET /events.
+ *
+ *   { id, collection, operation: 'create' | 'update' | 'delete', documentId, userId?, at }
+ *
+ * Trashing a record is a `delete` and restoring it a `create`: that is when it
+ * leaves or rejoins every list. `userId` (watchlists only) is the item's owner.
+ *
+ * Two sources, picked per deployment:
+ *   change streams  on a replica set (Atlas): every instance sees every write.
+ *                   One stream per collection, shared by its subscribers; the
+ *                   last BUFFER_SIZE events they delivered are kept for reconnects
+ *   in-process bus  otherwise: recordAudit publishes each write once its
+ *                   transaction commits. Ids are audit entry ids; the last
+ *                   BUFFER_SIZE events are kept for reconnects to catch up from
+ *
+ * A `since` that can't be resumed (too old, another process's, made up, or
+ * from before a stream the subscriber needs was opened) calls the
+ * subscriber's onReset and the feed carries on from now.
+ */
+
+export const FEED_COLLECTIONS = ['anime', 'manga', 'watchlists', 'relations'];
+const BUFFER_SIZE = 1000;
+
+const bus = new EventEmitter().setMaxListeners(0);
+const recent = [];
+
+// Audit action → operation (see AUDIT_ACTIONS); `import` depends on whether the record existed
+const OPERATION_OF = {
+  create: 'create',
+  restore: 'create',
+  replace: 'update',
+  patch: 'update',
+  progress: 'update',
+  delete: 'delete',
+  purge: 'delete'
+};
+
+const ownerOf = (collection, doc) => (collection === 'watchlists' ? { userId: doc?.userId } : {});
+
+const fromAudit = ({ entry, change }) => {
+  if (!FEED_COLLECTIONS.includes(entry.resource)) return null;
+  // Purging a trashed record: subscribers heard about it when it was trashed
+  if (change.action === 'purge' && change.before?.deletedAt) return null;
+  const operation = change.action === 'import' ? (change.before ? 'update' : 'create') : OPERATION_OF[change.action];
+  if (!operation) return null;
+  return {
+    id: String(entry._id),
+    collection: entry.resource,
+    operation,
+    documentId: entry.resourceId,
+    ...ownerOf(entry.resource, change.after ?? change.before),
+    at: entry.at
+  };
+};
+
+/**
+ * Publish audited writes on the in-process bus once their transaction commits;
+ * called by recordAudit.
+ * @param {Array<{ entry: object, change: object }>} items  inserted audit entries with the changes they describe
+ * @param {import('mongodb').ClientSession} [session]
+ */
+export const publishChanges = (items, session) => {
+  const events = items.map(fromAudit).filter(Boolean);
+  if (!events.length) return;
+  afterCommit(session, () => {
+    for (const event of events) {
+      recent.push(event);
+      bus.emit('change', event);
+    }
+    recent.splice(0, Math.max(0, recent.length - BUFFER_SIZE));
+  });
+};
+
+const fromChangeStream = (change) => {
+  const collection = change.ns.coll;
+  const { updatedFields = {}, removedFields = [] } = change.updateDescription ?? {};
+  let operation;
+  if (change.operationType === 'insert') operation = 'create';
+  else if (change.operationType === 'delete') {
+    if (change.fullDocumentBeforeChange?.deletedAt) return null; // purged from the trash
+    operation = 'delete';
+  } else if ('deletedAt' in updatedFields) operation = 'delete';
+  else if (removedFields.includes('deletedAt')) operation = 'create';
+  else operation = 'update';
+  return {
+    id: change._id._data,
+    collection,
+    operation,
+    documentId: String(change.documentKey._id),
+    ...ownerOf(collection, change.fullDocument ?? change.fullDocumentBeforeChange),
+    at: change.wallTime ?? new Date()
+  };
+};
+
+const CHANGE_PIPELINE = [{ $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }];
+
+const matcher = ({ collections, userId }) => (event) =>
+  collections.includes(event.collection) && (!userId || event.collection !== 'watchlists' || event.userId === userId);
+
+const followBus = ({ since, onChange, onReset, ...filter }) => {
+  const wanted = matcher(filter);
+  if (since) {
+    const at = recent.findIndex((e) => e.id === since);
+    if (at === -1) onReset();
+    else recent.slice(at + 1).filter(wanted).forEach(onChange);
+  }
+  const listener = (event) => { if (wanted(event)) onChange(event); };
+  bus.on('change', listener);
+  return async () => { bus.off('change', listener); };
+};
+
+/*
+ * Change streams are shared: one per collection for the whole process, opened
+ * for its first subscriber and closed when its last one leaves. Events from
+ * every open stream go into `streamed` (with their cluster time) for
+ * reconnects to catch up from.
+ */
+const streams = new Map(); // collection → { subscribers: Set, startedAt: Timestamp, ready: Promise }
+const streamed = [];
+
+const openStream = (collection) => {
+  const shared = { subscribers: new Set() };
+  shared.ready = (async () => {
+    // Start from the cluster time now rather than whenever the cursor opens, so nothing in between is lost
+    const { operationTime } = await getDb().command({ ping: 1 });
+    shared.startedAt = operationTime;
+    // Pre-images (when the collection keeps them) name the owner of a hard-deleted watchlist item
+    const stream = getDb().collection(collection).watch(CHANGE_PIPELINE, {
+      fullDocument: 'updateLookup',
+      fullDocumentBeforeChange: 'whenAvailable',
+      startAtOperationTime: operationTime
+    });
+    stream.on('change', (change) => {
+      const event = fromChangeStream(change);
+      if (!event) return;
+      streamed.push({ event, clusterTime: change.clusterTime });
+      streamed.splice(0, Math.max(0, streamed.length - BUFFER_SIZE));
+      for (const subscriber of shared.subscribers) subscriber.onChange(event);
+    });
+    stream.on('error', (err) => {
+      if (streams.get(collection) === shared) streams.delete(collection);
+      stream.close().catch(() => {});
+      for (const subscriber of shared.subscribers) subscriber.onError(err);
+    });
+    return stream;
+  })();
+  streams.set(collection, shared);
+  shared.ready.catch(() => { if (streams.get(collection) === shared) streams.delete(collection); });
+  return shared;
+};
+
+const leaveStream = async (collection, shared, subscriber) => {
+  shared.subscribers.delete(subscriber);
+  if (shared.subscribers.size || streams.get(collection) !== shared) return;
+  streams.delete(collection);
+  await (await shared.ready).close();
+};
+
+/** Events after `since` from the shared buffer, or null when some stream may have missed one. */
+const streamedSince = (since, joined) => {
+  const at = streamed.findIndex(({ event }) => event.id === since);
+  if (at === -1) return null;
+  const { clusterTime } = streamed[at];
+  // A stream opened after `since` happened can't vouch for what its collection did in between
+  if (joined.some((shared) => shared.startedAt.greaterThan(clusterTime))) return null;
+  // Streams deliver independently, so order by cluster time rather than by arrival
+  return streamed
+    .filter(({ clusterTime: t }, i) => t.greaterThan(clusterTime) || (t.equals(clusterTime) && i > at))
+    .sort((x, y) => x.clusterTime.compare(y.clusterTime))
+    .map(({ event }) => event);
+};
+
+const followChangeStream = async ({ since, onChange, onReset, onError, ...filter }) => {
+  const wanted = matcher(filter);
+  // Hold live events back until the subscriber has caught up, so none arrives twice or out of order
+  const held = [];
+  let live = false;
+  const subscriber = {
+    onChange: (event) => { if (!live) held.push(event); else if (wanted(event)) onChange(event); },
+    onError
+  };
+  const joined = [];
+  try {
+    for (const collection of filter.collections) {
+      const shared = streams.get(collection) ?? openStream(collection);
+      shared.subscribers.add(subscriber);
+      joined.push(shared);
+      await shared.ready;
+    }
+  } catch (err) {
+    await Promise.allSettled(joined.map((shared, i) => leaveStream(filter.collections[i], shared, subscriber)));
+    throw err;
+  }
+  let missed = held;
+  if (since) {
+    const resumed = streamedSince(since, joined);
+    if (resumed) missed = resumed;
+    else onReset();
+  }
+  missed.filter(wanted).forEach(onChange);
+  live = true;
+  return async () => {
+    await Promise.all(joined.map((shared, i) => leaveStream(filter.collections[i], shared, subscriber)));
+  };
+};
+
+/**
+ * Follow the feed from now, or from just after event `since`.
+ * @param {object} options
+ * @param {string[]} options.collections  any of FEED_COLLECTIONS
+ * @param {string} [options.userId]  only this user's watchlist items
+ * @param {string} [options.since]  id of the last event the subscriber saw (Last-Event-ID)
+ * @param {(event: object) => void} options.onChange
+ * @param {() => void} options.onReset  `since` could not be resumed; the subscriber should refetch
+ * @param {(err: Error) => void} options.onError  the feed broke off
+ * @returns {Promise<() => Promise<void>>} stops following
+ */
+export const followChanges = async (options) =>
+  // Change streams need a replica set or sharded cluster, just like transactions
+  ((await supportsTransactions()) ? followChangeStream(options) : followBus(options));
@@ -1,28 +1,49 @@
 import { MongoClient, ServerApiVersion } from 'mongodb';
+import { ensureIndexes } from './indexes.js';
+import { startTrashPurge } from './trash.js';
+import { startWebhookWorker } from './webhooks.js';
 
 let client;
 let db;
+let txSupport;
 
-export const connectToDb = async (uri, dbName) => {
-  if (!uri) throw new Error('MONGODB_URI missing');
+/**
+ * Connect once and remember the database for getDb().
+ * Pass `{ client }` to use a MongoClient you created (tests, scripts); the
+ * caller then owns it, so no signal handlers are installed to close it and
+ * neither the trash purge sweep (src/db/trash.js) nor the webhook delivery
+ * worker (src/db/webhooks.js) is started.
+ * @param {string} uri
+ * @param {string} dbName
+ * @param {{ client?: MongoClient }} [options]
+ */
+export const connectToDb = async (uri, dbName, { client: injected } = {}) => {
+  if (!injected && !uri) throw new Error('MONGODB_URI missing');
   if (!dbName) throw new Error('DB_NAME missing');
-  if (db) return db;
+  if (db && (!injected || injected === client)) return db;
 
-  client = new MongoClient(uri, {
+  client = injected ?? new MongoClient(uri, {
     serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
     serverSelectionTimeoutMS: 10000,
     connectTimeoutMS: 10000
   });
+  txSupport = undefined;
 
   console.log('🔌 Connecting to MongoDB…');
   await client.connect();
   await client.db('admin').command({ ping: 1 });
   db = client.db(dbName);
   console.log(`✅ Connected: ${db.databaseName}`);
+  await ensureIndexes(db);
+  if (injected) return db;
+  const stopPurge = startTrashPurge();
+  const stopWebhooks = startWebhookWorker();
 
   const shutdown = async (signal) => {
     try {
       console.log(`\n🔻 ${signal} received. Closing Mongo client…`);
+      stopPurge();
+      stopWebhooks();
       await client.close();
       console.log('👋 Mongo client closed.');
     } catch (e) {
@@ -37,7 +58,65 @@ export const connectToDb = async (uri, dbName) => {
   return db;
 };
 
+/** Use an already-connected Db (e.g. one handed to createApp). */
+export const useDb = (database) => {
+  if (database === db) return;
+  db = database;
+  client = database.client;
+  txSupport = undefined;
+};
+
 export const getDb = () => {
   if (!db) throw new Error('DB not initialized. Call connectToDb first.');
   return db;
 };
+
+export const getClient = () => {
+  if (!client) throw new Error('DB not initialized. Call connectToDb first.');
+  return client;
+};
+
+
+/** Transactions need a replica set or sharded cluster (Atlas always is; a bare local mongod is not). */
+export const supportsTransactions = async () => {
+  if (txSupport === undefined) {
+    const hello = await getDb().command({ hello: 1 });
+    txSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return txSupport;
+};
+
+// Callbacks waiting for the transaction on a session to commit (see afterCommit)
+const onCommit = new WeakMap();
+
+/**
+ * Run `fn(session)` in a transaction when the deployment supports one,
+ * otherwise run it directly with `session` undefined (best effort).
+ */
+export const withTransaction = async (fn) => {
+  if (!(await supportsTransactions())) return fn(undefined);
+  const session = getClient().startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      onCommit.set(session, []); // a retried attempt starts over
+      result = await fn(session);
+    });
+    for (const callback of onCommit.get(session)) callback();
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Run `callback` once the withTransaction on `session` commits, and never if it
+ * aborts; without a transaction, right away.
+ * @param {import('mongodb').ClientSession} [session]
+ * @param {() => void} callback
+ */
+export const afterCommit = (session, callback) => {
+  const queue = session && onCommit.get(session);
+  if (queue) queue.push(callback);
+  else callback();
+};
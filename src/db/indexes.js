@@ -0,0 +1,80 @@
+// src/db/indexes.js
+
+/**
+ * Indexes the routes rely on, created once at startup by connectToDb.
+ * createIndex is idempotent, so re-running this on every boot is cheap.
+ */
+
+/** One text index per catalog collection, used by GET /search (which fails without it, hence `required`). */
+export const SEARCH_INDEX = {
+  required: true,
+  keys: { title: 'text', description: 'text', genres: 'text', studio: 'text', author: 'text' },
+  options: {
+    name: 'search_text',
+    weights: { title: 10, genres: 5, studio: 3, author: 3, description: 1 },
+    default_language: 'english'
+  }
+};
+
+/** Trashed records only, for the purge sweep (src/db/trash.js). */
+const TRASH_INDEX = {
+  keys: { deletedAt: 1 },
+  options: { name: 'trashed', partialFilterExpression: { deletedAt: { $exists: true } } }
+};
+
+const INDEXES = {
+  anime: [SEARCH_INDEX, TRASH_INDEX],
+  manga: [SEARCH_INDEX, TRASH_INDEX],
+  users: [
+    TRASH_INDEX,
+    // Case-insensitive, so "Demo@Example.com" can't become a second account
+    { keys: { email: 1 }, options: { name: 'unique_email', unique: true, collation: { locale: 'en', strength: 2 } } },
+    // `sub` is optional (hand-made profiles); only linked ones must be unique
+    { keys: { sub: 1 }, options: { name: 'unique_sub', unique: true, partialFilterExpression: { sub: { $type: 'string' } } } }
+  ],
+  watchlists: [TRASH_INDEX],
+  reviews: [
+    // One review per user per title; also serves the per-title listing
+    { keys: { kind: 1, titleId: 1, userId: 1 }, options: { name: 'one_review_per_user', unique: true } },
+    { keys: { userId: 1 }, options: { name: 'reviews_by_user' } }
+  ],
+  relations: [
+    // Two titles are related at most once; `ends` serves per-title listings and $graphLookup
+    { keys: { pair: 1 }, options: { name: 'one_relation_per_pair', unique: true } },
+    { keys: { ends: 1 }, options: { name: 'relations_by_title' } }
+  ],
+  webhooks: [TRASH_INDEX],
+  webhookDeliveries: [
+    // The worker's "what is due" scan, and GET /webhooks/:id/deliveries newest first
+    { keys: { status: 1, nextAttemptAt: 1 }, options: { name: 'deliveries_due' } },
+    { keys: { webhookId: 1, _id: -1 }, options: { name: 'deliveries_by_webhook' } },
+    // The delivery log keeps 30 days
+    { keys: { createdAt: 1 }, options: { name: 'deliveries_expiry', expireAfterSeconds: 30 * 24 * 60 * 60 } }
+  ],
+  audit: [
+    // GET /<resource>/:id/history, and the GET /audit filters, newest first
+    { keys: { resource: 1, resourceId: 1, _id: -1 }, options: { name: 'audit_by_record' } },
+    { keys: { actor: 1, _id: -1 }, options: { name: 'audit_by_actor' } },
+    { keys: { at: -1 }, options: { name: 'audit_by_time' } }
+  ],
+  // Rate limit windows (RATE_LIMIT_STORE=mongo) delete themselves once over
+  rateLimits: [{ keys: { expiresAt: 1 }, options: { name: 'rate_limit_expiry', expireAfterSeconds: 0 } }]
+};
+
+/**
+ * Create every index. A `required` one that can't be created fails startup; for the rest
+ * (e.g. existing duplicates block a unique one) a warning is enough.
+ */
+export const ensureIndexes = async (db) => {
+  for (const [collection, specs] of Object.entries(INDEXES)) {
+    for (const { keys, options, required } of specs) {
+      try {
+        await db.collection(collection).createIndex(keys, options);
+      } catch (e) {
+        // e.g. a different text index already exists: GET /search would only fail later, on every call
+        if (required) throw new Error(`Could not create index ${collection}.${options.name}: ${e.message}`, { cause: e });
+        console.warn(`⚠️  Could not create index ${collection}.${options.name}: ${e.message}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,133 @@
+// src/db/integrity.js
+import { ObjectId } from 'mongodb';
+import { getDb, withTransaction } from './connect.js';
+import { refreshTitleScore } from './ratings.js';
+import { NOT_DELETED } from './trash.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Referential integrity between watchlists/reviews and the collections they point at.
+ *
+ * Reviews and relations always follow their title or author (cascade). For watchlist items,
+ * what happens when their anime/manga/user is purged (src/db/trash.js) is configurable:
+ *   DELETE_POLICY=restrict|cascade|nullify         default for all (default: cascade)
+ *   DELETE_POLICY_ANIME / _MANGA / _USERS          per-collection override
+ *
+ *   restrict  409 while any watchlist item still references the record
+ *   cascade   delete the referencing watchlist items too
+ *   nullify   keep the items but set their refId / userId to null
+ */
+
+export const DELETE_POLICIES = ['restrict', 'cascade', 'nullify'];
+
+/** Recompute scores of the titles whose reviews were just removed. */
+const refreshScores = async (removed, session) => {
+  const titles = new Map(removed.map((r) => [`${r.kind}:${r.titleId}`, r]));
+  for (const { kind, titleId } of titles.values()) await refreshTitleScore(kind, titleId, session);
+};
+
+/**
+ * Who points at each collection. Referencing ids are stored as hex strings,
+ * or as `value(_id)` when the field holds something else (relation `ends`).
+ * `policy` pins a reference to one behaviour regardless of DELETE_POLICY;
+ * `afterRemove(docs, session)` runs after a cascade with the removed docs.
+ */
+const REFERENCES = {
+  anime: [
+    { collection: 'watchlists', field: 'refId', match: { kind: 'anime' } },
+    { collection: 'reviews', field: 'titleId', match: { kind: 'anime' }, policy: 'cascade' },
+    { collection: 'relations', field: 'ends', match: {}, value: (_id) => `anime:${_id}`, policy: 'cascade' }
+  ],
+  manga: [
+    { collection: 'watchlists', field: 'refId', match: { kind: 'manga' } },
+    { collection: 'reviews', field: 'titleId', match: { kind: 'manga' }, policy: 'cascade' },
+    { collection: 'relations', field: 'ends', match: {}, value: (_id) => `manga:${_id}`, policy: 'cascade' }
+  ],
+  users: [
+    { collection: 'watchlists', field: 'userId', match: {} },
+    { collection: 'reviews', field: 'userId', match: {}, policy: 'cascade', afterRemove: refreshScores }
+  ],
+  webhooks: [{ collection: 'webhookDeliveries', field: 'webhookId', match: {}, policy: 'cascade' }]
+};
+
+export const deletePolicy = (collection) => {
+  const policy = (
+    process.env[`DELETE_POLICY_${collection.toUpperCase()}`] || process.env.DELETE_POLICY || 'cascade'
+  ).toLowerCase();
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid delete policy "${policy}" for ${collection}. Use one of: ${DELETE_POLICIES.join(', ')}`);
+  }
+  return policy;
+};
+
+// Fail fast on a typo'd policy instead of at the first DELETE
+for (const name of Object.keys(REFERENCES)) deletePolicy(name);
+
+/**
+ * Throws 422 unless `userId` is an existing user and `refId` exists in the
+ * collection named by `kind`. A null userId/refId (left by "nullify") is rejected too, and so is
+ * one in the trash.
+ * @returns {Promise<{ title: { _id: ObjectId, episodes?: number, chapters?: number } }>}
+ */
+export const assertWatchItemRefs = async ({ userId, kind, refId }, session) => {
+  const db = getDb();
+  const exists = (collection, id, projection = { _id: 1 }) =>
+    ObjectId.isValid(id ?? '')
+      ? db.collection(collection).findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection, session })
+      : null;
+
+  // Sequential on purpose: a session can't run operations in parallel inside a transaction
+  const user = await exists('users', userId);
+  const title = await exists(kind, refId, { _id: 1, episodes: 1, chapters: 1 });
+  const fieldErrors = {};
+  if (!user) fieldErrors.userId = [`No user exists with id ${userId}`];
+  if (!title) fieldErrors.refId = [`No ${kind} exists with id ${refId}`];
+  if (Object.keys(fieldErrors).length) {
+    throw httpError(422, 'Watchlist item references a missing record', { formErrors: [], fieldErrors });
+  }
+  return { title };
+};
+
+/**
+ * Delete one record and apply the configured policy to whatever references it.
+ * Runs in a transaction where the deployment supports it.
+ * @param {object} [match] extra filter the record must still satisfy (e.g. an If-Match version)
+ * @param {object} [opts]
+ * @param {(session, result: { affected: number }) => Promise<void>} [opts.onDeleted]  runs in the same
+ *   transaction once the record is gone (e.g. to write the audit entry)
+ * @returns {Promise<{ deletedCount: number, affected: number }>}
+ */
+export const deleteWithPolicy = (collection, _id, match = {}, { onDeleted } = {}) =>
+  withTransaction(async (session) => {
+    const db = getDb();
+    const target = await db.collection(collection).findOne({ _id, ...match }, { projection: { _id: 1 }, session });
+    if (!target) return { deletedCount: 0, affected: 0 };
+
+    const refs = (REFERENCES[collection] || []).map((r) => ({
+      ...r,
+      policy: r.policy ?? deletePolicy(collection),
+      filter: { ...r.match, [r.field]: r.value ? r.value(_id) : String(_id) }
+    }));
+
+    for (const r of refs.filter((ref) => ref.policy === 'restrict')) {
+      const n = await db.collection(r.collection).countDocuments(r.filter, { session });
+      if (n > 0) throw httpError(409, `Cannot delete: ${n} ${r.collection} item(s) still reference this record`);
+    }
+
+    const { deletedCount } = await db.collection(collection).deleteOne({ _id, ...match }, { session });
+
+    let affected = 0;
+    for (const r of refs) {
+      const refColl = db.collection(r.collection);
+      if (r.policy === 'cascade') {
+        const removed = r.afterRemove ? await refColl.find(r.filter, { session }).toArray() : [];
+        affected += (await refColl.deleteMany(r.filter, { session })).deletedCount;
+        if (r.afterRemove) await r.afterRemove(removed, session);
+      } else if (r.policy === 'nullify') {
+        const update = { $set: { [r.field]: null, updatedAt: new Date() } };
+        affected += (await refColl.updateMany(r.filter, update, { session })).modifiedCount;
+      }
+    }
+    if (deletedCount) await onDeleted?.(session, { affected });
+    return { deletedCount, affected };
+  });
@@ -0,0 +1,46 @@
+// src/db/ratings.js
+import { ObjectId } from 'mongodb';
+import { z } from 'zod';
+import { invalidateCached } from '../middleware/cache.js';
+import { getDb } from './connect.js';
+
+/** Fields on anime/manga documents maintained here; never taken from request bodies. */
+export const ScoreFields = z.object({
+  averageScore: z.number().min(0).max(10).optional().describe('Mean of user review scores, to 2 decimals; absent until reviewed'),
+  reviewCount: z.number().int().min(0).optional().describe('Number of reviews')
+});
+
+/**
+ * Recompute a title's `averageScore` / `reviewCount` from the `reviews`
+ * collection. Called after every review write (and after reviews are removed
+ * by a cascade) so the numbers on anime/manga documents never drift.
+ * @param {'anime'|'manga'} kind
+ * @param {string} titleId hex id of the anime/manga
+ * @param {import('mongodb').ClientSession} [session]
+ */
+export const refreshTitleScore = async (kind, titleId, session) => {
+  const db = getDb();
+  const [stats] = await db
+    .collection('reviews')
+    .aggregate(
+      [
+        { $match: { kind, titleId: String(titleId) } },
+        { $group: { _id: null, averageScore: { $avg: '$score' }, reviewCount: { $sum: 1 } } }
+      ],
+      { session }
+    )
+    .toArray();
+
+  // updatedAt moves too: the representation changed, so its ETag must
+  const update = stats
+    ? {
+        $set: {
+          averageScore: Math.round(stats.averageScore * 100) / 100,
+          reviewCount: stats.reviewCount,
+          updatedAt: new Date()
+        }
+      }
+    : { $set: { reviewCount: 0, updatedAt: new Date() }, $unset: { averageScore: '' } };
+  await db.collection(kind).updateOne({ _id: new ObjectId(String(titleId)) }, update, { session });
+  invalidateCached([kind], session);
+};
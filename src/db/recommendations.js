@@ -0,0 +1,236 @@
+// src/db/recommendations.js
+import { z } from 'zod';
+import { ObjectId } from 'mongodb';
+import { getDb } from './connect.js';
+import { NOT_DELETED } from './trash.js';
+
+/**
+ * Watchlist-driven recommendations, computed with aggregation pipelines over
+ * `watchlists`, `anime` and `manga`.
+ *
+ * Each candidate title (not already on the user's watchlist) gets
+ *   genre  share of the user's completed-title genre weight it matches
+ *   rating averageScore (or editorial rating) / 10
+ *   peers  how many users who completed one of your completed titles also added it
+ *          (items they dropped don't count)
+ * blended with WEIGHTS, plus human-readable reasons for the top picks.
+ * Trashed titles and watchlist items take no part.
+ */
+
+const KINDS = ['anime', 'manga'];
+const WEIGHTS = { genre: 0.5, peers: 0.3, rating: 0.2 };
+const PEER_CANDIDATES = 200;
+
+/** Query string for /users/:id/recommendations and /me/recommendations. */
+export const RecommendationQuerySchema = z
+  .object({
+    kind: z.enum(KINDS).optional(),
+    limit: z.coerce.number().int().min(1).max(50).default(10)
+  })
+  .strict();
+
+const titleLookup = (kind, as) => ({
+  $lookup: {
+    from: kind,
+    let: { ref: '$refId', kind: '$kind' },
+    pipeline: [
+      {
+        $match: {
+          ...NOT_DELETED,
+          $expr: {
+            $and: [
+              { $eq: ['$$kind', kind] },
+              { $eq: ['$_id', { $convert: { input: '$$ref', to: 'objectId', onError: null, onNull: null } }] }
+            ]
+          }
+        }
+      },
+      { $project: { title: 1, genres: 1 } }
+    ],
+    as
+  }
+});
+
+/** The user's watchlist: everything they own, and their completed titles with genres. */
+const loadHistory = async (userId) => {
+  const [history] = await getDb()
+    .collection('watchlists')
+    .aggregate([
+      { $match: { userId, ...NOT_DELETED } },
+      {
+        $facet: {
+          owned: [{ $project: { _id: 0, kind: 1, refId: 1 } }],
+          completed: [
+            { $match: { status: 'completed' } },
+            titleLookup('anime', 'a'),
+            titleLookup('manga', 'm'),
+            { $project: { _id: 0, kind: 1, refId: 1, title: { $arrayElemAt: [{ $concatArrays: ['$a', '$m'] }, 0] } } },
+            { $match: { title: { $ne: null } } }
+          ]
+        }
+      }
+    ])
+    .toArray();
+  return history;
+};
+
+/**
+ * Co-occurrence: users who completed any of my completed titles → what else they added,
+ * leaving out what they dropped. Ties in `users` break on kind/refId, so the cut is stable.
+ * @returns {Map<string, { users: number, via: { kind: string, refId: string } }>} keyed "kind:refId"
+ */
+const loadPeerPicks = async (userId, completed, ownedKeys) => {
+  if (!completed.length) return new Map();
+  const rows = await getDb()
+    .collection('watchlists')
+    .aggregate([
+      {
+        $match: {
+          userId: { $ne: userId },
+          status: 'completed',
+          ...NOT_DELETED,
+          $or: completed.map(({ kind, refId }) => ({ kind, refId }))
+        }
+      },
+      { $group: { _id: '$userId', via: { $first: { kind: '$kind', refId: '$refId' } } } },
+      {
+        $lookup: {
+          from: 'watchlists',
+          localField: '_id',
+          foreignField: 'userId',
+          pipeline: [{ $match: { ...NOT_DELETED, status: { $ne: 'dropped' } } }],
+          as: 'items'
+        }
+      },
+      { $unwind: '$items' },
+      { $group: { _id: { kind: '$items.kind', refId: '$items.refId' }, users: { $sum: 1 }, via: { $first: '$via' } } },
+      { $sort: { users: -1, _id: 1 } },
+      { $limit: PEER_CANDIDATES + ownedKeys.size }
+    ])
+    .toArray();
+  return new Map(
+    rows
+      .filter((r) => r._id.refId && !ownedKeys.has(`${r._id.kind}:${r._id.refId}`))
+      .slice(0, PEER_CANDIDATES)
+      .map((r) => [`${r._id.kind}:${r._id.refId}`, { users: r.users, via: r.via }])
+  );
+};
+
+/** Score every candidate title of one kind in a single pipeline. */
+const scoreKind = async (kind, { genreWeights, totalWeight, peers, maxPeers, owned, limit }) => {
+  const weights = Object.entries(genreWeights).map(([genre, weight]) => ({ genre, weight }));
+  const peerList = [...peers]
+    .map(([key, p]) => ({ key: key.split(':'), users: p.users }))
+    .filter(({ key: [k, refId] }) => k === kind && ObjectId.isValid(refId))
+    .map(({ key: [, refId], users }) => ({ id: new ObjectId(refId), users }));
+  const ownedIds = owned.filter((o) => o.kind === kind && ObjectId.isValid(o.refId ?? '')).map((o) => new ObjectId(o.refId));
+
+  const or = [];
+  if (weights.length) or.push({ genres: { $in: weights.map((w) => w.genre) } });
+  if (peerList.length) or.push({ _id: { $in: peerList.map((p) => p.id) } });
+
+  return getDb()
+    .collection(kind)
+    .aggregate([
+      { $match: { _id: { $nin: ownedIds }, ...NOT_DELETED, ...(or.length ? { $or: or } : {}) } },
+      {
+        $addFields: {
+          genreScore: totalWeight
+            ? {
+                $divide: [
+                  {
+                    $sum: {
+                      $map: {
+                        input: weights,
+                        as: 'w',
+                        in: { $cond: [{ $in: ['$$w.genre', { $ifNull: ['$genres', []] }] }, '$$w.weight', 0] }
+                      }
+                    }
+                  },
+                  totalWeight
+                ]
+              }
+            : 0,
+          peerUsers: {
+            $let: {
+              vars: { hit: { $arrayElemAt: [{ $filter: { input: peerList, cond: { $eq: ['$$this.id', '$_id'] } } }, 0] } },
+              in: { $ifNull: ['$$hit.users', 0] }
+            }
+          },
+          ratingScore: { $divide: [{ $ifNull: ['$averageScore', { $ifNull: ['$rating', 0] }] }, 10] }
+        }
+      },
+      {
+        $addFields: {
+          score: {
+            $add: [
+              { $multiply: ['$genreScore', WEIGHTS.genre] },
+              { $multiply: [maxPeers ? { $divide: ['$peerUsers', maxPeers] } : 0, WEIGHTS.peers] },
+              { $multiply: ['$ratingScore', WEIGHTS.rating] }
+            ]
+          }
+        }
+      },
+      { $sort: { score: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { title: 1, genres: 1, rating: 1, averageScore: 1, coverImage: 1, score: 1, genreScore: 1, peerUsers: 1 } }
+    ])
+    .toArray();
+};
+
+/** "Because you completed X" — the completed title sharing the most genres, plus peer/rating notes. */
+const explain = (candidate, kind, completed, peers) => {
+  const reasons = [];
+  const genres = new Set(candidate.genres ?? []);
+  let best = null;
+  for (const c of completed) {
+    const shared = (c.title.genres ?? []).filter((g) => genres.has(g));
+    if (shared.length && (!best || shared.length > best.shared.length)) best = { title: c.title.title, shared };
+  }
+  if (best) reasons.push(`Because you completed ${best.title} (${best.shared.join(', ')})`);
+
+  const peer = peers.get(`${kind}:${candidate._id}`);
+  if (peer) {
+    const via = completed.find((c) => c.kind === peer.via.kind && c.refId === peer.via.refId);
+    reasons.push(via
+      ? `${peer.users} other user(s) who completed ${via.title.title} also added this`
+      : `${peer.users} user(s) with similar watchlists added this`);
+  }
+
+  const score = candidate.averageScore ?? candidate.rating;
+  if (score !== undefined && score >= 8) reasons.push(`Highly rated (${score})`);
+  if (!reasons.length) reasons.push('Popular pick you have not added yet');
+  return reasons;
+};
+
+/**
+ * @param {string} userId hex users._id
+ * @param {{ kind?: 'anime'|'manga', limit: number }} opts
+ * @returns {Promise<Array<{ kind: string, score: number, reasons: string[], title: object }>>}
+ */
+export const recommendFor = async (userId, { kind, limit }) => {
+  const { owned, completed } = await loadHistory(userId);
+  const ownedKeys = new Set(owned.map((o) => `${o.kind}:${o.refId}`));
+
+  const genreWeights = {};
+  for (const c of completed) for (const g of c.title.genres ?? []) genreWeights[g] = (genreWeights[g] ?? 0) + 1;
+  const totalWeight = Object.values(genreWeights).reduce((a, b) => a + b, 0);
+
+  const peers = await loadPeerPicks(userId, completed, ownedKeys);
+  const maxPeers = Math.max(0, ...[...peers.values()].map((p) => p.users));
+
+  const ctx = { genreWeights, totalWeight, peers, maxPeers, owned, limit };
+  const perKind = await Promise.all((kind ? [kind] : KINDS).map(async (k) => ({ k, docs: await scoreKind(k, ctx) })));
+
+  return perKind
+    .flatMap(({ k, docs }) =>
+      docs.map(({ score, genreScore: _g, peerUsers: _p, ...title }) => ({
+        kind: k,
+        score: Math.round(score * 1000) / 1000,
+        reasons: explain(title, k, completed, peers),
+        title
+      }))
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
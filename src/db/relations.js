@@ -0,0 +1,159 @@
+// src/db/relations.js
+import { ObjectId } from 'mongodb';
+import { z } from 'zod';
+import { getDb } from './connect.js';
+import { NOT_DELETED } from './trash.js';
+
+/**
+ * Typed edges between titles, across anime and manga, in the `relations` collection.
+ *
+ *   { from: { kind, id }, to: { kind, id }, type, ends, pair, createdAt, updatedAt }
+ *
+ * An edge reads "`to` is the <type> of `from`": { from: manga Monster,
+ * to: anime Monster, type: 'adaptation' } says the anime adapts the manga.
+ * Ids are hex strings, as in watchlists and reviews.
+ *
+ *   ends   both titles as "kind:id", what listings and $graphLookup match on (either direction)
+ *   pair   the sorted ends joined; unique, so two titles are related at most once
+ *
+ * Purging a title removes its edges (REFERENCES in integrity.js). Trashed titles
+ * keep theirs but drop out of listings and franchises until restored.
+ */
+
+const KINDS = ['anime', 'manga'];
+export const RELATION_TYPES = ['adaptation', 'sequel', 'prequel', 'spin-off', 'side-story'];
+
+// Far deeper than any real franchise; only bounds a walk through bad data
+const FRANCHISE_MAX_DEPTH = 50;
+
+const TITLE_FIELDS = { title: 1, releaseYear: 1, status: 1, coverImage: 1 };
+
+const relations = () => getDb().collection('relations');
+
+export const titleKey = (kind, id) => `${kind}:${id}`;
+
+const parseKey = (key) => {
+  const [kind, id] = key.split(':');
+  return { kind, id };
+};
+
+/** Body of POST /anime/:id/relations and /manga/:id/relations. */
+export const RelationSchema = z.object({
+  type: z.enum(RELATION_TYPES).describe('What the other title is to this one, e.g. `sequel`: it follows this title'),
+  kind: z.enum(KINDS).describe('Collection of the other title'),
+  id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be 24 hex chars').describe('Id of the other title')
+});
+
+/**
+ * Store "`to` is the `type` of `from`".
+ * @param {import('mongodb').ClientSession} [session]
+ * @returns {Promise<object>} the stored relation, with its `_id`
+ * @throws MongoServerError 11000 when the two titles are already related
+ */
+export const insertRelation = async (from, to, type, session) => {
+  const ends = [titleKey(from.kind, from.id), titleKey(to.kind, to.id)].sort();
+  const now = new Date();
+  const doc = { from, to, type, ends, pair: ends.join('|'), createdAt: now, updatedAt: now };
+  const { insertedId } = await relations().insertOne(doc, { session });
+  return { ...doc, _id: insertedId };
+};
+
+/**
+ * Remove one edge, only if it touches the given title.
+ * @param {import('mongodb').ClientSession} [session]
+ * @returns {Promise<object | null>} the removed relation, or null if there was none
+ */
+export const deleteRelation = (kind, id, relationId, session) =>
+  relations().findOneAndDelete({ _id: relationId, ends: titleKey(kind, id) }, { session });
+
+/** Live (not trashed) titles for "kind:id" keys. @returns {Promise<Map<string, object>>} key → summary */
+const loadTitles = async (keys) => {
+  const found = new Map();
+  for (const kind of KINDS) {
+    const ids = [...keys].map(parseKey).filter((k) => k.kind === kind && ObjectId.isValid(k.id)).map((k) => new ObjectId(k.id));
+    if (!ids.length) continue;
+    const docs = await getDb().collection(kind).find({ _id: { $in: ids }, ...NOT_DELETED }, { projection: TITLE_FIELDS }).toArray();
+    for (const doc of docs) found.set(titleKey(kind, doc._id), { kind, ...doc });
+  }
+  return found;
+};
+
+/**
+ * Every relation of one title, from its point of view:
+ *   { _id, type, direction, title }
+ *   direction  'outgoing': `title` is this one's <type>; 'incoming': this one is `title`'s <type>
+ * Relations to trashed titles are left out.
+ */
+export const relationsOf = async (kind, id) => {
+  const key = titleKey(kind, id);
+  const edges = await relations().find({ ends: key }).sort({ _id: 1 }).toArray();
+  const sides = edges.map((e) =>
+    titleKey(e.from.kind, e.from.id) === key
+      ? { edge: e, other: titleKey(e.to.kind, e.to.id), direction: 'outgoing' }
+      : { edge: e, other: titleKey(e.from.kind, e.from.id), direction: 'incoming' });
+  const titles = await loadTitles(new Set(sides.map((s) => s.other)));
+  return sides
+    .filter((s) => titles.has(s.other))
+    .map(({ edge, other, direction }) => ({ _id: edge._id, type: edge.type, direction, title: titles.get(other) }));
+};
+
+/**
+ * The franchise around one title: every title reachable through relations in
+ * either direction, found with $graphLookup over `ends`. A trashed title cuts
+ * the walk, as if it had been purged.
+ * @param {ObjectId} _id  an anime or manga
+ * @returns {Promise<null | { root: { kind: string, id: string }, titles: object[], relations: object[] }>}
+ *   null unless `_id` is a live anime or manga; titles oldest first
+ */
+export const franchiseOf = async (_id) => {
+  let kind;
+  for (const k of KINDS) {
+    if (await getDb().collection(k).countDocuments({ _id, ...NOT_DELETED }, { limit: 1 })) { kind = k; break; }
+  }
+  if (!kind) return null;
+  const rootKey = titleKey(kind, _id);
+
+  const [{ edges }] = await getDb()
+    .collection(kind)
+    .aggregate([
+      { $match: { _id } },
+      {
+        $graphLookup: {
+          from: 'relations',
+          startWith: rootKey,
+          connectFromField: 'ends',
+          connectToField: 'ends',
+          maxDepth: FRANCHISE_MAX_DEPTH,
+          as: 'edges'
+        }
+      },
+      { $project: { edges: 1 } }
+    ])
+    .toArray();
+
+  const titles = await loadTitles(new Set([rootKey, ...edges.flatMap((e) => e.ends)]));
+  // Walk again over edges between live titles only, so a trashed one splits the franchise
+  const live = edges.filter((e) => e.ends.every((k) => titles.has(k)));
+  const reached = new Set([rootKey]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const { ends } of live) {
+      if (ends.some((k) => reached.has(k)) && !ends.every((k) => reached.has(k))) {
+        ends.forEach((k) => reached.add(k));
+        grew = true;
+      }
+    }
+  }
+
+  return {
+    root: { kind, id: String(_id) },
+    titles: [...reached]
+      .map((k) => titles.get(k))
+      .sort((a, b) => (a.releaseYear ?? Infinity) - (b.releaseYear ?? Infinity) || a.title.localeCompare(b.title)),
+    relations: live
+      .filter((e) => reached.has(e.ends[0]))
+      .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+      .map(({ _id: relationId, from, to, type }) => ({ _id: relationId, from, to, type }))
+  };
+};
@@ -0,0 +1,78 @@
+// src/db/trash.js
+import { recordAudit } from './audit.js';
+import { getDb } from './connect.js';
+import { deleteWithPolicy } from './integrity.js';
+
+/**
+ * Soft delete for anime, manga, users, watchlists and webhooks.
+ *
+ * DELETE /:id only stamps `deletedAt`; the record then drops out of every
+ * normal read (lists, GET /:id, search, recommendations, reviews, watchlist
+ * references, export) until an admin restores it or it is purged. Purging —
+ * `DELETE /:id?hard=true`, or this sweep once the record has sat in the trash
+ * for TRASH_RETENTION_DAYS (default 30; 0 keeps it forever) — is the real
+ * delete and applies DELETE_POLICY to whatever references the record.
+ *
+ * The sweep, not a TTL index, does the purging: a TTL index would drop the
+ * documents without DELETE_POLICY or an audit entry.
+ */
+
+export const TRASHABLE = ['anime', 'manga', 'users', 'watchlists', 'webhooks'];
+
+/** Filter clause for "not in the trash"; spread it into any query over a TRASHABLE collection. */
+export const NOT_DELETED = { deletedAt: { $exists: false } };
+
+const DAY = 24 * 60 * 60 * 1000;
+const SWEEP_EVERY_MS = 60 * 60 * 1000;
+
+export const retentionDays = () => {
+  const raw = process.env.TRASH_RETENTION_DAYS;
+  const days = raw === undefined || raw === '' ? 30 : Number(raw);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`Invalid TRASH_RETENTION_DAYS "${raw}". Use a number of days, or 0 to never purge`);
+  }
+  return days;
+};
+
+/**
+ * Permanently delete every record trashed more than `days` ago. A record that
+ * DELETE_POLICY=restrict still protects stays in the trash and is retried on
+ * the next sweep.
+ * @returns {Promise<number>} how many records were purged
+ */
+export const purgeTrash = async ({ days = retentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - days * DAY);
+  let purged = 0;
+  for (const collection of TRASHABLE) {
+    const expired = await getDb().collection(collection).find({ deletedAt: { $lte: cutoff } }).toArray();
+    for (const doc of expired) {
+      try {
+        const { deletedCount } = await deleteWithPolicy(collection, doc._id, { deletedAt: doc.deletedAt }, {
+          onDeleted: (session, { affected }) =>
+            recordAudit(null, { action: 'purge', resource: collection, resourceId: doc._id, before: doc, affected }, session)
+        });
+        purged += deletedCount;
+      } catch (err) {
+        if (err?.statusCode !== 409) throw err;
+      }
+    }
+  }
+  return purged;
+};
+
+/**
+ * Run purgeTrash now and then hourly; called by connectToDb. The timer is
+ * unref'd so it never keeps the process alive.
+ * @returns {() => void} stops the sweep
+ */
+export const startTrashPurge = ({ days = retentionDays(), everyMs = SWEEP_EVERY_MS } = {}) => {
+  if (days === 0) return () => {};
+  const sweep = () =>
+    purgeTrash({ days })
+      .then((n) => { if (n) console.log(`🗑️  Purged ${n} record(s) trashed more than ${days} days ago`); })
+      .catch((e) => console.warn(`⚠️  Trash purge failed: ${e.message}`));
+  const timer = setInterval(sweep, everyMs);
+  timer.unref();
+  sweep();
+  return () => clearInterval(timer);
+};
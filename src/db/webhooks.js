@@ -0,0 +1,243 @@
+// src/db/webhooks.js
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { ObjectId } from 'mongodb';
+import { getDb } from './connect.js';
+import { NOT_DELETED } from './trash.js';
+
+/**
+ * Events raised by writes to anime, manga, users, watchlists and relations,
+ * delivered to the `webhooks` subscriptions admins register.
+ *
+ *   <resource>.created | updated | deleted | restored | purged   (anime, manga, user, watchlist)
+ *   relation.created | purged   an edge between two titles was added or removed
+ *   watchlist.completed   an item reached status `completed`
+ *
+ * recordAudit (src/db/audit.js) raises them, so every audited write queues one
+ * `webhookDeliveries` document per matching subscription in the same
+ * transaction as the write. A worker (started by connectToDb) POSTs them:
+ *
+ *   body     { id, type, at, actor, resource, data: { id, object, changes } }
+ *   headers  X-Webhook-Event, X-Webhook-Delivery, and
+ *            X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed by the secret>
+ *
+ * Any 2xx is success. Anything else (or no answer within 10s) is retried
+ * after 30s, 1m, 2m, 4m … — MAX_ATTEMPTS in all — and then marked failed.
+ * Every attempt is kept in the delivery's `log`.
+ */
+
+/** Audited collection → the `resource` its events carry (pings carry `webhook`). */
+export const RESOURCES = { anime: 'anime', manga: 'manga', users: 'user', watchlists: 'watchlist', relations: 'relation' };
+const VERBS = ['created', 'updated', 'deleted', 'restored', 'purged'];
+// Relations are only ever added or removed: no edits, no trash
+const VERBS_OF = { relation: ['created', 'purged'] };
+
+export const EVENT_TYPES = [
+  ...Object.values(RESOURCES).flatMap((r) => (VERBS_OF[r] ?? VERBS).map((v) => `${r}.${v}`)),
+  'watchlist.completed'
+];
+
+// Audit action → event verb (see AUDIT_ACTIONS)
+const VERB_OF = {
+  create: 'created',
+  provision: 'created',
+  replace: 'updated',
+  patch: 'updated',
+  progress: 'updated',
+  link: 'updated',
+  delete: 'deleted',
+  restore: 'restored',
+  purge: 'purged'
+};
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+export const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30_000;
+const TIMEOUT_MS = 10_000;
+// A claimed delivery is retried after this long if its worker never reports back
+const LEASE_MS = 60_000;
+const POLL_MS = 5_000;
+
+const webhooks = () => getDb().collection('webhooks');
+const deliveries = () => getDb().collection('webhookDeliveries');
+
+/** Delay before retry number `attempt` (1-based): 30s, 1m, 2m, 4m … */
+export const backoffMs = (attempt) => BASE_DELAY_MS * 2 ** (attempt - 1);
+
+export const signatureOf = (secret, timestamp, body) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * For receivers: whether an X-Webhook-Signature header matches `body` (the raw
+ * request text) and is at most `toleranceSec` old.
+ */
+export const verifySignature = (secret, header, body, { toleranceSec = 300, now = Date.now() } = {}) => {
+  const { t, v1 } = Object.fromEntries(String(header ?? '').split(',').map((part) => part.split('=')));
+  if (!t || !v1 || Math.abs(now / 1000 - Number(t)) > toleranceSec) return false;
+  const expected = Buffer.from(signatureOf(secret, t, body), 'hex');
+  const given = Buffer.from(v1, 'hex');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+/** The events one audited change raises (none for collections without events, e.g. webhooks). */
+const eventsOf = (entry, { action, before, after }) => {
+  const resource = RESOURCES[entry.resource];
+  const verb = action === 'import' ? (before ? 'updated' : 'created') : VERB_OF[action];
+  if (!resource || !verb) return [];
+  const base = {
+    at: entry.at,
+    actor: entry.actor,
+    resource,
+    data: { id: entry.resourceId, object: after ?? before, changes: entry.changes }
+  };
+  const events = [{ ...base, type: `${resource}.${verb}` }];
+  if (resource === 'watchlist' && after?.status === 'completed' && before?.status !== 'completed' && verb !== 'restored') {
+    events.push({ ...base, type: 'watchlist.completed' });
+  }
+  return events;
+};
+
+const deliveryOf = (webhook, event, now) => ({
+  webhookId: String(webhook._id),
+  event,
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: now,
+  log: [],
+  createdAt: now,
+  updatedAt: now
+});
+
+/**
+ * Queue deliveries for the events raised by audited changes; called by recordAudit.
+ * @param {Array<{ entry: object, change: object }>} items  audit entries with the changes they describe
+ * @param {import('mongodb').ClientSession} [session]
+ */
+export const queueEvents = async (items, session) => {
+  const events = items.flatMap(({ entry, change }) => eventsOf(entry, change));
+  if (!events.length) return;
+  const subscribed = await webhooks()
+    .find({ active: true, events: { $in: ['*', ...new Set(events.map((e) => e.type))] }, ...NOT_DELETED }, { session })
+    .toArray();
+  if (!subscribed.length) return;
+  const now = new Date();
+  const queued = events.flatMap((e) => {
+    const event = { id: String(new ObjectId()), type: e.type, at: e.at, actor: e.actor, resource: e.resource, data: e.data };
+    return subscribed
+      .filter((w) => w.events.includes('*') || w.events.includes(e.type))
+      .map((w) => deliveryOf(w, event, now));
+  });
+  if (queued.length) await deliveries().insertMany(queued, { session });
+};
+
+/** POST one delivery to its webhook and record the attempt. @returns the updated delivery */
+const attempt = async (delivery, { retry = true } = {}) => {
+  const webhook = await webhooks().findOne({ _id: new ObjectId(delivery.webhookId) });
+  const started = new Date();
+  const result = {};
+  const gone = !webhook || webhook.deletedAt || !webhook.active;
+  if (gone) {
+    result.error = 'Webhook was removed or deactivated';
+  } else {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(started.getTime() / 1000);
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'anime-manga-explorer-webhooks',
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signatureOf(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      result.status = res.status;
+      await res.body?.cancel();
+    } catch (err) {
+      result.error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : err.message;
+    }
+  }
+
+  const ok = result.status >= 200 && result.status < 300;
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  const outcome = ok
+    ? { status: 'succeeded', deliveredAt: now }
+    : !retry || gone || attempts >= MAX_ATTEMPTS
+      ? { status: 'failed' }
+      : { nextAttemptAt: new Date(now.getTime() + backoffMs(attempts)) };
+  return deliveries().findOneAndUpdate(
+    { _id: delivery._id },
+    {
+      $set: { ...outcome, attempts, updatedAt: now },
+      $push: { log: { at: started, durationMs: now - started, ...result } }
+    },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Attempt every pending delivery that is due, oldest first. Each is leased
+ * before it is sent, so several workers never send the same one at once.
+ * @returns {Promise<number>} how many were attempted
+ */
+export const deliverDue = async ({ limit = 50 } = {}) => {
+  let attempted = 0;
+  while (attempted < limit) {
+    const now = new Date();
+    const due = await deliveries().findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1, _id: 1 }, returnDocument: 'after' }
+    );
+    if (!due) break;
+    await attempt(due);
+    attempted += 1;
+  }
+  return attempted;
+};
+
+/**
+ * POST /webhooks/:id/test: send a `ping` event now, once (no retries).
+ * @returns the logged delivery
+ */
+export const pingWebhook = async (webhook, actor) => {
+  const now = new Date();
+  const event = {
+    id: String(new ObjectId()),
+    type: 'ping',
+    at: now,
+    actor,
+    resource: 'webhook',
+    data: { id: String(webhook._id), object: { url: webhook.url, events: webhook.events } }
+  };
+  const delivery = { ...deliveryOf(webhook, event, now), nextAttemptAt: new Date(now.getTime() + LEASE_MS) };
+  const { insertedId } = await deliveries().insertOne(delivery);
+  return attempt({ ...delivery, _id: insertedId }, { retry: false });
+};
+
+/**
+ * Poll for due deliveries every few seconds; called by connectToDb. The timer
+ * is unref'd so it never keeps the process alive.
+ * @returns {() => void} stops the worker
+ */
+export const startWebhookWorker = ({ everyMs = POLL_MS } = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return; // a slow receiver must not stack up overlapping runs
+    running = true;
+    try {
+      await deliverDue();
+    } catch (e) {
+      console.warn(`⚠️  Webhook delivery failed: ${e.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, everyMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,63 @@
+// src/graphql/limits.js
+import { GraphQLError, Kind } from 'graphql';
+
+/** Deepest field nesting an operation may use; real queries need three levels (watchItems → title → fields). */
+export const MAX_DEPTH = 6;
+/** Most fields one operation may select, counting every alias and every use of a fragment. */
+export const MAX_FIELDS = 200;
+
+const NONE = { depth: 0, fields: 0 };
+
+/**
+ * Validation rule that turns away operations nested deeper than MAX_DEPTH or
+ * selecting more than MAX_FIELDS fields, before any resolver runs. Run it
+ * with `specifiedRules`. Introspection (`__schema`, `__type`) is not counted:
+ * its size is bounded by the schema.
+ * @param {import('graphql').ValidationContext} context
+ */
+export const queryLimits = (context) => {
+  // Fragment name → its size, measured once however often it is spread (null while measuring it)
+  const fragments = new Map();
+
+  const measure = (selectionSet) => {
+    let depth = 0;
+    let fields = 0;
+    for (const selection of selectionSet?.selections ?? []) {
+      let size;
+      if (selection.kind === Kind.FIELD) {
+        const name = selection.name.value;
+        if (name.startsWith('__') && name !== '__typename') continue;
+        const inner = measure(selection.selectionSet);
+        size = { depth: inner.depth + 1, fields: inner.fields + 1 };
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        size = measure(selection.selectionSet);
+      } else {
+        size = fragment(selection.name.value);
+      }
+      depth = Math.max(depth, size.depth);
+      fields += size.fields;
+    }
+    return { depth, fields };
+  };
+
+  const fragment = (name) => {
+    // A cycle: NoFragmentCyclesRule reports those
+    if (fragments.has(name)) return fragments.get(name) ?? NONE;
+    fragments.set(name, null);
+    const size = measure(context.getFragment(name)?.selectionSet);
+    fragments.set(name, size);
+    return size;
+  };
+
+  return {
+    OperationDefinition(node) {
+      const { depth, fields } = measure(node.selectionSet);
+      if (depth > MAX_DEPTH) {
+        context.reportError(new GraphQLError(`Operation is nested ${depth} levels deep; the limit is ${MAX_DEPTH}`, { nodes: node }));
+      }
+      if (fields > MAX_FIELDS) {
+        context.reportError(new GraphQLError(`Operation selects ${fields} fields; the limit is ${MAX_FIELDS}`, { nodes: node }));
+      }
+    }
+  };
+};
@@ -0,0 +1,31 @@
+// src/graphql/loaders.js
+import DataLoader from 'dataloader';
+import { ObjectId } from 'mongodb';
+import { getDb } from '../db/connect.js';
+import { NOT_DELETED } from '../db/trash.js';
+
+/** Which collection a title came from, for the `Title` union. */
+export const KIND = Symbol('kind');
+
+/**
+ * Live (not trashed) documents by id string, one `$in` query per batch.
+ * Missing, trashed or malformed ids resolve to null.
+ */
+const byId = (collection) =>
+  new DataLoader(async (ids) => {
+    const valid = ids.filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id));
+    const docs = await getDb().collection(collection).find({ _id: { $in: valid }, ...NOT_DELETED }).toArray();
+    const found = new Map(docs.map((doc) => [String(doc._id), { ...doc, [KIND]: collection }]));
+    return ids.map((id) => found.get(String(id).toLowerCase()) ?? null);
+  });
+
+/**
+ * Per-request loaders for the documents watch items point at, so resolving
+ * `title` and `user` for a page of items costs one query per collection rather
+ * than one per item. Never share them between requests: they cache.
+ */
+export const createLoaders = () => ({
+  anime: byId('anime'),
+  manga: byId('manga'),
+  users: byId('users')
+});
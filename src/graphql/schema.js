@@ -0,0 +1,252 @@
+// src/graphql/schema.js
+import {
+  GraphQLBoolean,
+  GraphQLFloat,
+  GraphQLID,
+  GraphQLInputObjectType,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLSchema,
+  GraphQLString,
+  GraphQLUnionType,
+  Kind
+} from 'graphql';
+import { z } from 'zod';
+import { jwtCheck, needRead } from '../middleware/auth.js';
+import { loadCurrentUser } from '../middleware/currentUser.js';
+import animeRouter from '../routes/anime.js';
+import mangaRouter from '../routes/manga.js';
+import usersRouter from '../routes/users.js';
+import watchlistsRouter from '../routes/watchlists.js';
+import { httpError } from '../utils/httpError.js';
+import { parseId } from '../utils/resourceRouter.js';
+import { KIND } from './loaders.js';
+
+/**
+ * The schema behind /graphql: Anime, Manga, User and WatchItem. Every query
+ * and mutation goes through the same resource operations as the REST routers
+ * (src/utils/resourceRouter.js), so each field
+ *
+ *   - runs the matching REST route's guards first (jwtCheck, needRead/needWrite, permissions)
+ *   - validates input with the resource's Zod schema, and runs its hooks (ownership, lifecycle)
+ *   - is audited, raises webhooks and shows up on GET /events like any REST write
+ *
+ * Object and input types are generated from the Zod schemas, as the OpenAPI
+ * components are. Enum fields are Strings, since values like `on-hold` aren't
+ * valid GraphQL names; Zod still rejects anything outside the enum.
+ * `WatchItem.title` and `WatchItem.user` resolve through batched loaders
+ * (./loaders.js), so a page of items costs one lookup per collection.
+ */
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO 8601 date-time, e.g. "2025-01-01T12:00:00.000Z"',
+  serialize: (value) => new Date(value).toISOString(),
+  parseValue: (value) => value, // the Zod schema coerces and validates it
+  parseLiteral: (ast) => (ast.kind === Kind.STRING ? ast.value : undefined)
+});
+
+/* ---------- Zod → GraphQL ---------- */
+
+// Wrappers that don't change the GraphQL type
+const unwrap = (t) => {
+  let inner = t;
+  while ([z.ZodOptional, z.ZodNullable, z.ZodDefault, z.ZodEffects].some((W) => inner instanceof W)) {
+    inner = inner instanceof z.ZodEffects ? inner.innerType() : inner._def.innerType;
+  }
+  return inner;
+};
+
+const typeOf = (t) => {
+  const inner = unwrap(t);
+  if (inner instanceof z.ZodArray) return new GraphQLList(new GraphQLNonNull(typeOf(inner.element)));
+  if (inner instanceof z.ZodNumber) return inner.isInt ? GraphQLInt : GraphQLFloat;
+  if (inner instanceof z.ZodBoolean) return GraphQLBoolean;
+  if (inner instanceof z.ZodDate) return DateTime;
+  return GraphQLString; // strings, enums, literals
+};
+
+const descriptionOf = (t) => t.description ?? unwrap(t).description;
+
+/** Fields of an object schema, or of every member of a discriminated union (watch items). */
+const shapeOf = (schema) => Object.assign({}, ...(schema.options ?? [schema]).map((o) => o.shape));
+
+const fieldsOf = (shape, toType) =>
+  Object.fromEntries(Object.entries(shape).map(([k, t]) => [k, { type: toType(t), description: descriptionOf(t) }]));
+
+/** Output type: the stored document as REST returns it, with `_id` as `id`. */
+const objectType = (name, resource, extra = () => ({})) =>
+  new GraphQLObjectType({
+    name,
+    description: `${resource.docs.item[0].toUpperCase()}${resource.docs.item.slice(1)}, as GET /${resource.name}/{id} returns it`,
+    fields: () => ({
+      id: { type: new GraphQLNonNull(GraphQLID), resolve: (doc) => String(doc._id) },
+      ...fieldsOf({ ...shapeOf(resource.schema), ...(resource.computed?.shape ?? {}) }, typeOf),
+      createdAt: { type: DateTime },
+      updatedAt: { type: DateTime },
+      ...extra()
+    })
+  });
+
+/** Input types: `<Name>Input` for creates (required as in the schema), `<Name>Patch` for merge-patch updates. */
+const inputTypes = (name, schema) => ({
+  create: new GraphQLInputObjectType({
+    name: `${name}Input`,
+    fields: fieldsOf(shapeOf(schema), (t) => (t.isOptional() ? typeOf(t) : new GraphQLNonNull(typeOf(t))))
+  }),
+  patch: new GraphQLInputObjectType({
+    name: `${name}Patch`,
+    description: 'Only the fields to change; null removes an optional field',
+    fields: fieldsOf(shapeOf(schema), typeOf)
+  })
+});
+
+/* ---------- Resolver helpers ---------- */
+
+/** Run a REST route's guards (Express middleware) against the GraphQL request. */
+const runGuards = async ({ req, res }, chain) => {
+  for (const middleware of chain.flat()) {
+    await new Promise((resolve, reject) => middleware(req, res, (err) => (err ? reject(err) : resolve())));
+  }
+};
+
+/**
+ * The request as a resource operation should see it for one mutation: `input`
+ * as its JSON body (so updates are merge patches), and no If-Match, which
+ * could not be meant for every field of the operation.
+ */
+const withBody = (req, body) => {
+  const { 'if-match': _ifMatch, ...headers } = req.headers;
+  return Object.create(req, {
+    body: { value: body },
+    headers: { value: { ...headers, 'content-type': 'application/json' } }
+  });
+};
+
+const LIST_ARGS = {
+  page: { type: GraphQLInt },
+  limit: { type: GraphQLInt, description: 'Default 20, max 100' },
+  after: { type: GraphQLID, description: 'Cursor paging: items after this id' },
+  sort: { type: GraphQLString, description: 'As on the REST list, e.g. "-rating,releaseYear"' },
+  filter: {
+    type: GraphQLString,
+    description: 'The REST list filters as a query string, e.g. "genre=Action&releaseYear[gte]=2000"'
+  }
+};
+
+const fetchOne = (resource) => async (_root, { id }, ctx) => {
+  await runGuards(ctx, resource.guards('get'));
+  try {
+    return await resource.load(ctx.req, parseId(id));
+  } catch (err) {
+    if (err?.statusCode === 404) return null;
+    throw err;
+  }
+};
+
+const fetchList = (resource) => async (_root, { filter, ...args }, ctx) => {
+  await runGuards(ctx, resource.guards('list'));
+  const query = {
+    ...Object.fromEntries(new URLSearchParams(filter ?? '')),
+    ...Object.fromEntries(Object.entries(args).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)]))
+  };
+  if ('includeDeleted' in query) throw httpError(400, 'includeDeleted is only available on the REST routes');
+  return resource.list(ctx.req, resource.parseList(query));
+};
+
+const create = (resource) => async (_root, { input }, ctx) => {
+  await runGuards(ctx, resource.guards('create'));
+  return resource.create(withBody(ctx.req, input), resource.schema.parse(input));
+};
+
+const update = (resource) => async (_root, { id, input }, ctx) => {
+  await runGuards(ctx, resource.guards('patch'));
+  return resource.patch(withBody(ctx.req, input), parseId(id));
+};
+
+const remove = (resource) => async (_root, { id }, ctx) => {
+  await runGuards(ctx, resource.guards('delete'));
+  await resource.remove(withBody(ctx.req, {}), parseId(id));
+  return true;
+};
+
+/* ---------- Schema ---------- */
+
+const Anime = objectType('Anime', animeRouter.resource);
+const Manga = objectType('Manga', mangaRouter.resource);
+const User = objectType('User', usersRouter.resource);
+
+const Title = new GraphQLUnionType({
+  name: 'Title',
+  description: 'An anime or a manga',
+  types: [Anime, Manga],
+  resolveType: (doc) => (doc[KIND] === 'anime' ? 'Anime' : 'Manga')
+});
+
+const WatchItem = objectType('WatchItem', watchlistsRouter.resource, () => ({
+  title: {
+    type: Title,
+    description: 'The anime or manga `refId` points at (null once it is gone or in the trash)',
+    resolve: (item, _args, { loaders }) => (item.refId ? loaders[item.kind].load(item.refId) : null)
+  },
+  user: {
+    type: User,
+    description: 'The owner',
+    resolve: (item, _args, { loaders }) => (item.userId ? loaders.users.load(item.userId) : null)
+  }
+}));
+
+const RESOURCES = [
+  { type: Anime, one: 'anime', many: 'animeList', resource: animeRouter.resource },
+  { type: Manga, one: 'manga', many: 'mangaList', resource: mangaRouter.resource },
+  { type: User, one: 'user', many: 'users', resource: usersRouter.resource },
+  { type: WatchItem, one: 'watchItem', many: 'watchItems', resource: watchlistsRouter.resource }
+];
+
+const nonNull = (type) => new GraphQLNonNull(type);
+const idArg = { id: { type: nonNull(GraphQLID) } };
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: () => ({
+    ...Object.fromEntries(RESOURCES.flatMap(({ type, one, many, resource }) => [
+      [one, { type, args: idArg, resolve: fetchOne(resource) }],
+      [many, {
+        type: nonNull(new GraphQLList(nonNull(type))),
+        description: `One page of ${resource.docs.items}, as GET /${resource.name} would list them`,
+        args: LIST_ARGS,
+        resolve: fetchList(resource)
+      }]
+    ])),
+    me: {
+      type: User,
+      description: "The caller's profile (as GET /me)",
+      resolve: async (_root, _args, ctx) => {
+        await runGuards(ctx, [jwtCheck, needRead, loadCurrentUser]);
+        return ctx.req.user;
+      }
+    }
+  })
+});
+
+const Mutation = new GraphQLObjectType({
+  name: 'Mutation',
+  fields: () => Object.fromEntries(RESOURCES.flatMap(({ type, resource }) => {
+    const inputs = inputTypes(type.name, resource.schema);
+    return [
+      [`create${type.name}`, { type: nonNull(type), args: { input: { type: nonNull(inputs.create) } }, resolve: create(resource) }],
+      [`update${type.name}`, { type: nonNull(type), args: { ...idArg, input: { type: nonNull(inputs.patch) } }, resolve: update(resource) }],
+      [`delete${type.name}`, {
+        type: nonNull(GraphQLBoolean),
+        description: 'Moves it to the trash, as DELETE does',
+        args: idArg,
+        resolve: remove(resource)
+      }]
+    ];
+  }))
+});
+
+export const schema = new GraphQLSchema({ query: Query, mutation: Mutation });
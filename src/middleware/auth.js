@@ -1,5 +1,6 @@
 // src/middleware/auth.js
 import { auth, requiredScopes } from 'express-oauth2-jwt-bearer';
+import { httpError } from '../utils/httpError.js';
 
 /**
  * W06: Real JWT/OAuth checks using Auth0 (recommended).
@@ -12,6 +13,10 @@ import { auth, requiredScopes } from 'express-oauth2-jwt-bearer';
  *   - AUTH0_DOMAIN              e.g. your-tenant.us.auth0.com (used if ISSUER_BASE_URL not set)
  *   - AUTH_DISABLE=true         Bypass all auth checks (DEV ONLY)
  *   - AUTH_ROLE_CLAIM           Custom claim key for roles (default: https://example.com/roles)
+ *   - AUTH_ROLES_FROM_DB=true   Use the linked user's `role` when a token has no role claim (local dev)
+ *
+ * When auth is off, send `X-Debug-User: <sub or user _id>` to act as that user
+ * (ownership checks then apply, and admin comes from that user's `role`).
  *
  * Usage on routes:
  *   router.post('/', jwtCheck, needWrite, handler)
@@ -43,38 +48,99 @@ if (!hasAuthConfig && !AUTH_DISABLED) {
   );
 }
 
-/** Validates RS256 JWTs when configured; else no-op for dev. */
-export const jwtCheck =
+/** Auth settings from the env above; `false` when validation is off. */
+export const authFromEnv = () =>
   hasAuthConfig && !AUTH_DISABLED
-    ? auth({
-        audience: process.env.AUTH0_AUDIENCE,
-        issuerBaseURL: ISSUER_BASE_URL,
-        tokenSigningAlg: 'RS256'
-      })
-    : noop;
+    ? { audience: process.env.AUTH0_AUDIENCE, issuerBaseURL: ISSUER_BASE_URL, tokenSigningAlg: 'RS256' }
+    : false;
+
+/**
+ * Roles come from a custom claim like: { "https://example.com/roles": ["editor"] }
+ * Configure this in your IdP rule/action. Adjust the claim name to your setup.
+ */
+const ROLE_CLAIM = process.env.AUTH_ROLE_CLAIM || 'https://example.com/roles';
+
+/** Local dev: tokens without the role claim take the linked user's `role` instead. */
+const ROLES_FROM_DB = String(process.env.AUTH_ROLES_FROM_DB || '').toLowerCase() === 'true';
+
+let verifier = noop;
+let optionalVerifier = noop;
+let rolesFromDb = ROLES_FROM_DB;
+
+/** True when real JWT validation is active (configured and not disabled). */
+export let authEnforced = false;
+
+/**
+ * Switch JWT validation on or off. createApp calls this with its `auth`
+ * option; without one the env settings apply.
+ * @param {false | import('express-oauth2-jwt-bearer').AuthOptions & { rolesFromDb?: boolean }} options
+ *   `false` disables checks; otherwise passed to `auth()` — e.g.
+ *   `{ audience, issuer, secret, tokenSigningAlg: 'HS256' }` for tests.
+ *   `rolesFromDb` overrides AUTH_ROLES_FROM_DB.
+ */
+export const configureAuth = (options = authFromEnv()) => {
+  const { rolesFromDb: fromDb = ROLES_FROM_DB, ...verify } = options || {};
+  authEnforced = Boolean(options);
+  rolesFromDb = fromDb;
+  verifier = options ? auth(verify) : noop;
+  optionalVerifier = options ? auth({ ...verify, authRequired: false }) : noop;
+};
+
+configureAuth();
+
+/** Validates JWTs when enforced; else no-op for dev. */
+export const jwtCheck = (req, res, next) => verifier(req, res, next);
+
+/**
+ * Sets req.auth when a valid token is sent, without requiring one (e.g. so
+ * rate limits can count by subject). A bad token leaves the request anonymous;
+ * jwtCheck on the route still rejects it.
+ */
+export const identify = (req, res, next) =>
+  optionalVerifier(req, res, (err) => {
+    if (err) delete req.auth;
+    next();
+  });
 
 /** Scope guards (use these if you assign scopes in your IdP). */
-const reqScopes = (scopes) =>
-  hasAuthConfig && !AUTH_DISABLED ? requiredScopes(scopes) : noop;
+const reqScopes = (scopes) => {
+  const check = requiredScopes(scopes);
+  return (req, res, next) => (authEnforced ? check(req, res, next) : next());
+};
 
 export const needWrite = reqScopes('write:library'); // protect POST/PUT/DELETE
 export const needRead = reqScopes('read:library'); // optional for GETs
 
+export const ROLES = ['user', 'editor', 'admin'];
+
 /**
- * Optional: Admin role guard.
- * Expects a custom claim like: { "https://example.com/roles": ["admin"] }
- * Configure this in your IdP rule/action. Adjust the claim name to your setup.
+ * The caller's roles.
+ * Auth off: every role, unless X-Debug-User is set — then the loaded user's
+ * role decides (see loadCurrentUser). Auth on: the role claim, falling back to
+ * the loaded user's role when AUTH_ROLES_FROM_DB=true and the claim is absent.
+ * @returns {string[]}
  */
-const ROLE_CLAIM = process.env.AUTH_ROLE_CLAIM || 'https://example.com/roles';
+export const rolesOf = (req) => {
+  const own = req.user?.role ? [req.user.role] : [];
+  if (!authEnforced) return req.get('x-debug-user') ? own : ROLES;
+  const claim = req?.auth?.payload?.[ROLE_CLAIM];
+  if (Array.isArray(claim)) return claim;
+  return rolesFromDb ? own : [];
+};
+
+/** Admin check for use inside handlers. */
+export const isAdmin = (req) => rolesOf(req).includes('admin');
 
-export const requireAdmin = (req, res, next) => {
-  if (AUTH_DISABLED || !hasAuthConfig) return next();
-  const roles = Array.isArray(req?.auth?.payload?.[ROLE_CLAIM])
-    ? req.auth.payload[ROLE_CLAIM]
-    : [];
-  if (roles.includes('admin')) return next();
-  return res.status(403).json({ message: 'Admin role required' });
+export const requireAdmin = (req, _res, next) => {
+  if (isAdmin(req)) return next();
+  return next(httpError(403, 'Admin role required'));
 };
 
-/** Helper: get subject/user id from JWT (e.g., "auth0|123") */
-export const getUserSub = (req) => req?.auth?.payload?.sub || null;
+/**
+ * Helper: get subject/user id from JWT (e.g., "auth0|123").
+ * Auth off: the X-Debug-User header stands in for the subject.
+ */
+export const getUserSub = (req) => {
+  if (!authEnforced) return req.get('x-debug-user') || null;
+  return req?.auth?.payload?.sub || null;
+};
@@ -0,0 +1,195 @@
+// src/middleware/cache.js
+import { afterCommit } from '../db/connect.js';
+import { getUserSub, rolesOf } from './auth.js';
+
+/**
+ * Server-side caching of reads that rarely change, per route group (like rate
+ * limits). Only `GET /<group>` and `GET /<group>/:id` are cached: 200 answers
+ * are kept with their Content-Type, ETag, X-Total-Count and Link headers and
+ * replayed with `X-Cache: HIT` (If-None-Match still gets a 304).
+ *
+ *   key          path + sorted query string; for `private` groups also the caller
+ *                (JWT subject, scope and role claim), and anonymous callers skip the cache
+ *   invalidation every audited write (recordAudit) and review score refresh drops the
+ *                entries of each group that depends on the written collection, once its
+ *                transaction commits: REST writes, imports, GraphQL mutations and the
+ *                trash purge alike. Writes that race a read keep it from being stored
+ *   headers      `Cache-Control: public, max-age=<maxAge>` (private groups: `private, no-cache`)
+ *
+ * ?includeDeleted= (trash) requests are never cached.
+ *
+ * Stores implement (each may return a promise):
+ *   get(key) → entry | undefined
+ *   set(key, entry, { ttlMs, tags })
+ *   invalidate(tag)    drop every entry set with `tag` (a collection name)
+ *   clear()
+ *   size() → number
+ * The default, an in-memory LRU, is per instance: each one only hears of its
+ * own writes, so other instances serve stale reads for up to `ttlMs`. A store
+ * shared by every instance (e.g. Redis) does not have that gap.
+ */
+
+// GET /anime and GET /anime/:id, not /anime/export or /anime/:id/history
+const CACHEABLE_PATH = /^\/?(?:[0-9a-fA-F]{24})?$/;
+const STORED_HEADERS = ['Content-Type', 'ETag', 'X-Total-Count', 'Link'];
+
+/** In-memory LRU: the least recently read entry goes once there are more than `maxEntries`. */
+export const createLruStore = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map(); // oldest first: reads move an entry to the end
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return undefined;
+      entries.delete(key);
+      if (item.expiresAt <= Date.now()) return undefined;
+      entries.set(key, item);
+      return item.entry;
+    },
+    async set(key, entry, { ttlMs, tags = [] }) {
+      entries.delete(key);
+      entries.set(key, { entry, tags, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async invalidate(tag) {
+      for (const [key, item] of entries) if (item.tags.includes(tag)) entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    async size() {
+      return entries.size;
+    }
+  };
+};
+
+// Every response cache in this process, for invalidateCached
+const caches = new Set();
+
+/**
+ * Drop cached responses that depend on these collections once the write's
+ * transaction commits; called by recordAudit and refreshTitleScore.
+ * @param {string[]} collections
+ * @param {import('mongodb').ClientSession} [session]
+ */
+export const invalidateCached = (collections, session) => {
+  if (!caches.size) return;
+  const tags = [...new Set(collections)];
+  afterCommit(session, () => {
+    for (const cache of caches) cache.invalidate(tags);
+  });
+};
+
+/** Longest configured prefix that covers `path` (as for rate limits). */
+const groupFor = (groups, path) =>
+  Object.keys(groups)
+    .filter((prefix) => path === prefix || path.startsWith(`${prefix}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+const canonicalQuery = (query) =>
+  new URLSearchParams(
+    Object.keys(query).sort().flatMap((k) => [query[k]].flat().map((v) => [k, String(v)]))
+  ).toString();
+
+/** Who a private entry belongs to: everything about the caller that can change the answer. */
+const callerOf = (req) => {
+  const sub = getUserSub(req);
+  return sub && JSON.stringify([sub, req.auth?.payload?.scope ?? '', rolesOf(req)]);
+};
+
+const warn = (req, action, err) => console.warn(`⚠️  [${req?.id ?? '-'}] Response cache ${action} failed: ${err.message}`);
+
+/**
+ * @param {object} options
+ * @param {Record<string, { ttlMs: number, maxAge?: number, private?: boolean, collections?: string[] }>} options.groups
+ *   path prefix → how long entries live (ms), how long clients may reuse them (seconds, public
+ *   groups only; default 0), whether they are per caller, and which collections' writes
+ *   invalidate them (default: the one named by the prefix)
+ * @param {object} [options.store]  default: createLruStore()
+ * @returns {import('express').RequestHandler & { stats: Function, flush: Function, invalidate: Function }}
+ */
+export const createResponseCache = ({ groups, store = createLruStore() }) => {
+  const counts = { hits: 0, misses: 0, stored: 0, invalidations: 0 };
+  const since = new Date();
+  // Bumped by each invalidation; a read that saw another value may be stale, so it isn't stored
+  const generations = new Map();
+  const generationOf = (tags) => tags.map((t) => generations.get(t) ?? 0).join('.');
+  const tagsOf = (prefix) => groups[prefix].collections ?? [prefix.slice(1)];
+
+  const invalidate = async (tags) => {
+    for (const tag of tags) generations.set(tag, (generations.get(tag) ?? 0) + 1);
+    counts.invalidations += 1;
+    try {
+      await Promise.all(tags.map((tag) => store.invalidate(tag)));
+    } catch (err) { warn(null, 'invalidation', err); }
+  };
+
+  const middleware = async (req, res, next) => {
+    if (req.method !== 'GET' || 'includeDeleted' in req.query) return next();
+    const prefix = groupFor(groups, req.path);
+    if (!prefix || !CACHEABLE_PATH.test(req.path.slice(prefix.length))) return next();
+    const group = groups[prefix];
+    const caller = group.private ? callerOf(req) : '';
+    if (group.private && !caller) return next();
+
+    const key = `${req.path}?${canonicalQuery(req.query)}${caller ? `|${caller}` : ''}`;
+    const cacheControl = group.private ? 'private, no-cache' : `public, max-age=${group.maxAge ?? 0}`;
+    let hit;
+    try {
+      hit = await store.get(key);
+    } catch (err) {
+      warn(req, 'read', err);
+      return next();
+    }
+    if (hit) {
+      counts.hits += 1;
+      return res.status(200).set({ ...hit.headers, 'Cache-Control': cacheControl, 'X-Cache': 'HIT' }).send(hit.body);
+    }
+
+    counts.misses += 1;
+    res.set('X-Cache', 'MISS');
+    const tags = tagsOf(prefix);
+    const generation = generationOf(tags);
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      if (res.statusCode === 200) {
+        body = JSON.stringify(value);
+        res.set('Cache-Control', cacheControl);
+      }
+      return json(value);
+    };
+    res.on('finish', () => {
+      // 304s carry no body to keep; the next plain GET stores it
+      if (res.statusCode !== 200 || body === undefined || generationOf(tags) !== generation) return;
+      const headers = Object.fromEntries(STORED_HEADERS.filter((h) => res.get(h)).map((h) => [h, res.get(h)]));
+      Promise.resolve(store.set(key, { headers, body }, { ttlMs: group.ttlMs, tags }))
+        .then(() => { counts.stored += 1; })
+        .catch((err) => warn(req, 'write', err));
+    });
+    next();
+  };
+
+  /** Hit/miss counters since the app started, the number of stored entries and the groups. */
+  const stats = async () => ({
+    ...counts,
+    hitRate: counts.hits + counts.misses ? Math.round((counts.hits / (counts.hits + counts.misses)) * 1000) / 1000 : 0,
+    entries: await store.size(),
+    groups: Object.fromEntries(Object.keys(groups).map((prefix) => [prefix, {
+      ttlMs: groups[prefix].ttlMs,
+      private: Boolean(groups[prefix].private),
+      collections: tagsOf(prefix)
+    }])),
+    since
+  });
+
+  /** Drop the entries that depend on `collection`, or every entry. */
+  const flush = async (collection) => {
+    if (collection) return invalidate([collection]);
+    for (const prefix of Object.keys(groups)) tagsOf(prefix).forEach((tag) => generations.set(tag, (generations.get(tag) ?? 0) + 1));
+    await store.clear();
+  };
+
+  const cache = Object.assign(middleware, { stats, flush, invalidate });
+  caches.add(cache);
+  return cache;
+};
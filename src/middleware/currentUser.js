@@ -0,0 +1,106 @@
+// src/middleware/currentUser.js
+import { ObjectId } from 'mongodb';
+import { z } from 'zod';
+import { recordAudit } from '../db/audit.js';
+import { getDb } from '../db/connect.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { httpError } from '../utils/httpError.js';
+import { authEnforced, getUserSub } from './auth.js';
+
+/**
+ * Maps the caller's JWT subject to a `users` document.
+ *
+ *   loadCurrentUser  sets req.user (or null) once per request
+ *   requireUser      same, but 401 without a subject and 403 without a linked user
+ *
+ * Place after jwtCheck so req.auth is populated. With JWT validation on, a
+ * subject seen for the first time is provisioned: a `users` document is
+ * upserted from the token's email/name claims (AUTH_EMAIL_CLAIM /
+ * AUTH_NAME_CLAIM). Tokens without a valid email claim are not provisioned.
+ * Provisioning and linking are recorded in the audit log.
+ *
+ * A profile in the trash counts as no profile: its subject gets req.user null
+ * (403 from requireUser) and is not provisioned again until it is restored or purged.
+ */
+
+const EMAIL_CLAIM = process.env.AUTH_EMAIL_CLAIM || 'email';
+const NAME_CLAIM = process.env.AUTH_NAME_CLAIM || 'name';
+
+const Email = z.string().trim().email();
+
+const users = () => getDb().collection('users');
+
+const findUserBySub = (sub) => {
+  const or = [{ sub }];
+  // Dev convenience: X-Debug-User may also carry a users._id
+  if (!authEnforced && /^[0-9a-fA-F]{24}$/.test(sub)) or.push({ _id: new ObjectId(sub) });
+  return users().findOne({ $or: or, ...NOT_DELETED });
+};
+
+/**
+ * Upsert the profile for `sub` from token claims. A hand-made profile with the
+ * same email (and no `sub` yet) is linked only when the IdP verified the email;
+ * otherwise the email clash is a 409.
+ */
+const provisionUser = async (req, sub, claims) => {
+  const email = Email.safeParse(claims[EMAIL_CLAIM]);
+  if (!email.success) return null;
+  const displayName = String(claims[NAME_CLAIM] || claims.nickname || email.data.split('@')[0]);
+  const now = new Date();
+  try {
+    const { value: user, lastErrorObject } = await users().findOneAndUpdate(
+      { sub },
+      { $setOnInsert: { email: email.data, displayName, role: 'user', sub, createdAt: now, updatedAt: now } },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (user.deletedAt) return null; // trashed: unique_sub still holds it
+    // A concurrent first request may have inserted it; only the inserting one records it
+    if (!lastErrorObject?.updatedExisting) {
+      await recordAudit(req, { action: 'provision', resource: 'users', resourceId: user._id, after: user });
+    }
+    return user;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    // A concurrent first request may have won the upsert on `sub`
+    const bySub = await users().findOne({ sub });
+    if (bySub) return bySub.deletedAt ? null : bySub;
+    if (claims.email_verified === true) {
+      const linked = await users().findOneAndUpdate(
+        { email: email.data, sub: { $exists: false }, ...NOT_DELETED },
+        { $set: { sub, updatedAt: now } },
+        { returnDocument: 'after', collation: { locale: 'en', strength: 2 } }
+      );
+      if (linked) {
+        const { sub: _linkedSub, ...before } = linked;
+        await recordAudit(req, { action: 'link', resource: 'users', resourceId: linked._id, before, after: linked });
+        return linked;
+      }
+    }
+    throw httpError(409, 'A user with this email already exists');
+  }
+};
+
+const currentUserOf = async (req, sub) => {
+  const found = await findUserBySub(sub);
+  if (found || !authEnforced) return found;
+  return provisionUser(req, sub, req.auth?.payload ?? {});
+};
+
+export const loadCurrentUser = async (req, _res, next) => {
+  try {
+    if (req.user !== undefined) return next(); // already loaded earlier in the chain
+    const sub = getUserSub(req);
+    req.user = sub ? await currentUserOf(req, sub) : null;
+    next();
+  } catch (err) { next(err); }
+};
+
+export const requireUser = async (req, _res, next) => {
+  try {
+    const sub = getUserSub(req);
+    if (!sub) throw httpError(401, 'Authentication required');
+    req.user = await currentUserOf(req, sub);
+    if (!req.user) throw httpError(403, 'No user profile is linked to this account');
+    next();
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,53 @@
+// src/middleware/permissions.js
+import { rolesOf } from './auth.js';
+import { loadCurrentUser } from './currentUser.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Role-based access control: which roles hold each permission.
+ *
+ *   user    own profile, own watchlist, own reviews (no entry needed — ownership checks cover it)
+ *   editor  + the anime/manga catalog
+ *   admin   + users, roles, bulk import/export, anyone's watchlist and reviews, the trash, webhooks,
+ *           the response cache
+ *
+ * Scopes (needRead/needWrite) still gate what a token may do at all; these
+ * decide what the caller's role may do with it.
+ */
+export const PERMISSIONS = {
+  'catalog:write': ['editor', 'admin'],   // create/update/delete anime & manga
+  'catalog:bulk': ['admin'],              // import/export
+  'users:manage': ['admin'],              // list, create, edit or delete any profile
+  'users:roles': ['admin'],               // change `role` or the linked `sub`
+  'watchlists:any': ['admin'],            // read/write other users' watchlist items
+  'reviews:moderate': ['admin'],          // delete other users' reviews
+  'catalog:history': ['editor', 'admin'], // GET /anime/:id/history, /manga/:id/history
+  'audit:read': ['admin'],                // GET /audit: every change to every record
+  'trash:manage': ['admin'],              // ?includeDeleted=true, POST /:id/restore, DELETE /:id?hard=true
+  'webhooks:manage': ['admin'],           // /webhooks: subscriptions, delivery log, test pings
+  'cache:manage': ['admin']               // /admin/cache: hit/miss stats and flushes
+};
+
+/** Whether the caller's roles grant `permission` (see PERMISSIONS). */
+export const can = (req, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission "${permission}"`);
+  return rolesOf(req).some((role) => allowed.includes(role));
+};
+
+/**
+ * Route guard: 403 unless the caller holds `permission`.
+ * Loads req.user first so AUTH_ROLES_FROM_DB / X-Debug-User roles apply.
+ * The returned middleware array carries `.permission` so generated docs can name the roles.
+ */
+export const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission "${permission}"`);
+  const guard = [
+    loadCurrentUser,
+    (req, _res, next) => {
+      if (can(req, permission)) return next();
+      return next(httpError(403, `Requires role: ${PERMISSIONS[permission].join(' or ')}`));
+    }
+  ];
+  return Object.assign(guard, { permission });
+};
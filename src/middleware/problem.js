@@ -0,0 +1,114 @@
+// src/middleware/problem.js
+import { randomUUID } from 'node:crypto';
+import { STATUS_CODES } from 'node:http';
+import { z } from 'zod';
+import { BSON } from 'mongodb';
+import { InvalidRequestError, UnauthorizedError } from 'express-oauth2-jwt-bearer';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * RFC 7807 error responses. Every error reaching the central handler becomes
+ * `application/problem+json`:
+ *
+ *   { type, title, status, detail, instance, requestId, errors? }
+ *
+ *   httpError(...)            its status/message; `errors` (and `headers`, e.g. Retry-After) carried through
+ *   ZodError                  400 /problems/validation-error, `errors` = err.flatten()
+ *   MongoDB duplicate key     409 /problems/duplicate-key
+ *   malformed ObjectId        400 /problems/invalid-id
+ *   JWT / scope failures      401 /problems/unauthorized, 403 /problems/insufficient-scope
+ *   body-parser rejections    400 /problems/malformed-body, 413, 415
+ *   anything else             500, details logged (with the request id) but not sent
+ *
+ * `type` is a URI reference relative to the API; `about:blank` means the
+ * status code says it all (title = the HTTP reason phrase).
+ */
+
+export const PROBLEM_JSON = 'application/problem+json';
+
+const problemType = (slug) => `/problems/${slug}`;
+
+/** Tag each request with an id (echoing a sane caller-supplied X-Request-Id) for logs and problems. */
+export const requestId = (req, res, next) => {
+  const given = req.get('x-request-id');
+  req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { status: 400, slug: 'malformed-body', detail: 'Request body is not valid JSON' },
+  'entity.verify.failed': { status: 400, slug: 'malformed-body', detail: 'Request body failed verification' },
+  'request.aborted': { status: 400, slug: 'malformed-body', detail: 'Request body was not received completely' },
+  'request.size.invalid': { status: 400, slug: 'malformed-body', detail: 'Request body size does not match Content-Length' },
+  'entity.too.large': { status: 413, slug: 'payload-too-large', detail: 'Request body is too large' },
+  'encoding.unsupported': { status: 415, slug: 'unsupported-encoding', detail: 'Unsupported Content-Encoding' },
+  'charset.unsupported': { status: 415, slug: 'unsupported-encoding', detail: 'Unsupported charset' }
+};
+
+/** → { status, type, title, detail, errors?, headers? }; also how GraphQL resolver errors are reported */
+export const classify = (err) => {
+  if (err instanceof z.ZodError) {
+    return {
+      status: 400,
+      type: problemType('validation-error'),
+      title: 'Validation error',
+      detail: 'The request did not pass validation; see `errors`',
+      errors: err.flatten()
+    };
+  }
+
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyPattern ?? err.keyValue ?? {}).join(', ');
+    return {
+      status: 409,
+      type: problemType('duplicate-key'),
+      title: 'Conflict',
+      detail: field ? `Another record already has this ${field}` : 'Another record already has this value'
+    };
+  }
+
+  if (BSON.BSONError.isBSONError(err)) {
+    return { status: 400, type: problemType('invalid-id'), title: 'Invalid id', detail: 'Ids are 24-character hex ObjectIds' };
+  }
+
+  if (err instanceof UnauthorizedError) {
+    // No token at all comes through as a codeless invalid_request (400); RFC 6750 says 401
+    const missing = err instanceof InvalidRequestError && !err.code;
+    const status = missing ? 401 : err.status;
+    return {
+      status,
+      type: problemType(status === 403 ? 'insufficient-scope' : 'unauthorized'),
+      title: status === 403 ? 'Forbidden' : 'Unauthorized',
+      detail: missing ? 'Authentication required' : err.message,
+      headers: err.headers
+    };
+  }
+
+  const parser = BODY_PARSER_ERRORS[err?.type];
+  if (parser) {
+    return { status: parser.status, type: problemType(parser.slug), title: STATUS_CODES[parser.status], detail: parser.detail };
+  }
+
+  const status = err?.statusCode ?? err?.status;
+  if (err?.expose && status >= 400 && status < 600) {
+    return { status, type: 'about:blank', title: STATUS_CODES[status], detail: err.message, errors: err.errors, headers: err.headers };
+  }
+
+  return { status: 500, type: 'about:blank', title: STATUS_CODES[500], detail: 'Something went wrong; quote the requestId if you report it' };
+};
+
+/** Unknown routes. */
+export const notFound = (req, _res, next) => next(httpError(404, `No route for ${req.method} ${req.path}`));
+
+/** Central error handler (register last). */
+export const problemHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err); // mid-stream: let Express close the connection
+  const { status, type, title, detail, errors, headers } = classify(err);
+  if (status >= 500) console.error(`[${req.id}]`, err);
+  if (headers) res.set(headers);
+  res
+    .status(status)
+    .type(PROBLEM_JSON)
+    .json({ type, title, status, detail, instance: req.originalUrl, requestId: req.id, ...(errors ? { errors } : {}) });
+};
@@ -0,0 +1,118 @@
+// src/middleware/rateLimit.js
+import { getDb } from '../db/connect.js';
+import { httpError } from '../utils/httpError.js';
+import { authEnforced, getUserSub } from './auth.js';
+
+/**
+ * Fixed-window rate limits per route group, with separate budgets for reads
+ * (GET/HEAD) and writes (everything else).
+ *
+ * Callers are counted by JWT subject when they send a valid token (see
+ * `identify` in auth.js), otherwise by IP. The IP is `req.ip`, so the app's
+ * `trust proxy` setting decides which X-Forwarded-For hop is believed.
+ *
+ * Limited responses carry `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` (seconds) and `RateLimit-Policy` (IETF draft headers).
+ * Over budget → 429 problem with `Retry-After`.
+ *
+ * Stores implement `increment(key, windowMs) → Promise<{ count, resetAt }>`
+ * (`resetAt` in epoch ms); windows are aligned to multiples of `windowMs`.
+ */
+
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+const windowOf = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+};
+
+/** Per-process counters: local dev and single-instance deploys. */
+export const createMemoryStore = ({ sweepMs = 60_000 } = {}) => {
+  const windows = new Map();
+  // Drop finished windows so idle callers don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, sweepMs).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const { start, resetAt } = windowOf(windowMs);
+      const id = `${key}@${start}`;
+      const count = (windows.get(id)?.count ?? 0) + 1;
+      windows.set(id, { count, resetAt });
+      return { count, resetAt };
+    }
+  };
+};
+
+/**
+ * Counters in MongoDB, so every instance shares one budget. Expired windows are
+ * removed by the TTL index on `expiresAt` (src/db/indexes.js).
+ */
+export const createMongoStore = ({ collection = 'rateLimits' } = {}) => ({
+  async increment(key, windowMs) {
+    const { start, resetAt } = windowOf(windowMs);
+    const bump = () =>
+      getDb().collection(collection).findOneAndUpdate(
+        { _id: `${key}@${start}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+    // Two first hits racing to upsert: the loser gets a duplicate key and retries as an update
+    const doc = await bump().catch((err) => {
+      if (err?.code === 11000) return bump();
+      throw err;
+    });
+    return { count: doc.count, resetAt };
+  }
+});
+
+/** Longest configured prefix that covers `path` ('/anime/import' beats '/anime'). */
+const groupFor = (groups, path) =>
+  Object.keys(groups)
+    .filter((prefix) => path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+/** Who a request counts against: the verified JWT subject, else the client IP. */
+const callerOf = (req) => {
+  const sub = authEnforced ? getUserSub(req) : null;
+  return sub ? `sub:${sub}` : `ip:${req.ip}`;
+};
+
+/**
+ * @param {object} options
+ * @param {Record<string, { windowMs: number, read?: number, write?: number }>} options.groups
+ *   path prefix → requests allowed per window; a missing budget leaves that kind unlimited,
+ *   and paths outside every group are not limited
+ * @param {{ increment: Function }} [options.store]  default: a memory store
+ */
+export const rateLimit = ({ groups, store = createMemoryStore() }) => async (req, res, next) => {
+  const group = groupFor(groups, req.path);
+  const kind = READ_METHODS.has(req.method) ? 'read' : 'write';
+  const limit = groups[group]?.[kind];
+  if (limit === undefined) return next();
+
+  const { windowMs } = groups[group];
+  let counted;
+  try {
+    counted = await store.increment(`${group}:${kind}:${callerOf(req)}`, windowMs);
+  } catch (err) {
+    // A store outage shouldn't take the API down with it
+    console.warn(`[${req.id}] Rate limit store failed; not limiting: ${err.message}`);
+    return next();
+  }
+
+  const reset = Math.max(1, Math.ceil((counted.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - counted.count)),
+    'RateLimit-Reset': String(reset),
+    'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`
+  });
+  if (counted.count <= limit) return next();
+
+  const err = httpError(429, `Rate limit of ${limit} ${kind}s per ${Math.round(windowMs / 1000)}s exceeded; retry in ${reset}s`);
+  err.headers = { 'Retry-After': String(reset) };
+  next(err);
+};
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { AUDITED, parseAuditList } from '../db/audit.js';
+import { getDb } from '../db/connect.js';
+import { jwtCheck, needRead } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { sendPage } from '../utils/listQuery.js';
+import { ref, responsesOf } from '../utils/openapi.js';
+
+const router = Router();
+
+router.get('/', jwtCheck, needRead, requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    await sendPage(req, res, getDb().collection('audit'), parseAuditList(req.query));
+  } catch (err) { next(err); }
+});
+
+/** GET /audit for swagger.js; its query parameters come from parseAuditList, so they can't drift from it. */
+router.openapi = {
+  tags: [{ name: 'Audit', description: `Who changed what in ${AUDITED.slice(0, -1).join(', ')} and ${AUDITED.at(-1)} (admin only)` }],
+  paths: {
+    '/audit': {
+      get: {
+        summary: 'Feed of every recorded change',
+        description:
+          'One entry per write — create, replace, patch, delete (to the trash), restore, purge, bulk import rows, ' +
+          'watchlist progress and profile provisioning — newest first. Filter by `actor` (JWT sub), `resource` and ' +
+          '`resourceId`, `action`, and a date range on `at` (e.g. `at[gte]=2025-01-01&at[lt]=2025-02-01`). ' +
+          '`after` pages towards older entries.',
+        tags: ['Audit'],
+        security: [{ bearerAuth: [] }],
+        parameters: parseAuditList.parameters,
+        responses: {
+          200: {
+            description: 'One page of audit entries',
+            headers: { 'X-Total-Count': ref('headers', 'XTotalCount'), Link: ref('headers', 'Link') },
+            content: { 'application/json': { schema: { type: 'array', items: ref('schemas', 'AuditEntry') } } }
+          },
+          ...responsesOf({ 400: 'Invalid query parameters', 401: 'Not authenticated', 403: 'Requires admin role' })
+        }
+      }
+    }
+  }
+};
+
+export default router;
@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { jwtCheck, needRead, needWrite } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+
+const router = Router();
+
+const FlushQuerySchema = z.object({
+  collection: z.string().trim().min(1).optional()
+    .describe('Only drop responses that depend on this collection, e.g. `anime` (default: everything)')
+}).strict();
+
+/** The app's response cache (createApp's `cache` option); 404 when caching is off. */
+const cacheOf = (req) => {
+  const cache = req.app.locals.responseCache;
+  if (!cache) throw httpError(404, 'Response caching is off');
+  return cache;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cache
+ *     description: The server-side response cache for catalog reads (admin only)
+ */
+
+/**
+ * @swagger
+ * /admin/cache:
+ *   get:
+ *     summary: Response cache statistics
+ *     description: >
+ *       Hits, misses and hit rate since this instance started, how many responses
+ *       are stored, and how each cached route group is configured. Counters are
+ *       per instance.
+ *     tags: [Cache]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CacheStats' }
+ *       401: { description: Not authenticated }
+ *       403: { description: Requires admin role }
+ *       404: { description: Response caching is off }
+ *   delete:
+ *     summary: Flush the response cache
+ *     description: >
+ *       Writes through the API invalidate cached responses on their own; this is
+ *       for data changed behind its back (e.g. a manual fix in MongoDB).
+ *     tags: [Cache]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: collection
+ *         description: Only drop responses that depend on this collection, e.g. `anime` (default everything)
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: Flushed }
+ *       400: { description: Invalid query parameters }
+ *       401: { description: Not authenticated }
+ *       403: { description: Requires admin role }
+ *       404: { description: Response caching is off }
+ */
+router.get('/', jwtCheck, needRead, requirePermission('cache:manage'), async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'no-store').status(200).json(await cacheOf(req).stats());
+  } catch (err) { next(err); }
+});
+
+router.delete('/', jwtCheck, needWrite, requirePermission('cache:manage'), async (req, res, next) => {
+  try {
+    const { collection } = FlushQuerySchema.parse(req.query);
+    await cacheOf(req).flush(collection);
+    res.status(204).send();
+  } catch (err) { next(err); }
+});
+
+export default router;
@@ -0,0 +1,149 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { FEED_COLLECTIONS, followChanges } from '../db/changeFeed.js';
+import { getUserSub, jwtCheck, needRead } from '../middleware/auth.js';
+import { loadCurrentUser } from '../middleware/currentUser.js';
+import { can } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+
+const router = Router();
+
+// Tells EventSource how long to wait before reconnecting
+const RETRY_MS = 3_000;
+// Comment lines that keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25_000;
+
+// Open streams on this instance; each holds a connection and, on a replica set, change stream listeners
+let subscribers = 0;
+
+const maxSubscribers = () => {
+  const raw = process.env.EVENTS_MAX_SUBSCRIBERS;
+  const max = raw === undefined || raw === '' ? 500 : Number(raw);
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error(`Invalid EVENTS_MAX_SUBSCRIBERS "${raw}". Use a whole number of at least 1`);
+  }
+  return max;
+};
+
+export const EventsQuerySchema = z
+  .object({
+    collection: z.enum(FEED_COLLECTIONS).optional()
+      .describe('Only changes to this collection (default: anime and manga, or watchlists with `mine=true`)'),
+    mine: z.enum(['true', 'false']).default('false').transform((v) => v === 'true')
+      .describe("Only the caller's own watchlist items (needs a token)")
+  })
+  .strict()
+  .refine((q) => !(q.mine && q.collection && q.collection !== 'watchlists'), {
+    message: '`mine` only applies to watchlists',
+    path: ['mine']
+  });
+
+// Watchlist items are private, so following them needs a caller; anime, manga and relations are public
+const wantsWatchlists = ({ collection, mine }) => mine || collection === 'watchlists';
+const callerGate = Router().use(jwtCheck, needRead, loadCurrentUser);
+const gate = (req, res, next) => {
+  const query = EventsQuerySchema.safeParse(req.query).data;
+  return query && wantsWatchlists(query) ? callerGate(req, res, next) : next();
+};
+
+/** Whose watchlist items the caller may follow: their own, unless an admin asks for all. */
+const ownerScope = (req, query) => {
+  if (!wantsWatchlists(query) || (!query.mine && can(req, 'watchlists:any'))) return undefined;
+  if (!req.user) {
+    throw getUserSub(req) ? httpError(403, 'No user profile is linked to this account') : httpError(401, 'Authentication required');
+  }
+  return String(req.user._id);
+};
+
+const frame = (fields) => `${Object.entries(fields).map(([k, v]) => `${k}: ${v}`).join('\n')}\n\n`;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Events
+ *     description: Live create, update and delete notifications over Server-Sent Events
+ */
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream changes as they happen (Server-Sent Events)
+ *     description: >
+ *       Keeps the connection open and sends one event per change to anime, manga,
+ *       watchlist items or relations: `data` is a JSON `ChangeEvent` (see Schemas),
+ *       `id` its position in the feed. Moving a record to the trash is a `delete` and
+ *       restoring it a `create`. Anime, manga and relations are public; `collection=watchlists`
+ *       needs a token and, except for admins, only shows the caller's own items,
+ *       as does `mine=true`.
+ *
+ *       EventSource reconnects on its own and sends `Last-Event-ID`, and the
+ *       stream resumes right after that event. When it can't (the id is too old
+ *       or unknown), an `event: reset` arrives first: refetch, then carry on.
+ *       Comment lines are sent every 25s to keep the connection alive.
+ *
+ *       Each instance serves a limited number of streams at once (`EVENTS_MAX_SUBSCRIBERS`,
+ *       default 500); beyond that the request gets a 503 with `Retry-After`.
+ *     tags: [Events]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EventsCollection'
+ *       - $ref: '#/components/parameters/EventsMine'
+ *       - in: header
+ *         name: Last-Event-ID
+ *         description: Id of the last event received; resume right after it
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: An endless `text/event-stream`
+ *         content:
+ *           text/event-stream:
+ *             schema: { type: string }
+ *             example: "id: 66b1c2d3e4f5a6b7c8d9e0f1\ndata: {\"collection\":\"anime\",\"operation\":\"update\",\"documentId\":\"665f6a0f2c3d4b1a9f0a1234\",\"at\":\"2025-01-01T12:00:00.000Z\"}\n\n"
+ *       400: { description: Invalid query parameters }
+ *       401: { description: Not authenticated (watchlists only) }
+ *       403: { description: No user profile is linked to this account (watchlists only) }
+ *       503:
+ *         description: Too many open streams on this instance; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After: { schema: { type: integer } }
+ */
+router.get('/', gate, async (req, res, next) => {
+  try {
+    const query = EventsQuerySchema.parse(req.query);
+    const collections = query.collection ? [query.collection] : query.mine ? ['watchlists'] : ['anime', 'manga'];
+    const userId = ownerScope(req, query);
+    if (subscribers >= maxSubscribers()) {
+      const err = httpError(503, 'Too many open event streams; retry shortly');
+      err.headers = { 'Retry-After': String(RETRY_MS / 1000) };
+      throw err;
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    const closed = new Promise((resolve) => res.on('close', resolve));
+    subscribers += 1;
+    try {
+      // Headers go out with the first write, once subscribed, so a client that sees them misses nothing
+      const stop = await followChanges({
+        collections,
+        userId,
+        since: req.get('last-event-id') || undefined,
+        onChange: ({ id, ...event }) => res.write(frame({ id, data: JSON.stringify(event) })),
+        // An empty id makes EventSource forget the stale Last-Event-ID
+        onReset: () => res.write(frame({ id: '', event: 'reset', data: '{}' })),
+        onError: (err) => {
+          console.warn(`⚠️  [${req.id}] Change feed ended: ${err.message}`);
+          res.end();
+        }
+      });
+      res.write(frame({ retry: RETRY_MS }));
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+      await closed;
+      clearInterval(heartbeat);
+      await stop();
+    } finally {
+      subscribers -= 1;
+    }
+  } catch (err) { next(err); }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import { franchiseOf } from '../db/relations.js';
+import { httpError } from '../utils/httpError.js';
+import { parseId } from '../utils/resourceRouter.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /franchises/{id}:
+ *   get:
+ *     summary: The franchise a title belongs to
+ *     description: >
+ *       Starting from any anime or manga id, follows relations in both directions
+ *       (`$graphLookup`) and returns every connected title, oldest first, with the
+ *       relations between them. A title in the trash is skipped, and so is
+ *       anything only reachable through it.
+ *     tags: [Relations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Any anime or manga id in the franchise
+ *         schema: { type: string, pattern: '^[0-9a-fA-F]{24}$' }
+ *     responses:
+ *       200:
+ *         description: The connected titles and relations
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Franchise' }
+ *       400: { description: Invalid id }
+ *       404: { description: No anime or manga with this id }
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const franchise = await franchiseOf(parseId(req.params.id));
+    if (!franchise) throw httpError(404, `No anime or manga with id ${req.params.id}`);
+    res.status(200).json(franchise);
+  } catch (err) { next(err); }
+});
+
+export default router;
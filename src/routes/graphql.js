@@ -0,0 +1,152 @@
+import { Router } from 'express';
+import { execute, getOperationAST, GraphQLError, parse, printSchema, specifiedRules, validate } from 'graphql';
+import { queryLimits } from '../graphql/limits.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { schema } from '../graphql/schema.js';
+import { classify } from '../middleware/problem.js';
+import { httpError } from '../utils/httpError.js';
+
+const router = Router();
+
+/**
+ * A resolver's error as GraphQL reports it: the same status, type and
+ * field errors the REST route would answer with, under `extensions`.
+ * Unexpected errors are logged and masked, as problem.js does.
+ */
+const formatError = (req, error) => {
+  const original = error.originalError;
+  if (!original || original instanceof GraphQLError) return error.toJSON(); // syntax, validation, variables
+  const { status, type, detail, errors } = classify(original);
+  if (status >= 500) console.error(`[${req.id}]`, original);
+  return { ...error.toJSON(), message: detail, extensions: { status, type, ...(errors ? { errors } : {}) } };
+};
+
+/** { query, variables, operationName } from a POST body or GET query string. */
+const paramsOf = (req) => {
+  if (req.method === 'POST') {
+    if (!req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
+    return req.body ?? {};
+  }
+  const { query, variables, operationName } = req.query;
+  try {
+    return { query, operationName, variables: variables ? JSON.parse(variables) : undefined };
+  } catch {
+    throw httpError(400, '`variables` must be JSON');
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GraphQL
+ *     description: Anime, manga, users and watch items in one round trip
+ */
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: Run a GraphQL query or mutation
+ *     description: >
+ *       Types `Anime`, `Manga`, `User` and `WatchItem` (whose `title` and `user`
+ *       resolve to the referenced records), generated from the same Zod schemas
+ *       as the REST bodies. Each field runs the REST route's guards, so send the
+ *       same bearer token; a field the caller may not see comes back null with
+ *       an error whose `extensions` carry the REST status (e.g. 401, 403) and
+ *       validation `errors`. Mutations are audited and raise webhooks and
+ *       `/events` like REST writes. The schema is at `GET /graphql/schema`.
+ *       An operation may nest fields at most 6 levels deep and select at most
+ *       200 fields (aliases and fragment uses count each time); larger ones get a 400.
+ *     tags: [GraphQL]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/GraphQLRequest' }
+ *           example:
+ *             query: '{ watchItems(filter: "status=watching") { id status progress title { ... on Anime { title episodes } } user { displayName } } }'
+ *     responses:
+ *       200:
+ *         description: '`data`, plus `errors` for fields that failed'
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/GraphQLResponse' }
+ *       400: { description: 'Missing query, syntax or validation error, or over the depth and field limits (GraphQL `errors` in the body)' }
+ *       415: { description: Unsupported Media Type }
+ *   get:
+ *     summary: Run a GraphQL query (no mutations)
+ *     tags: [GraphQL]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: query, required: true, schema: { type: string }, example: '{ animeList(limit: 5) { id title } }' }
+ *       - { in: query, name: variables, description: JSON object, schema: { type: string } }
+ *       - { in: query, name: operationName, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: '`data`, plus `errors` for fields that failed'
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/GraphQLResponse' }
+ *       400: { description: 'Missing query, syntax or validation error, or over the depth and field limits (GraphQL `errors` in the body)' }
+ *       405: { description: Mutations must be sent with POST }
+ */
+const handle = async (req, res, next) => {
+  try {
+    const { query, variables, operationName } = paramsOf(req);
+    if (typeof query !== 'string' || !query.trim()) throw httpError(400, 'A GraphQL `query` string is required');
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (syntaxError) {
+      return res.status(400).json({ errors: [syntaxError.toJSON()] });
+    }
+    const invalid = validate(schema, document, [...specifiedRules, queryLimits]);
+    if (invalid.length) return res.status(400).json({ errors: invalid.map((e) => e.toJSON()) });
+    if (req.method === 'GET' && getOperationAST(document, operationName)?.operation === 'mutation') {
+      const err = httpError(405, 'Mutations must be sent with POST');
+      err.headers = { Allow: 'POST' };
+      throw err;
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { req, res, loaders: createLoaders() }
+    });
+    res.status(200).json({
+      ...(result.errors ? { errors: result.errors.map((e) => formatError(req, e)) } : {}),
+      data: result.data
+    });
+  } catch (err) { next(err); }
+};
+
+router.get('/', handle);
+router.post('/', handle);
+
+/**
+ * @swagger
+ * /graphql/schema:
+ *   get:
+ *     summary: The GraphQL schema (SDL)
+ *     description: For code generators and editors; introspection queries work too.
+ *     tags: [GraphQL]
+ *     responses:
+ *       200:
+ *         description: Schema definition language
+ *         content:
+ *           text/plain:
+ *             schema: { type: string }
+ */
+router.get('/schema', (_req, res) => {
+  res.type('text/plain').send(printSchema(schema));
+});
+
+export default router;
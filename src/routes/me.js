@@ -0,0 +1,174 @@
+import { Router } from 'express';
+import { getDb } from '../db/connect.js';
+import { RecommendationQuerySchema, recommendFor } from '../db/recommendations.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { jwtCheck, needRead, needWrite } from '../middleware/auth.js';
+import { requireUser } from '../middleware/currentUser.js';
+import { sendWithEtag } from '../utils/etag.js';
+import { httpError } from '../utils/httpError.js';
+import { sendPage } from '../utils/listQuery.js';
+import { ref, responsesOf } from '../utils/openapi.js';
+import { patchUser } from './users.js';
+import watchlistsRouter from './watchlists.js';
+
+const router = Router();
+
+// GET /watchlists options that make no sense for the caller's own items
+const NOT_ON_ME = ['userId', 'includeDeleted'];
+
+/** GET /watchlists' query (paging, sort, filters, ?expand=) minus NOT_ON_ME. */
+export const parseMyWatchlist = (query) => {
+  const unsupported = NOT_ON_ME.filter((key) => key in query);
+  if (unsupported.length) throw httpError(400, `Not supported on /me/watchlist: ${unsupported.join(', ')}`);
+  return watchlistsRouter.resource.parseList(query);
+};
+parseMyWatchlist.parameters = watchlistsRouter.resource.parseList.parameters.filter((p) => !NOT_ON_ME.includes(p.name));
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Me
+ *     description: Views scoped to the authenticated caller
+ */
+
+/**
+ * @openapi
+ * /me:
+ *   get:
+ *     summary: Get the caller's own profile
+ *     description: >
+ *       With JWT validation on, the profile is created on first use from the
+ *       token's `email` and `name` claims.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The caller's user document
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/User' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       401: { description: Not authenticated }
+ *       403: { description: No user profile linked to this account (token has no email claim, or the profile is in the trash) }
+ *       409: { description: Another profile already uses the token's email }
+ */
+router.get('/', jwtCheck, needRead, requireUser, (req, res) => {
+  sendWithEtag(res, req.user);
+});
+
+/**
+ * @openapi
+ * /me:
+ *   patch:
+ *     summary: Update the caller's own profile
+ *     description: >
+ *       Same body formats as `PATCH /users/{id}`. `role` and `sub` can only be
+ *       changed by an admin.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { $ref: '#/components/schemas/UserUpdate' }
+ *           example: { displayName: "New Name" }
+ *         application/json-patch+json:
+ *           schema: { $ref: '#/components/schemas/JsonPatch' }
+ *     responses:
+ *       200:
+ *         description: The updated profile
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/User' }
+ *       400: { description: Validation error }
+ *       401: { description: Not authenticated }
+ *       403: { description: No linked profile, or a non-admin changing role/sub }
+ *       409: { description: The email belongs to another user, or a JSON Patch `test` failed }
+ *       412: { description: If-Match did not match the current ETag }
+ *       415: { description: Unsupported Media Type }
+ */
+router.patch('/', jwtCheck, needWrite, requireUser, async (req, res, next) => {
+  try {
+    sendWithEtag(res, await patchUser(req, req.user._id));
+  } catch (err) { next(err); }
+});
+
+router.get('/watchlist', jwtCheck, needRead, requireUser, async (req, res, next) => {
+  try {
+    const list = parseMyWatchlist(req.query);
+    const owner = { userId: String(req.user._id), ...NOT_DELETED };
+    Object.assign(list.filter, owner);
+    Object.assign(list.countFilter, owner);
+    await sendPage(req, res, getDb().collection('watchlists'), list);
+  } catch (err) { next(err); }
+});
+
+/**
+ * @openapi
+ * /me/recommendations:
+ *   get:
+ *     summary: Suggest titles the caller has not added yet
+ *     description: Same scoring as `GET /users/{id}/recommendations`, for the caller's own profile.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecommendationKind'
+ *       - $ref: '#/components/parameters/RecommendationLimit'
+ *     responses:
+ *       200:
+ *         description: Best suggestions first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Recommendation' }
+ *       400: { description: Invalid query parameters }
+ *       401: { description: Not authenticated }
+ *       403: { description: No user profile linked to this account }
+ */
+router.get('/recommendations', jwtCheck, needRead, requireUser, async (req, res, next) => {
+  try {
+    const query = RecommendationQuerySchema.parse(req.query);
+    res.status(200).json(await recommendFor(String(req.user._id), query));
+  } catch (err) { next(err); }
+});
+
+/** GET /me/watchlist for swagger.js; its query parameters are GET /watchlists' (see parseMyWatchlist). */
+router.openapi = {
+  paths: {
+    '/me/watchlist': {
+      get: {
+        summary: "Get the caller's own watchlist",
+        description: 'Pages, sorts, filters and expands like `GET /watchlists`, always scoped to the caller.',
+        tags: ['Me'],
+        security: [{ bearerAuth: [] }],
+        parameters: parseMyWatchlist.parameters,
+        responses: {
+          200: {
+            description: "The caller's watchlist items",
+            headers: { 'X-Total-Count': ref('headers', 'XTotalCount'), Link: ref('headers', 'Link') },
+            content: { 'application/json': { schema: { type: 'array', items: ref('schemas', 'WatchItem') } } }
+          },
+          ...responsesOf({
+            400: 'Invalid query parameters',
+            401: 'Not authenticated',
+            403: 'No user profile linked to this account'
+          })
+        }
+      }
+    }
+  }
+};
+
+export default router;
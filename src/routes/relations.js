@@ -0,0 +1,209 @@
+import { Router } from 'express';
+import { recordAudit } from '../db/audit.js';
+import { getDb, withTransaction } from '../db/connect.js';
+import { deleteRelation, insertRelation, RelationSchema, relationsOf } from '../db/relations.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { jwtCheck, needWrite } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+import { parseId } from '../utils/resourceRouter.js';
+import { ensureTitle } from './reviews.js';
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Relations
+ *     description: Adaptations, sequels, prequels, spin-offs and side stories between anime and manga, and the franchises they form
+ */
+
+const invalidTarget = (message) => httpError(422, 'Relation references an invalid title', { formErrors: [], fieldErrors: { id: [message] } });
+
+/**
+ * Relations of one kind of title, mounted by the anime and manga routers at
+ * `/:id/relations`. Reads are public; writes need 'catalog:write' and are
+ * audited as `relations` creates and purges (an edge has no trash).
+ * @param {'anime'|'manga'} kind
+ */
+export const relationsRouter = (kind) => {
+  const router = Router({ mergeParams: true });
+  const write = [jwtCheck, needWrite, requirePermission('catalog:write')];
+
+  /**
+   * @openapi
+   * /anime/{id}/relations:
+   *   get:
+   *     summary: List an anime's relations
+   *     description: >
+   *       Both directions: `outgoing` means `title` is this anime's `type`
+   *       (e.g. its sequel), `incoming` means this anime is `title`'s `type`.
+   *       Titles in the trash are left out.
+   *     tags: [Relations]
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *     responses:
+   *       200:
+   *         description: The anime's relations, oldest first
+   *         content:
+   *           application/json:
+   *             schema: { type: array, items: { $ref: '#/components/schemas/Relation' } }
+   *       400: { description: Invalid id }
+   *       404: { description: Anime not found }
+   * /manga/{id}/relations:
+   *   get:
+   *     summary: List a manga's relations
+   *     description: >
+   *       Both directions: `outgoing` means `title` is this manga's `type`
+   *       (e.g. its adaptation), `incoming` means this manga is `title`'s `type`.
+   *       Titles in the trash are left out.
+   *     tags: [Relations]
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *     responses:
+   *       200:
+   *         description: The manga's relations, oldest first
+   *         content:
+   *           application/json:
+   *             schema: { type: array, items: { $ref: '#/components/schemas/Relation' } }
+   *       400: { description: Invalid id }
+   *       404: { description: Manga not found }
+   */
+  router.get('/', async (req, res, next) => {
+    try {
+      const titleId = await ensureTitle(kind, req.params.id);
+      res.status(200).json(await relationsOf(kind, titleId));
+    } catch (err) { next(err); }
+  });
+
+  /**
+   * @openapi
+   * /anime/{id}/relations:
+   *   post:
+   *     summary: Relate another title to an anime
+   *     description: The body's title is this anime's `type`; two titles can be related only once.
+   *     tags: [Relations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema: { $ref: '#/components/schemas/RelationCreate' }
+   *           example: { type: sequel, kind: anime, id: 665f6a0f2c3d4b1a9f0a1234 }
+   *     responses:
+   *       201:
+   *         description: Created
+   *         headers:
+   *           Location: { description: '/anime/{id}/relations/{relationId}', schema: { type: string } }
+   *         content:
+   *           application/json:
+   *             schema: { type: object, properties: { id: { type: string } } }
+   *       400: { description: Validation error }
+   *       401: { description: Not authenticated }
+   *       403: { description: Requires editor or admin role }
+   *       404: { description: Anime not found }
+   *       409: { description: The two titles are already related }
+   *       415: { description: Unsupported Media Type }
+   *       422: { description: The other title does not exist, is in the trash, or is this anime }
+   * /manga/{id}/relations:
+   *   post:
+   *     summary: Relate another title to a manga
+   *     description: The body's title is this manga's `type`; two titles can be related only once.
+   *     tags: [Relations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema: { $ref: '#/components/schemas/RelationCreate' }
+   *           example: { type: adaptation, kind: anime, id: 665f6a0f2c3d4b1a9f0a1234 }
+   *     responses:
+   *       201:
+   *         description: Created
+   *         headers:
+   *           Location: { description: '/manga/{id}/relations/{relationId}', schema: { type: string } }
+   *         content:
+   *           application/json:
+   *             schema: { type: object, properties: { id: { type: string } } }
+   *       400: { description: Validation error }
+   *       401: { description: Not authenticated }
+   *       403: { description: Requires editor or admin role }
+   *       404: { description: Manga not found }
+   *       409: { description: The two titles are already related }
+   *       415: { description: Unsupported Media Type }
+   *       422: { description: The other title does not exist, is in the trash, or is this manga }
+   */
+  router.post('/', ...write, async (req, res, next) => {
+    try {
+      if (!req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
+      const titleId = await ensureTitle(kind, req.params.id);
+      const { type, kind: otherKind, id: otherId } = RelationSchema.parse(req.body);
+      if (otherKind === kind && otherId.toLowerCase() === titleId) throw invalidTarget('A title cannot be related to itself');
+      const other = await getDb().collection(otherKind).countDocuments({ _id: parseId(otherId), ...NOT_DELETED }, { limit: 1 });
+      if (!other) throw invalidTarget(`No ${otherKind} exists with id ${otherId}`);
+
+      const relation = await withTransaction(async (session) => {
+        const stored = await insertRelation({ kind, id: titleId }, { kind: otherKind, id: otherId.toLowerCase() }, type, session);
+        await recordAudit(req, { action: 'create', resource: 'relations', resourceId: stored._id, after: stored }, session);
+        return stored;
+      });
+      res.status(201).location(`/${kind}/${titleId}/relations/${relation._id}`).json({ id: String(relation._id) });
+    } catch (err) {
+      if (err?.code === 11000) return next(httpError(409, 'These titles are already related; delete that relation first'));
+      next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /anime/{id}/relations/{relationId}:
+   *   delete:
+   *     summary: Remove one of an anime's relations
+   *     tags: [Relations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *       - { in: path, name: relationId, required: true, schema: { type: string } }
+   *     responses:
+   *       204: { description: Deleted }
+   *       400: { description: Invalid id }
+   *       401: { description: Not authenticated }
+   *       403: { description: Requires editor or admin role }
+   *       404: { description: Not found }
+   * /manga/{id}/relations/{relationId}:
+   *   delete:
+   *     summary: Remove one of a manga's relations
+   *     tags: [Relations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *       - { in: path, name: relationId, required: true, schema: { type: string } }
+   *     responses:
+   *       204: { description: Deleted }
+   *       400: { description: Invalid id }
+   *       401: { description: Not authenticated }
+   *       403: { description: Requires editor or admin role }
+   *       404: { description: Not found }
+   */
+  router.delete('/:relationId', ...write, async (req, res, next) => {
+    try {
+      const titleId = await ensureTitle(kind, req.params.id);
+      const relationId = parseId(req.params.relationId);
+      const removed = await withTransaction(async (session) => {
+        const before = await deleteRelation(kind, titleId, relationId, session);
+        if (before) await recordAudit(req, { action: 'purge', resource: 'relations', resourceId: relationId, before }, session);
+        return before;
+      });
+      if (!removed) throw httpError(404, 'Not found');
+      res.status(204).send();
+    } catch (err) { next(err); }
+  });
+
+  return router;
+};
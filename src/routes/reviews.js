@@ -0,0 +1,274 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { getDb, withTransaction } from '../db/connect.js';
+import { refreshTitleScore } from '../db/ratings.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { jwtCheck, needWrite } from '../middleware/auth.js';
+import { loadCurrentUser, requireUser } from '../middleware/currentUser.js';
+import { can } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+import { patchDocument } from '../utils/patch.js';
+import { etagOf, ifMatchFilter, notMatched, sendWithEtag } from '../utils/etag.js';
+import { createListQuery, rangeFilter, sendPage } from '../utils/listQuery.js';
+import { ID_PARAM, ref, responsesOf } from '../utils/openapi.js';
+import { parseId } from '../utils/resourceRouter.js';
+
+export const ReviewSchema = z.object({
+  score: z.coerce.number().min(0).max(10),
+  text: z.string().trim().max(2000).optional()
+});
+
+/** Taken from the URL and the caller, never from the body (readOnly in the docs). */
+export const ReviewServerFields = z.object({
+  kind: z.enum(['anime', 'manga']),
+  titleId: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  userId: z.string().regex(/^[0-9a-fA-F]{24}$/).describe('Author (the caller)')
+});
+
+export const parseReviewList = createListQuery({
+  sortable: ['score', 'createdAt', 'updatedAt'],
+  filters: { score: rangeFilter('score') }
+});
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+/** 404 unless the anime/manga exists and is not in the trash. @returns {Promise<string>} its hex id */
+export const ensureTitle = async (kind, id) => {
+  const _id = parseId(id);
+  const title = await getDb().collection(kind).findOne({ _id, ...NOT_DELETED }, { projection: { _id: 1 } });
+  if (!title) throw httpError(404, `No ${kind} with id ${id}`);
+  return String(_id);
+};
+
+/** Authors edit their own reviews; moderators may also delete. */
+const ensureAuthor = (req, review, { allowModerator = false } = {}) => {
+  if (allowModerator && can(req, 'reviews:moderate')) return;
+  if (!req.user || String(req.user._id) !== review.userId) {
+    throw httpError(403, 'You can only change your own review');
+  }
+};
+
+/**
+ * Reviews for one kind of title, mounted by the anime and manga routers at
+ * `/:id/reviews`. Every write recomputes the title's averageScore/reviewCount.
+ * Documented by reviewsOpenapi below.
+ * @param {'anime'|'manga'} kind
+ */
+export const reviewsRouter = (kind) => {
+  const router = Router({ mergeParams: true });
+  const reviews = () => getDb().collection('reviews');
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const titleId = await ensureTitle(kind, req.params.id);
+      const list = parseReviewList(req.query);
+      Object.assign(list.filter, { kind, titleId });
+      Object.assign(list.countFilter, { kind, titleId });
+      await sendPage(req, res, reviews(), list);
+    } catch (err) { next(err); }
+  });
+
+  router.post('/', jwtCheck, needWrite, requireUser, async (req, res, next) => {
+    try {
+      if (!req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
+      const titleId = await ensureTitle(kind, req.params.id);
+      const parsed = ReviewSchema.parse(req.body);
+      const now = new Date();
+      const doc = { ...parsed, kind, titleId, userId: String(req.user._id), createdAt: now, updatedAt: now };
+      const result = await withTransaction(async (session) => {
+        const inserted = await reviews().insertOne(doc, { session });
+        await refreshTitleScore(kind, titleId, session);
+        return inserted;
+      });
+      res.status(201)
+        .location(`/${kind}/${titleId}/reviews/${result.insertedId}`)
+        .json({ id: result.insertedId.toString() });
+    } catch (err) {
+      if (isDuplicateKey(err)) return next(httpError(409, 'You already reviewed this title; edit your review instead'));
+      next(err);
+    }
+  });
+
+  router.get('/:reviewId', async (req, res, next) => {
+    try {
+      const titleId = await ensureTitle(kind, req.params.id);
+      const doc = await reviews().findOne({ _id: parseId(req.params.reviewId), kind, titleId });
+      if (!doc) throw httpError(404, 'Not found');
+      sendWithEtag(res, doc);
+    } catch (err) { next(err); }
+  });
+
+  /** Shared body of PUT and PATCH: `build(existing)` returns the validated new fields. */
+  const replaceReview = async (req, build) => {
+    const _id = parseId(req.params.reviewId);
+    const existing = await reviews().findOne({ _id, kind, titleId: await ensureTitle(kind, req.params.id) });
+    if (!existing) throw httpError(404, 'Not found');
+    ensureAuthor(req, existing);
+    const match = ifMatchFilter(req, existing);
+    const { titleId, userId, createdAt } = existing;
+    const doc = { ...build(existing), kind, titleId, userId, createdAt, updatedAt: new Date() };
+    const matched = await withTransaction(async (session) => {
+      const result = await reviews().replaceOne({ _id, ...match }, doc, { session });
+      if (result.matchedCount) await refreshTitleScore(kind, titleId, session);
+      return result.matchedCount;
+    });
+    if (!matched) throw notMatched(match);
+    return { _id, ...doc };
+  };
+
+  router.put('/:reviewId', jwtCheck, needWrite, requireUser, async (req, res, next) => {
+    try {
+      if (!req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
+      const doc = await replaceReview(req, () => ReviewSchema.parse(req.body));
+      res.set('ETag', etagOf(doc)).status(204).send();
+    } catch (err) { next(err); }
+  });
+
+  router.patch('/:reviewId', jwtCheck, needWrite, requireUser, async (req, res, next) => {
+    try {
+      const doc = await replaceReview(req, (existing) => patchDocument(req, existing, ReviewSchema));
+      sendWithEtag(res, doc);
+    } catch (err) { next(err); }
+  });
+
+  router.delete('/:reviewId', jwtCheck, needWrite, loadCurrentUser, async (req, res, next) => {
+    try {
+      const _id = parseId(req.params.reviewId);
+      const existing = await reviews().findOne({ _id, kind, titleId: await ensureTitle(kind, req.params.id) });
+      if (!existing) throw httpError(404, 'Not found');
+      ensureAuthor(req, existing, { allowModerator: true });
+      const match = ifMatchFilter(req, existing);
+      const deleted = await withTransaction(async (session) => {
+        const result = await reviews().deleteOne({ _id, ...match }, { session });
+        if (result.deletedCount) await refreshTitleScore(kind, existing.titleId, session);
+        return result.deletedCount;
+      });
+      if (!deleted) throw notMatched(match);
+      res.status(204).send();
+    } catch (err) { next(err); }
+  });
+
+  return router;
+};
+
+/* ---------- OpenAPI ---------- */
+
+const REVIEW_ID_PARAM = { ...ID_PARAM, name: 'reviewId' };
+const WRITE_ERRORS = {
+  400: 'Validation/ID error',
+  401: 'Not authenticated',
+  403: 'Not your review',
+  404: 'Not found',
+  412: 'If-Match did not match the current ETag',
+  415: 'Unsupported Media Type'
+};
+
+/** The review paths under one kind of title, e.g. /anime/{id}/reviews and /anime/{id}/reviews/{reviewId}. */
+const reviewPaths = (kind) => {
+  const title = kind === 'anime' ? 'an anime' : 'a manga';
+  const notFound = `${kind === 'anime' ? 'Anime' : 'Manga'} not found`;
+  return {
+    [`/${kind}/{id}/reviews`]: {
+      get: {
+        summary: `List reviews of ${title}`,
+        tags: ['Reviews'],
+        parameters: [ID_PARAM, ...parseReviewList.parameters],
+        responses: {
+          200: {
+            description: 'One page of reviews',
+            headers: { 'X-Total-Count': ref('headers', 'XTotalCount'), Link: ref('headers', 'Link') },
+            content: { 'application/json': { schema: { type: 'array', items: ref('schemas', 'Review') } } }
+          },
+          ...responsesOf({ 400: 'Invalid id or query', 404: notFound })
+        }
+      },
+      post: {
+        summary: `Review ${title} (one review per user)`,
+        tags: ['Reviews'],
+        security: [{ bearerAuth: [] }],
+        parameters: [ID_PARAM],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: ref('schemas', 'ReviewCreate'), example: { score: 9, text: 'Still the gold standard.' } }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Created',
+            headers: { Location: { description: `/${kind}/{id}/reviews/{reviewId}`, schema: { type: 'string' } } },
+            content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' } } } } }
+          },
+          ...responsesOf({
+            400: 'Validation error',
+            401: 'Not authenticated',
+            404: notFound,
+            409: 'You already reviewed this title',
+            415: 'Unsupported Media Type'
+          })
+        }
+      }
+    },
+    [`/${kind}/{id}/reviews/{reviewId}`]: {
+      get: {
+        summary: `Get one review of ${title}`,
+        tags: ['Reviews'],
+        parameters: [ID_PARAM, REVIEW_ID_PARAM, ref('parameters', 'IfNoneMatch')],
+        responses: {
+          200: {
+            description: 'Review',
+            headers: { ETag: ref('headers', 'ETag') },
+            content: { 'application/json': { schema: ref('schemas', 'Review') } }
+          },
+          304: { description: 'Not modified (If-None-Match matched)' },
+          ...responsesOf({ 400: 'Invalid id', 404: 'Not found' })
+        }
+      },
+      put: {
+        summary: `Replace your review of ${title}`,
+        tags: ['Reviews'],
+        security: [{ bearerAuth: [] }],
+        parameters: [ID_PARAM, REVIEW_ID_PARAM, ref('parameters', 'IfMatch')],
+        requestBody: { required: true, content: { 'application/json': { schema: ref('schemas', 'ReviewCreate') } } },
+        responses: { 204: { description: 'Updated (no content)', headers: { ETag: ref('headers', 'ETag') } }, ...responsesOf(WRITE_ERRORS) }
+      },
+      patch: {
+        summary: `Partially update your review of ${title}`,
+        tags: ['Reviews'],
+        security: [{ bearerAuth: [] }],
+        parameters: [ID_PARAM, REVIEW_ID_PARAM, ref('parameters', 'IfMatch')],
+        requestBody: {
+          required: true,
+          content: {
+            'application/merge-patch+json': { schema: ref('schemas', 'ReviewUpdate') },
+            'application/json-patch+json': { schema: ref('schemas', 'JsonPatch') }
+          }
+        },
+        responses: {
+          200: {
+            description: 'The updated review',
+            headers: { ETag: ref('headers', 'ETag') },
+            content: { 'application/json': { schema: ref('schemas', 'Review') } }
+          },
+          ...responsesOf(WRITE_ERRORS)
+        }
+      },
+      delete: {
+        summary: `Delete your review of ${title} (admins may delete any)`,
+        tags: ['Reviews'],
+        security: [{ bearerAuth: [] }],
+        parameters: [ID_PARAM, REVIEW_ID_PARAM, ref('parameters', 'IfMatch')],
+        responses: {
+          204: { description: 'Deleted' },
+          ...responsesOf({ 400: 'Invalid id', 401: 'Not authenticated', 403: 'Not your review', 404: 'Not found', 412: WRITE_ERRORS[412] })
+        }
+      }
+    }
+  };
+};
+
+/** Review paths for both kinds, for swagger.js; the list parameters come from parseReviewList. */
+export const reviewsOpenapi = {
+  tags: [{ name: 'Reviews', description: 'One score (0–10) plus optional text per user per title' }],
+  paths: { ...reviewPaths('anime'), ...reviewPaths('manga') }
+};
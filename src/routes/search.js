@@ -0,0 +1,112 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { getDb } from '../db/connect.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { DEFAULT_LIMIT, MAX_LIMIT, setPageHeaders } from '../utils/listQuery.js';
+
+const router = Router();
+
+const KINDS = ['anime', 'manga'];
+
+// Each page reads page*limit hits per collection (see below), so deep pages are capped
+const MAX_SEARCH_PAGE = 50;
+
+const SearchQuerySchema = z
+  .object({
+    q: z.string().trim().min(1).max(200),
+    kind: z.enum(KINDS).optional(),
+    page: z.coerce.number().int().min(1).max(MAX_SEARCH_PAGE).default(1),
+    limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT)
+  })
+  .strict();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Search
+ *     description: Full-text search across anime and manga
+ */
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search anime and manga
+ *     description: >
+ *       Matches title, description, genres, studio and author (MongoDB text search,
+ *       so stemming and `"exact phrase"` / `-exclude` syntax apply). Results from
+ *       both collections are merged, ranked by relevance and tagged with `kind`.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, minLength: 1, maxLength: 200 }
+ *         example: alchemist
+ *       - in: query
+ *         name: kind
+ *         description: Restrict to one collection
+ *         schema: { type: string, enum: [anime, manga] }
+ *       - in: query
+ *         name: page
+ *         description: Page number (1-based). Search serves the first 50 pages; narrow `q` to reach further.
+ *         schema: { type: integer, minimum: 1, maximum: 50, default: 1 }
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of results, best match first
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/XTotalCount' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - oneOf:
+ *                       - $ref: '#/components/schemas/Anime'
+ *                       - $ref: '#/components/schemas/Manga'
+ *                   - type: object
+ *                     properties:
+ *                       kind: { type: string, enum: [anime, manga] }
+ *                       score: { type: number, description: Text relevance score }
+ *       400: { description: Invalid query parameters }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, kind, page, limit } = SearchQuerySchema.parse(req.query);
+    const db = getDb();
+    const filter = { $text: { $search: q }, ...NOT_DELETED };
+    const kinds = kind ? [kind] : KINDS;
+
+    // Each collection is ranked on its own; to serve page N of the merged list
+    // we need the top page*limit hits from each, then merge and slice.
+    const window = page * limit;
+    const perKind = await Promise.all(
+      kinds.map(async (k) => {
+        const coll = db.collection(k);
+        const [docs, total] = await Promise.all([
+          coll
+            .find(filter, { projection: { score: { $meta: 'textScore' } } })
+            .sort({ score: { $meta: 'textScore' }, _id: 1 })
+            .limit(window)
+            .toArray(),
+          coll.countDocuments(filter)
+        ]);
+        return { docs: docs.map((d) => ({ ...d, kind: k })), total };
+      })
+    );
+
+    const total = perKind.reduce((n, r) => n + r.total, 0);
+    const items = perKind
+      .flatMap((r) => r.docs)
+      .sort((a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id)))
+      .slice((page - 1) * limit, window);
+
+    setPageHeaders(req, res, { total, page, limit, maxPage: MAX_SEARCH_PAGE });
+    res.status(200).json(items);
+  } catch (err) { next(err); }
+});
+
+export default router;
@@ -1,162 +1,107 @@
-import { Router } from 'express';
 import { z } from 'zod';
-import { ObjectId } from 'mongodb';
 import { getDb } from '../db/connect.js';
-import { jwtCheck, needWrite } from '../middleware/auth.js';
-
-const router = Router();
+import { RecommendationQuerySchema, recommendFor } from '../db/recommendations.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { getUserSub, jwtCheck, needRead, needWrite, ROLES } from '../middleware/auth.js';
+import { loadCurrentUser } from '../middleware/currentUser.js';
+import { can, requirePermission } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+import { exactFilter } from '../utils/listQuery.js';
+import { createResourceRouter, parseId } from '../utils/resourceRouter.js';
 
 const UserSchema = z.object({
   email: z.string().email(),
   displayName: z.string().min(1),
-  role: z.enum(['user', 'admin']).default('user')
+  sub: z.string().trim().min(1).optional().describe('IdP subject linked to this profile, e.g. "auth0|123"'),
+  role: z.enum(ROLES).default('user')
+    .describe('editor: manages anime/manga; admin: also users and roles. Only admins can change it.')
 });
 
-const parseId = (id) => {
-  try { return new ObjectId(id); }
-  catch { const e = new Error('Invalid id format'); e.statusCode = 400; e.expose = true; throw e; }
-};
-
-/**
- * @openapi
- * tags:
- *   - name: Users
- *     description: CRUD for users (demo). In a real app, users are created during OAuth provisioning.
- */
+// Only 'users:roles' may change these, even on your own profile
+const PRIVILEGED_FIELDS = ['role', 'sub'];
 
-/**
- * @openapi
- * /users:
- *   get:
- *     summary: Get all users
- *     tags: [Users]
- *     responses:
- *       200:
- *         description: List of users
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/User' }
- */
-router.get('/', async (_req, res, next) => {
-  try {
-    const docs = await getDb().collection('users').find({}).toArray();
-    res.status(200).json(docs);
-  } catch (err) { next(err); }
-});
+/** Users manage their own profile; 'users:manage' covers everyone's. */
+const ensureSelf = (req, _id) => {
+  if (can(req, 'users:manage')) return;
+  if (!req.user) {
+    throw getUserSub(req) ? httpError(403, 'No user profile is linked to this account') : httpError(401, 'Authentication required');
+  }
+  if (String(req.user._id) !== String(_id)) throw httpError(403, 'You can only access your own profile');
+};
 
-/**
- * @openapi
- * /users/{id}:
- *   get:
- *     summary: Get user by id
- *     tags: [Users]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     responses:
- *       200:
- *         description: User
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/User' }
- *       400: { description: Invalid id }
- *       404: { description: Not found }
- */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const _id = parseId(req.params.id);
-    const doc = await getDb().collection('users').findOne({ _id });
-    if (!doc) return res.status(404).json({ message: 'Not found' });
-    res.status(200).json(doc);
-  } catch (err) { next(err); }
-});
+const ensurePrivilegedUnchanged = (req, existing, doc) => {
+  if (can(req, 'users:roles')) return;
+  const changed = PRIVILEGED_FIELDS.filter((k) => doc[k] !== existing[k]);
+  if (changed.length) throw httpError(403, `Only admins can change ${changed.join(', ')}`);
+};
 
-/**
- * @openapi
- * /users:
- *   post:
- *     summary: Create a user
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema: { $ref: '#/components/schemas/User' }
- *           example:
- *             email: "demo@example.com"
- *             displayName: "Demo User"
- *             role: "user"
- *     responses:
- *       201:
- *         description: Created
- *         content:
- *           application/json:
- *             schema: { type: object, properties: { id: { type: string } } }
- *       400: { description: Validation error }
- *       415: { description: Unsupported Media Type }
- */
-router.post('/', jwtCheck, needWrite, async (req, res, next) => {
-  try {
-    if (!req.is('application/json')) return res.status(415).json({ message: 'Content-Type must be application/json' });
-    const parsed = UserSchema.parse(req.body);
-    const now = new Date();
-    const result = await getDb().collection('users').insertOne({ ...parsed, createdAt: now, updatedAt: now });
-    res.status(201).location(`/users/${result.insertedId}`).json({ id: result.insertedId.toString() });
-  } catch (err) {
-    if (err instanceof z.ZodError) return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    next(err);
+const router = createResourceRouter({
+  name: 'users',
+  schema: UserSchema,
+  list: { filters: { role: exactFilter('role', z.enum(ROLES)) } },
+  guards: {
+    read: [jwtCheck, needRead, loadCurrentUser],
+    write: [jwtCheck, needWrite, loadCurrentUser],
+    list: [jwtCheck, needRead, requirePermission('users:manage')],
+    create: [jwtCheck, needWrite, requirePermission('users:manage')]
+  },
+  hooks: {
+    authorize: (req, user) => ensureSelf(req, user._id),
+    beforeUpdate: (req, user, existing) => {
+      // PUT: role/sub left out of the body stay as they are (so a profile edit can't unlink or demote)
+      const kept = req.method !== 'PUT' ? {} : Object.fromEntries(
+        PRIVILEGED_FIELDS.filter((k) => req.body[k] === undefined && k in existing).map((k) => [k, existing[k]])
+      );
+      const doc = { ...user, ...kept };
+      ensurePrivilegedUnchanged(req, existing, doc);
+      return doc;
+    }
+  },
+  docs: {
+    tag: 'Users',
+    description:
+      'CRUD for users. Profiles are provisioned automatically from JWT claims the first time a token\'s `sub` is seen ' +
+      '(see `GET /me`); `POST /users` is for admins. Admins manage every profile and role; everyone else may read, ' +
+      'edit or delete only their own, and only admins can change `role` or `sub`.',
+    schema: 'User',
+    item: 'a user',
+    items: 'users',
+    example: { email: 'demo@example.com', displayName: 'Demo User', role: 'user' },
+    descriptions: {
+      replace: 'Omitted `role`/`sub` keep their current values; changing them requires admin.',
+      delete:
+        'Moves it to the trash; `hard=true` purges it at once, and the trash is purged after `TRASH_RETENTION_DAYS`. ' +
+        'On purge, watchlist items that reference it are deleted, kept, or nulled according to `DELETE_POLICY`.'
+    },
+    errors: {
+      read: { 403: 'Not your profile' },
+      write: { 403: 'Not your profile, or a non-admin changing role/sub', 409: 'A user with this email or sub already exists' },
+      patch: { 409: 'A JSON Patch `test` operation failed, or the email/sub belongs to another user' },
+      delete: {
+        403: 'Not your profile, or hard=true without admin role',
+        409: 'hard=true while watchlist items still reference it (DELETE_POLICY=restrict)'
+      }
+    }
   }
 });
 
 /**
- * @openapi
- * /users/{id}:
- *   put:
- *     summary: Replace a user
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema: { $ref: '#/components/schemas/User' }
- *     responses:
- *       204: { description: Updated (no content) }
- *       400: { description: Validation/ID error }
- *       404: { description: Not found }
- *       415: { description: Unsupported Media Type }
+ * Apply req.body as a patch to user `_id` (shared by PATCH /users/:id and PATCH /me).
+ * Role/sub changes still need 'users:roles'.
+ * @returns {Promise<object>} the stored document
  */
-router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
-  try {
-    if (!req.is('application/json')) return res.status(415).json({ message: 'Content-Type must be application/json' });
-    const _id = parseId(req.params.id);
-    const parsed = UserSchema.parse(req.body);
-    const result = await getDb().collection('users').replaceOne({ _id }, { ...parsed, updatedAt: new Date() });
-    if (result.matchedCount === 0) return res.status(404).json({ message: 'Not found' });
-    res.status(204).send();
-  } catch (err) {
-    if (err instanceof z.ZodError) return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    next(err);
-  }
-});
+export const patchUser = (req, _id) => router.resource.patch(req, _id);
 
 /**
  * @openapi
- * /users/{id}:
- *   delete:
- *     summary: Delete a user
+ * /users/{id}/recommendations:
+ *   get:
+ *     summary: Suggest titles a user has not added yet
+ *     description: >
+ *       Scores anime and manga missing from the user's watchlist by genre overlap
+ *       with their completed items, title ratings, and how often users who share
+ *       those titles added them. Each pick lists the reasons it was chosen.
+ *       Only the user themselves or an admin may ask.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -165,17 +110,29 @@ router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/RecommendationKind'
+ *       - $ref: '#/components/parameters/RecommendationLimit'
  *     responses:
- *       204: { description: Deleted }
- *       400: { description: Invalid id }
+ *       200:
+ *         description: Best suggestions first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Recommendation' }
+ *       400: { description: Invalid id or query parameters }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not this user and not an admin }
  *       404: { description: Not found }
  */
-router.delete('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.get('/:id/recommendations', jwtCheck, needRead, loadCurrentUser, async (req, res, next) => {
   try {
     const _id = parseId(req.params.id);
-    const result = await getDb().collection('users').deleteOne({ _id });
-    if (result.deletedCount === 0) return res.status(404).json({ message: 'Not found' });
-    res.status(204).send();
+    const query = RecommendationQuerySchema.parse(req.query);
+    ensureSelf(req, _id);
+    const exists = await getDb().collection('users').countDocuments({ _id, ...NOT_DELETED }, { limit: 1 });
+    if (!exists) throw httpError(404, 'Not found');
+    res.status(200).json(await recommendFor(String(_id), query));
   } catch (err) { next(err); }
 });
 
@@ -1,130 +1,253 @@
-import { Router } from 'express';
 import { z } from 'zod';
-import { ObjectId } from 'mongodb';
-import { getDb } from '../db/connect.js';
-import { jwtCheck, needWrite } from '../middleware/auth.js';
-
-const router = Router();
+import { recordAudit } from '../db/audit.js';
+import { getDb, withTransaction } from '../db/connect.js';
+import { assertWatchItemRefs } from '../db/integrity.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { getUserSub, jwtCheck, needRead, needWrite } from '../middleware/auth.js';
+import { loadCurrentUser } from '../middleware/currentUser.js';
+import { can } from '../middleware/permissions.js';
+import { httpError } from '../utils/httpError.js';
+import { ifMatchFilter, notMatched, sendWithEtag } from '../utils/etag.js';
+import { exactFilter } from '../utils/listQuery.js';
+import { parametersOf } from '../utils/openapi.js';
+import { createResourceRouter, parseId } from '../utils/resourceRouter.js';
 
 const ObjectIdString = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be 24 hex chars');
 
-const WatchItemSchema = z.object({
-  userId: ObjectIdString,                // owner user _id
-  kind: z.enum(['anime', 'manga']),
-  refId: ObjectIdString,                 // points to anime._id or manga._id
-  status: z.enum(['planned','watching','completed','reading']).default('planned'),
+// Statuses depend on kind: you watch anime and read manga
+const STATUSES = {
+  anime: ['planned', 'watching', 'completed', 'on-hold', 'dropped'],
+  manga: ['planned', 'reading', 'completed', 'on-hold', 'dropped']
+};
+const ACTIVE = { anime: 'watching', manga: 'reading' };
+const TOTAL_FIELD = { anime: 'episodes', manga: 'chapters' };
+
+const watchItemOf = (kind) => z.object({
+  userId: ObjectIdString.optional()
+    .describe('Owner user ObjectId (defaults to the caller; only admins may set another user)'),
+  kind: z.literal(kind),
+  refId: ObjectIdString.describe(`Referenced ${kind} ObjectId`),
+  status: z.enum(STATUSES[kind]).default('planned'),
+  progress: z.coerce.number().int().min(0).optional()
+    .describe(`${kind === 'anime' ? 'Episodes watched' : 'Chapters read'}; capped by the title's ${TOTAL_FIELD[kind]}`),
+  startedAt: z.coerce.date().optional().describe('Set automatically once underway'),
+  completedAt: z.coerce.date().optional().describe('Set automatically while completed'),
   notes: z.string().max(500).optional()
 });
 
-const parseId = (id) => {
-  try { return new ObjectId(id); }
-  catch { const e = new Error('Invalid id format'); e.statusCode = 400; e.expose = true; throw e; }
+const WatchItemSchema = z.discriminatedUnion('kind', [watchItemOf('anime'), watchItemOf('manga')]);
+
+export const ProgressSchema = z.object({
+  by: z.coerce.number().int().refine((n) => n !== 0, 'Must not be 0').default(1)
+    .describe('Added to progress; negative to undo')
+}).strict();
+
+const noCaller = (req) => (getUserSub(req)
+  ? httpError(403, 'No user profile is linked to this account')
+  : httpError(401, 'Authentication required'));
+
+/** Admins may touch any item; everyone else only items they own. */
+const ensureOwner = (req, userId) => {
+  if (can(req, 'watchlists:any')) return;
+  if (!req.user) throw noCaller(req);
+  if (String(req.user._id) !== String(userId)) throw httpError(403, 'You can only access your own watchlist');
 };
 
-/**
- * @openapi
- * tags:
- *   - name: Watchlists
- *     description: CRUD for user watchlist items
- */
+/** Owner for a new/replaced item: the caller, or any user when an admin says so. */
+const resolveOwner = (req, userId) => {
+  if (userId) { ensureOwner(req, userId); return userId; }
+  if (req.user) return String(req.user._id);
+  throw can(req, 'watchlists:any') ? httpError(400, 'userId is required') : noCaller(req);
+};
 
 /**
- * @openapi
- * /watchlists:
- *   get:
- *     summary: Get all watchlist items
- *     tags: [Watchlists]
- *     responses:
- *       200:
- *         description: List of watchlist items
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/WatchItem' }
+ * Enforce the progress cap and derive the lifecycle fields.
+ *   - progress may not exceed the title's episodes/chapters (when known)
+ *   - reaching the total completes the item; completing fills progress to the total
+ *   - progress on a planned item moves it to watching/reading
+ *   - startedAt is stamped once the item is underway, completedAt while it is completed
+ * `previous` carries timestamps over from the stored item on updates.
  */
-router.get('/', async (_req, res, next) => {
-  try {
-    const docs = await getDb().collection('watchlists').find({}).toArray();
-    res.status(200).json(docs);
-  } catch (err) { next(err); }
-});
+const applyLifecycle = (item, title, previous = {}) => {
+  const next = { ...item };
+  const total = title?.[TOTAL_FIELD[next.kind]];
+  const now = new Date();
 
-/**
- * @openapi
- * /watchlists/{id}:
- *   get:
- *     summary: Get a watchlist item by id
- *     tags: [Watchlists]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     responses:
- *       200:
- *         description: A watchlist item
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/WatchItem' }
- *       400: { description: Invalid id }
- *       404: { description: Not found }
- */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const _id = parseId(req.params.id);
-    const doc = await getDb().collection('watchlists').findOne({ _id });
-    if (!doc) return res.status(404).json({ message: 'Not found' });
-    res.status(200).json(doc);
-  } catch (err) { next(err); }
+  if (total !== undefined && next.progress > total) {
+    throw httpError(422, `progress cannot exceed ${total} ${TOTAL_FIELD[next.kind]}`, {
+      formErrors: [],
+      fieldErrors: { progress: [`Must be at most ${total}`] }
+    });
+  }
+  if (total > 0 && next.progress === total) next.status = 'completed';
+  if (next.status === 'completed' && total !== undefined && next.progress === undefined) next.progress = total;
+  if (next.status === 'planned' && next.progress > 0) next.status = ACTIVE[next.kind];
+
+  if (next.status === ACTIVE[next.kind] || next.status === 'completed' || next.progress > 0) {
+    next.startedAt ??= previous.startedAt ?? now;
+  }
+  if (next.status === 'completed') next.completedAt ??= previous.completedAt ?? now;
+  else delete next.completedAt;
+  return next;
+};
+
+/* ---------- ?expand= and ?fields= on GET /watchlists and GET /watchlists/:id ---------- */
+
+const csv = (s) => s.split(',').map((p) => p.trim()).filter(Boolean);
+
+const EXPANDABLE = ['ref', 'user'];
+
+const ExpandQuerySchema = z.object({
+  expand: z.string().transform(csv)
+    .refine((keys) => keys.every((k) => EXPANDABLE.includes(k)), `Allowed: ${EXPANDABLE.join(', ')}`)
+    .optional()
+    .describe('Embed the referenced anime/manga as `ref` and/or the owner as `user` (comma-separated)'),
+  fields: z.string().transform(csv)
+    .refine((names) => names.every((n) => /^(user\.)?[A-Za-z_]\w*$/.test(n)), 'Comma-separated field names')
+    .optional()
+    .describe(
+      'Only these fields of the embedded documents (`_id` is always kept): plain names for `ref`, ' +
+      '`user.`-prefixed ones for `user`. Without them the whole document is embedded.'
+    )
 });
 
-/**
- * @openapi
- * /watchlists:
- *   post:
- *     summary: Create a watchlist item
- *     tags: [Watchlists]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema: { $ref: '#/components/schemas/WatchItem' }
- *           example:
- *             userId: "6640a2f2d7b3c1a9f0a11223"
- *             kind: "anime"
- *             refId: "665f6a0f2c3d4b1a9f0a1234"
- *             status: "planned"
- *             notes: "Start this weekend"
- *     responses:
- *       201:
- *         description: Created
- *         content:
- *           application/json:
- *             schema: { type: object, properties: { id: { type: string } } }
- *       400: { description: Validation error }
- *       415: { description: Unsupported Media Type }
- */
-router.post('/', jwtCheck, needWrite, async (req, res, next) => {
-  try {
-    if (!req.is('application/json')) return res.status(415).json({ message: 'Content-Type must be application/json' });
-    const parsed = WatchItemSchema.parse(req.body);
-    const now = new Date();
-    const result = await getDb().collection('watchlists').insertOne({ ...parsed, createdAt: now, updatedAt: now });
-    res.status(201).location(`/watchlists/${result.insertedId}`).json({ id: result.insertedId.toString() });
-  } catch (err) {
-    if (err instanceof z.ZodError) return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    next(err);
+const EXPAND_EXAMPLES = { expand: 'ref,user', fields: 'title,coverImage,user.displayName' };
+
+// Stored ids are strings; a malformed one matches nothing rather than failing the page
+const toObjectId = (path) => ({ $convert: { input: path, to: 'objectId', onError: null, onNull: null } });
+const project = (fields) => (fields.length ? [{ $project: Object.fromEntries(fields.map((f) => [f, 1])) }] : []);
+// A missing or trashed document embeds as null
+const first = (path) => ({ $ifNull: [{ $arrayElemAt: [path, 0] }, null] });
+
+/** Look the title up in the collection its `kind` names. */
+const lookupRef = (fields) => [
+  ...['anime', 'manga'].map((kind) => ({
+    $lookup: {
+      from: kind,
+      let: { id: toObjectId('$refId'), kind: '$kind' },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$$kind', kind] }, { $eq: ['$_id', '$$id'] }] }, ...NOT_DELETED } },
+        ...project(fields)
+      ],
+      as: `_${kind}`
+    }
+  })),
+  { $set: { ref: first({ $concatArrays: ['$_anime', '$_manga'] }) } },
+  { $unset: ['_anime', '_manga'] }
+];
+
+const lookupUser = (fields) => [
+  {
+    $lookup: {
+      from: 'users',
+      let: { id: toObjectId('$userId') },
+      pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$id'] }, ...NOT_DELETED } }, ...project(fields)],
+      as: 'user'
+    }
+  },
+  { $set: { user: first('$user') } }
+];
+
+/** ?expand= / ?fields= → the $lookup stages that embed what was asked for. */
+const parseExpand = (query) => {
+  const { expand = [], fields = [] } = ExpandQuerySchema.parse(query);
+  const userFields = fields.filter((f) => f.startsWith('user.')).map((f) => f.slice('user.'.length));
+  return [
+    ...(expand.includes('ref') ? lookupRef(fields.filter((f) => !f.startsWith('user.'))) : []),
+    ...(expand.includes('user') ? lookupUser(userFields) : [])
+  ];
+};
+parseExpand.parameters = parametersOf(ExpandQuerySchema).map((p) => ({ ...p, example: EXPAND_EXAMPLES[p.name] }));
+
+const EXPANDED_PROPERTIES = {
+  ref: {
+    description: 'With `expand=ref`: the anime or manga `refId` points at, trimmed to `fields`; null once it is gone or in the trash',
+    nullable: true,
+    oneOf: [{ $ref: '#/components/schemas/Anime' }, { $ref: '#/components/schemas/Manga' }]
+  },
+  user: {
+    description: 'With `expand=user`: the owner, trimmed to the `user.` fields',
+    nullable: true,
+    allOf: [{ $ref: '#/components/schemas/User' }]
+  }
+};
+
+const REF_ERROR = "userId/refId do not point at existing records, or progress exceeds the title's total";
+
+const router = createResourceRouter({
+  name: 'watchlists',
+  schema: WatchItemSchema,
+  list: {
+    sortable: ['kind', 'status', 'progress', 'startedAt', 'completedAt', 'createdAt', 'updatedAt'],
+    filters: {
+      userId: exactFilter('userId', ObjectIdString),
+      kind: exactFilter('kind', z.enum(['anime', 'manga'])),
+      status: exactFilter('status', z.string().trim().min(1))
+    }
+  },
+  expand: { parse: parseExpand, properties: EXPANDED_PROPERTIES },
+  guards: {
+    read: [jwtCheck, needRead, loadCurrentUser],
+    write: [jwtCheck, needWrite, loadCurrentUser]
+  },
+  hooks: {
+    authorize: (req, item) => ensureOwner(req, item.userId),
+    // Admins see every item (optionally one user's); everyone else only their own
+    scopeList: (req, { filter }) => {
+      if (filter.userId !== undefined) {
+        ensureOwner(req, filter.userId);
+        return {};
+      }
+      return can(req, 'watchlists:any') ? {} : { userId: resolveOwner(req) };
+    },
+    beforeCreate: async (req, item, { session }) => {
+      const owned = { ...item, userId: resolveOwner(req, item.userId) };
+      const { title } = await assertWatchItemRefs(owned, session);
+      return applyLifecycle(owned, title);
+    },
+    beforeUpdate: async (req, item, existing, { session }) => {
+      const owned = { ...item, userId: resolveOwner(req, item.userId ?? existing.userId) };
+      const { title } = await assertWatchItemRefs(owned, session);
+      return applyLifecycle(owned, title, existing);
+    }
+  },
+  docs: {
+    tag: 'Watchlists',
+    description: 'CRUD for user watchlist items',
+    schema: 'WatchItem',
+    required: ['userId'],
+    item: 'a watchlist item',
+    items: 'watchlist items',
+    example: { kind: 'anime', refId: '665f6a0f2c3d4b1a9f0a1234', status: 'planned', notes: 'Start this weekend' },
+    descriptions: {
+      list:
+        'Admins see every item (optionally filtered by `userId`); everyone else sees only their own. ' +
+        '`expand=ref,user` embeds each title and owner, `fields=` trims them.',
+      get:
+        '`expand=ref,user` embeds the title and owner, `fields=` trims them. Expanded responses carry a body ETag ' +
+        '(for If-None-Match), not the item version If-Match expects.',
+      create: '`userId` defaults to the caller; only admins may create items for someone else.'
+    },
+    errors: {
+      read: { 403: 'Item belongs to another user' },
+      write: { 403: 'Item belongs to another user' },
+      list: { 403: "Not allowed to read another user's items" },
+      create: { 403: 'Cannot create items for another user', 422: REF_ERROR },
+      replace: { 422: REF_ERROR },
+      patch: { 422: "Bad reference, progress past the title's total, or JSON Patch path does not exist" }
+    }
   }
 });
 
 /**
  * @openapi
- * /watchlists/{id}:
- *   put:
- *     summary: Replace a watchlist item
+ * /watchlists/{id}/progress:
+ *   post:
+ *     summary: Increment progress (e.g. "+1 episode")
+ *     description: >
+ *       Adds `by` (default 1; negative to undo) to the item's progress. Starting
+ *       progress moves a planned item to watching/reading, and reaching the
+ *       title's episodes/chapters marks it completed.
  *     tags: [Watchlists]
  *     security:
  *       - bearerAuth: []
@@ -133,55 +256,61 @@ router.post('/', jwtCheck, needWrite, async (req, res, next) => {
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
- *           schema: { $ref: '#/components/schemas/WatchItem' }
+ *           schema: { $ref: '#/components/schemas/WatchProgress' }
+ *           example: { by: 1 }
  *     responses:
- *       204: { description: Updated (no content) }
+ *       200:
+ *         description: The updated item
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WatchItem' }
  *       400: { description: Validation/ID error }
+ *       401: { description: Not authenticated }
+ *       403: { description: Item belongs to another user }
  *       404: { description: Not found }
+ *       409: { description: Progress changed concurrently; retry }
+ *       412: { description: If-Match did not match the current ETag }
  *       415: { description: Unsupported Media Type }
+ *       422: { description: Progress would go below 0 or past the title's total }
  */
-router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.post('/:id/progress', jwtCheck, needWrite, loadCurrentUser, async (req, res, next) => {
   try {
-    if (!req.is('application/json')) return res.status(415).json({ message: 'Content-Type must be application/json' });
+    // Body is optional ("+1" by default), but if there is one it must be JSON
+    if (req.is('*/*') && !req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
     const _id = parseId(req.params.id);
-    const parsed = WatchItemSchema.parse(req.body);
-    const result = await getDb().collection('watchlists').replaceOne({ _id }, { ...parsed, updatedAt: new Date() });
-    if (result.matchedCount === 0) return res.status(404).json({ message: 'Not found' });
-    res.status(204).send();
-  } catch (err) {
-    if (err instanceof z.ZodError) return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    next(err);
-  }
-});
+    const { by } = ProgressSchema.parse(req.body ?? {});
+    const existing = await router.resource.load(req, _id); // 404, or 403 unless the caller owns it
+    const match = ifMatchFilter(req, existing);
 
-/**
- * @openapi
- * /watchlists/{id}:
- *   delete:
- *     summary: Delete a watchlist item
- *     tags: [Watchlists]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     responses:
- *       204: { description: Deleted }
- *       400: { description: Invalid id }
- *       404: { description: Not found }
- */
-router.delete('/:id', jwtCheck, needWrite, async (req, res, next) => {
-  try {
-    const _id = parseId(req.params.id);
-    const result = await getDb().collection('watchlists').deleteOne({ _id });
-    if (result.deletedCount === 0) return res.status(404).json({ message: 'Not found' });
-    res.status(204).send();
+    const progress = (existing.progress ?? 0) + by;
+    if (progress < 0) {
+      throw httpError(422, 'progress cannot go below 0', { formErrors: [], fieldErrors: { by: ['Would make progress negative'] } });
+    }
+    const { _id: _ignored, ...rest } = existing;
+
+    const doc = await withTransaction(async (session) => {
+      const { title } = await assertWatchItemRefs(existing, session);
+      const stored = { ...applyLifecycle({ ...rest, progress }, title, existing), updatedAt: new Date() };
+      // Guard on the old value so two quick "+1"s can't both read the same progress
+      const { matchedCount } = await getDb()
+        .collection('watchlists')
+        .replaceOne({ _id, progress: existing.progress ?? null, ...NOT_DELETED, ...match }, stored, { session });
+      if (!matchedCount) return null;
+      await recordAudit(req, { action: 'progress', resource: 'watchlists', resourceId: _id, before: existing, after: stored }, session);
+      return stored;
+    });
+    if (!doc) {
+      if (Object.keys(match).length) throw notMatched(match);
+      throw httpError(409, 'Progress changed concurrently; retry');
+    }
+    sendWithEtag(res, { _id, ...doc });
   } catch (err) { next(err); }
 });
 
@@ -0,0 +1,140 @@
+import { randomBytes } from 'node:crypto';
+import { z } from 'zod';
+import { getDb } from '../db/connect.js';
+import { DELIVERY_STATUSES, EVENT_TYPES, pingWebhook } from '../db/webhooks.js';
+import { getUserSub, jwtCheck, needRead, needWrite } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { createListQuery, exactFilter, sendPage } from '../utils/listQuery.js';
+import { createResourceRouter, parseId } from '../utils/resourceRouter.js';
+
+const WebhookSchema = z.object({
+  url: z.string().url().regex(/^https?:\/\//i, 'Must be an http(s) URL').describe('Receives each event as a signed JSON POST'),
+  events: z.array(z.enum(['*', ...EVENT_TYPES])).min(1)
+    .describe('Event types to deliver, e.g. "anime.created" or "watchlist.completed"; "*" for all'),
+  secret: z.string().min(16).optional()
+    .describe('HMAC-SHA256 key for X-Webhook-Signature; generated when left out, kept when omitted on update'),
+  active: z.boolean().default(true).describe('Inactive webhooks get no new deliveries, and pending ones fail'),
+  description: z.string().optional()
+});
+
+const DeliveryListQuery = createListQuery({
+  sortable: ['createdAt'],
+  newestFirst: true,
+  filters: {
+    status: exactFilter('status', z.enum(DELIVERY_STATUSES)),
+    event: exactFilter('event.type', z.enum(['ping', ...EVENT_TYPES]))
+  }
+});
+
+const admin = (scope) => [jwtCheck, scope, requirePermission('webhooks:manage')];
+
+/**
+ * @openapi
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: >
+ *       One entry per event sent (or still to send) to this webhook, newest first,
+ *       with every attempt's HTTP status or error and timing. Failed attempts are
+ *       retried with exponential backoff (30s, 1m, 2m …) up to 8 times.
+ *       Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, succeeded, failed] }
+ *       - in: query
+ *         name: event
+ *         description: Event type, e.g. `anime.created` or `ping`
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: One page of deliveries
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/XTotalCount' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       400: { description: Invalid id or query parameters }
+ *       401: { description: Not authenticated }
+ *       403: { description: Requires admin role }
+ *       404: { description: Not found }
+ * /webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test ping
+ *     description: >
+ *       Delivers a `ping` event to the webhook right away, once (no retries), and
+ *       answers with the logged delivery, whether or not the receiver accepted it.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: The delivery; `status` is `succeeded` if the receiver answered 2xx
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       400: { description: Invalid id }
+ *       401: { description: Not authenticated }
+ *       403: { description: Requires admin role }
+ *       404: { description: Not found }
+ */
+const extraRoutes = (router) => {
+  router.get('/:id/deliveries', ...admin(needRead), async (req, res, next) => {
+    try {
+      const webhook = await router.resource.load(req, parseId(req.params.id));
+      const query = DeliveryListQuery(req.query);
+      const scope = { webhookId: String(webhook._id) };
+      Object.assign(query.filter, scope);
+      Object.assign(query.countFilter, scope);
+      await sendPage(req, res, getDb().collection('webhookDeliveries'), query);
+    } catch (err) { next(err); }
+  });
+
+  router.post('/:id/test', ...admin(needWrite), async (req, res, next) => {
+    try {
+      const webhook = await router.resource.load(req, parseId(req.params.id));
+      res.status(200).json(await pingWebhook(webhook, getUserSub(req)));
+    } catch (err) { next(err); }
+  });
+};
+
+const router = createResourceRouter({
+  name: 'webhooks',
+  schema: WebhookSchema,
+  list: { sortable: ['url', 'active', 'createdAt', 'updatedAt'] },
+  guards: { read: admin(needRead), write: admin(needWrite) },
+  hooks: {
+    beforeCreate: (_req, doc) => ({ ...doc, secret: doc.secret ?? randomBytes(32).toString('hex') }),
+    beforeUpdate: (_req, doc, existing) => ({ ...doc, secret: doc.secret ?? existing.secret })
+  },
+  routes: extraRoutes,
+  docs: {
+    tag: 'Webhooks',
+    description:
+      'Subscriptions that receive a signed JSON POST for each change to anime, manga, users and watchlists ' +
+      '(admin only). Verify `X-Webhook-Signature: t=<unix seconds>,v1=<hex>` by computing HMAC-SHA256 of ' +
+      '`<t>.<raw body>` with the webhook\'s `secret`. Non-2xx answers are retried with exponential backoff.',
+    schema: 'Webhook',
+    item: 'a webhook',
+    items: 'webhooks',
+    example: { url: 'https://example.com/hooks/anime', events: ['anime.created', 'watchlist.completed'] },
+    required: ['secret'],
+    descriptions: {
+      create: 'Leave out `secret` to have one generated; it is returned by `GET /webhooks/{id}`.'
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+// src/utils/bulk.js
+import express from 'express';
+import { once } from 'node:events';
+import { z } from 'zod';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { recordAuditMany } from '../db/audit.js';
+import { getDb, withTransaction } from '../db/connect.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Bulk import/export for the catalog collections (anime, manga).
+ *
+ * Formats:
+ *   NDJSON  application/x-ndjson (also application/jsonl) — one JSON object per line
+ *   CSV     text/csv — header row of field names; array fields (genres) are "|"-separated
+ *
+ * Import validates every row with the resource's Zod schema, upserts valid rows
+ * keyed on title + releaseYear, and reports invalid rows by line number.
+ * `?dryRun=true` validates and reports what would be inserted/updated without writing.
+ * Trashed records are left alone: a row matching one inserts a fresh record, and export skips them.
+ * Each inserted or changed record gets an `import` audit entry.
+ * Rows are written in batches of BATCH_SIZE, each batch and its audit entries in one
+ * transaction. A failure part-way keeps the batches before it (the error reaches the
+ * caller, not the report); since rows upsert, sending the same file again finishes it.
+ * Export streams the collection with a cursor, so it never sits in memory.
+ */
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl', 'application/jsonlines'];
+const CSV_TYPES = ['text/csv'];
+const ARRAY_SEPARATOR = '|';
+const BATCH_SIZE = 500;
+
+/** Raw-text body parser for import routes (the global JSON parser ignores these types). */
+export const bulkBody = express.text({ type: [...NDJSON_TYPES, ...CSV_TYPES], limit: '10mb' });
+
+export const ImportQuerySchema = z.object({
+  dryRun: z.enum(['true', 'false']).default('false').transform((v) => v === 'true')
+    .describe('Validate and report without writing anything')
+});
+
+export const ExportQuerySchema = z.object({
+  format: z.enum(['ndjson', 'csv']).optional().describe('Overrides the Accept header')
+});
+
+const unwrap = (t) => (t instanceof z.ZodOptional || t instanceof z.ZodDefault ? unwrap(t._def.innerType) : t);
+
+/** Schema fields whose type is an array (CSV cells hold them "|"-separated). */
+const arrayFields = (schema) =>
+  Object.entries(schema.shape).filter(([, t]) => unwrap(t) instanceof z.ZodArray).map(([k]) => k);
+
+/** → [{ line, row } | { line, error }] */
+const readNdjson = (text) =>
+  text.split(/\r?\n/).flatMap((raw, i) => {
+    if (!raw.trim()) return [];
+    try {
+      return [{ line: i + 1, row: JSON.parse(raw) }];
+    } catch (e) {
+      return [{ line: i + 1, error: { formErrors: [`Invalid JSON: ${e.message}`], fieldErrors: {} } }];
+    }
+  });
+
+const readCsv = (text, schema) => {
+  let records;
+  try {
+    records = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, info: true, bom: true });
+  } catch (e) {
+    throw httpError(400, `Invalid CSV: ${e.message}`);
+  }
+  const arrays = arrayFields(schema);
+  return records.map(({ record, info }) => {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (value === '') continue; // empty cell = field absent
+      row[key] = arrays.includes(key)
+        ? value.split(ARRAY_SEPARATOR).map((v) => v.trim()).filter(Boolean)
+        : value;
+    }
+    return { line: info.lines, row };
+  });
+};
+
+const keyOf = (doc) => ({ title: doc.title, releaseYear: doc.releaseYear ?? null });
+
+/** Upsert filter; $exists rather than null so an upsert doesn't store `releaseYear: null`. */
+const filterOf = (doc) => ({
+  title: doc.title,
+  releaseYear: doc.releaseYear ?? { $exists: false },
+  ...NOT_DELETED
+});
+
+/** Which keys already exist (for the dry-run report). */
+const existingKeys = async (col, docs) => {
+  const found = new Set();
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const or = docs.slice(i, i + BATCH_SIZE).map(filterOf);
+    const hits = await col.find({ $or: or }, { projection: { title: 1, releaseYear: 1 } }).toArray();
+    for (const h of hits) found.add(JSON.stringify(keyOf(h)));
+  }
+  return found;
+};
+
+/**
+ * POST /<collection>/import handler.
+ * @param {string} collection
+ * @param {z.AnyZodObject} schema
+ */
+export const importHandler = (collection, schema) => async (req, res, next) => {
+  try {
+    const { dryRun } = ImportQuerySchema.parse(req.query);
+    let rows;
+    if (req.is(NDJSON_TYPES)) rows = readNdjson(req.body ?? '');
+    else if (req.is(CSV_TYPES)) rows = readCsv(req.body ?? '', schema);
+    else throw httpError(415, `Content-Type must be one of: ${[...NDJSON_TYPES, ...CSV_TYPES].join(', ')}`);
+
+    const errors = [];
+    const valid = [];
+    for (const { line, row, error } of rows) {
+      if (error) { errors.push({ line, errors: error }); continue; }
+      const parsed = schema.safeParse(row);
+      if (parsed.success) valid.push(parsed.data);
+      else errors.push({ line, errors: parsed.error.flatten() });
+    }
+
+    // Later rows win when a file repeats the same title + releaseYear
+    const byKey = new Map(valid.map((d) => [JSON.stringify(keyOf(d)), d]));
+    const docs = [...byKey.values()];
+    const col = getDb().collection(collection);
+    let inserted = 0;
+    let updated = 0;
+
+    if (dryRun) {
+      const found = await existingKeys(col, docs);
+      updated = docs.filter((d) => found.has(JSON.stringify(keyOf(d)))).length;
+      inserted = docs.length - updated;
+    } else {
+      const now = new Date();
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = docs.slice(i, i + BATCH_SIZE);
+        const ops = batch.map((doc) => ({
+          updateOne: {
+            filter: filterOf(doc),
+            update: { $set: { ...doc, updatedAt: now }, $setOnInsert: { createdAt: now } },
+            upsert: true
+          }
+        }));
+        const result = await withTransaction(async (session) => {
+          // Snapshot the batch's records on both sides of the write for the audit log
+          const touched = { $or: batch.map(filterOf) };
+          const before = new Map((await col.find(touched, { session }).toArray()).map((d) => [String(d._id), d]));
+          const written = await col.bulkWrite(ops, { ordered: false, session });
+          const after = await col.find(touched, { session }).toArray();
+          await recordAuditMany(req, after.map((d) => ({
+            action: 'import', resource: collection, resourceId: d._id, before: before.get(String(d._id)), after: d
+          })), session);
+          return written;
+        });
+        inserted += result.upsertedCount;
+        updated += result.matchedCount;
+      }
+    }
+
+    res.status(200).json({
+      dryRun,
+      received: rows.length,
+      valid: valid.length,
+      inserted,
+      updated,
+      rejected: errors.length,
+      errors
+    });
+  } catch (err) { next(err); }
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let s = Array.isArray(value) ? value.join(ARRAY_SEPARATOR) : value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+  return s;
+};
+
+/**
+ * GET /<collection>/export handler. Format from `?format=` or the Accept header (default NDJSON).
+ * @param {string} collection
+ * @param {z.AnyZodObject} schema
+ */
+export const exportHandler = (collection, schema) => async (req, res, next) => {
+  try {
+    const { format: asked } = ExportQuerySchema.parse(req.query);
+    const format = asked ?? (req.accepts(['application/x-ndjson', 'text/csv']) === 'text/csv' ? 'csv' : 'ndjson');
+    const columns = ['_id', ...Object.keys(schema.shape), 'createdAt', 'updatedAt'];
+
+    res.status(200);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${collection}.${format}"`);
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+
+    if (format === 'csv') await write(`${columns.join(',')}\n`);
+    const cursor = getDb().collection(collection).find(NOT_DELETED).sort({ _id: 1 });
+    try {
+      for await (const doc of cursor) {
+        if (res.destroyed) break; // client went away
+        await write(format === 'csv'
+          ? `${columns.map((c) => csvCell(doc[c])).join(',')}\n`
+          : `${JSON.stringify(doc)}\n`);
+      }
+    } finally {
+      await cursor.close();
+    }
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
@@ -0,0 +1,50 @@
+// src/utils/etag.js
+import { httpError } from './httpError.js';
+
+/**
+ * Optimistic concurrency for single documents, keyed on `updatedAt`
+ * (every write through the API bumps it).
+ *
+ *   GET    → ETag: "<updatedAt>"; If-None-Match that matches → 304
+ *   PUT/PATCH/DELETE with If-Match → 412 unless it still matches, and the
+ *   write itself is filtered on the same updatedAt so a racing writer loses.
+ *
+ * List endpoints get Express's body-based ETag (app.set('etag')), so
+ * If-None-Match → 304 works there too.
+ */
+
+/** Strong ETag for a stored document (documents never written by the API share "0"). */
+export const etagOf = (doc) =>
+  `"${(doc?.updatedAt instanceof Date ? doc.updatedAt.getTime() : 0).toString(36)}"`;
+
+/**
+ * Send a document with its ETag. res.json → res.send answers 304 itself when
+ * the request's If-None-Match matches (req.fresh).
+ */
+export const sendWithEtag = (res, doc, status = 200) => {
+  res.set('ETag', etagOf(doc));
+  res.status(status).json(doc);
+};
+
+/**
+ * Check If-Match against the stored document.
+ * @returns {object} extra write filter: `{}` without If-Match, else the version we matched
+ * @throws 412 when the client's ETag is stale
+ */
+export const ifMatchFilter = (req, doc) => {
+  const header = req.get('if-match');
+  if (!header) return {};
+  if (header.trim() !== '*') {
+    const tags = header.split(',').map((t) => t.trim());
+    if (!tags.includes(etagOf(doc))) {
+      throw httpError(412, 'Precondition Failed: the resource has changed since you fetched it');
+    }
+  }
+  return { updatedAt: doc.updatedAt ?? null };
+};
+
+/** Error for a conditional write that matched nothing: someone beat us to it (412) or it's gone (404). */
+export const notMatched = (match) =>
+  Object.keys(match).length
+    ? httpError(412, 'Precondition Failed: the resource has changed since you fetched it')
+    : httpError(404, 'Not found');
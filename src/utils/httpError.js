@@ -0,0 +1,14 @@
+// src/utils/httpError.js
+
+/**
+ * Error the central handler (src/middleware/problem.js) turns into a problem
+ * document with the given status; `message` becomes `detail` and `errors` is
+ * passed through (expose = safe to show the message to clients).
+ */
+export const httpError = (status, message, errors) => {
+  const e = new Error(message);
+  e.statusCode = status;
+  e.expose = true;
+  if (errors) e.errors = errors;
+  return e;
+};
@@ -0,0 +1,257 @@
+// src/utils/listQuery.js
+import { z } from 'zod';
+import { ObjectId } from 'mongodb';
+import { parameterComponents, toOpenApi } from './openapi.js';
+
+/**
+ * Paging, sorting and filtering for list endpoints (GET /anime, GET /manga, …).
+ *
+ *   ?page=2&limit=20                 offset paging (limit 1..100, default 20)
+ *   ?after=<last _id>&limit=20       cursor paging (only with the default _id order)
+ *                                    — oldest first, or newest first for `newestFirst` lists
+ *   ?sort=-rating,releaseYear        comma-separated fields, "-" = descending
+ *   ?genre=Action&releaseYear[gte]=2000&rating[gte]=8
+ *
+ * The body stays a plain array; totals and navigation go in headers:
+ *   X-Total-Count: 123
+ *   Link: <…?page=3&limit=20>; rel="next", <…?page=1&limit=20>; rel="prev", …
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const RANGE_OPS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+
+const ObjectIdString = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be 24 hex chars');
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/*
+ * Each filter is { schema, toMongo, params }: `params(name)` documents the
+ * query parameter(s) for OpenAPI from the same Zod schema that parses them.
+ */
+
+const queryParam = (name, schema, description) => ({ in: 'query', name, ...(description ? { description } : {}), schema });
+
+/** Case-insensitive exact match on a string (or array-of-strings) field. */
+export const textFilter = (field) => {
+  const schema = z.string().trim().min(1);
+  return {
+    schema,
+    toMongo: (v) => ({ [field]: { $regex: `^${escapeRegex(v)}$`, $options: 'i' } }),
+    params: (name) => [queryParam(name, toOpenApi(schema), `\`${field}\` (case-insensitive exact match)`)]
+  };
+};
+
+/** Exact match validated by a Zod schema (e.g. the status enum). */
+export const exactFilter = (field, schema) => ({
+  schema,
+  toMongo: (v) => ({ [field]: v }),
+  params: (name) => [queryParam(name, toOpenApi(schema))]
+});
+
+/** Numeric range: `field=5` or `field[gte]=5&field[lt]=9`. */
+export const rangeFilter = (field, schema = z.coerce.number()) => ({
+  schema: z
+    .union([
+      schema.transform((v) => ({ eq: v })),
+      z.object(Object.fromEntries(RANGE_OPS.map((op) => [op, schema.optional()]))).strict()
+    ]),
+  params: (name) => {
+    const json = toOpenApi(schema);
+    return [
+      queryParam(name, json, `Exact \`${field}\`. Ranges: \`${name}[gte]\`, \`[gt]\`, \`[lte]\`, \`[lt]\`.`),
+      ...RANGE_OPS.slice(1).map((op) => queryParam(`${name}[${op}]`, json))
+    ];
+  },
+  toMongo: (v) => {
+    if (v.eq !== undefined) return { [field]: v.eq };
+    const cond = {};
+    for (const op of RANGE_OPS.slice(1)) if (v[op] !== undefined) cond[`$${op}`] = v[op];
+    return Object.keys(cond).length ? { [field]: cond } : {};
+  }
+});
+
+/**
+ * Express 5 uses the "simple" query parser, so `releaseYear[gte]=2000` arrives
+ * as a literal key. Fold those into `{ releaseYear: { gte: '2000' } }`
+ * (already-nested objects from the "extended" parser pass through).
+ */
+const foldBrackets = (query) => {
+  const out = {};
+  for (const [key, value] of Object.entries(query || {})) {
+    const m = key.match(/^([A-Za-z_]\w*)\[(\w+)\]$/);
+    if (m) {
+      const base = typeof out[m[1]] === 'object' ? out[m[1]] : {};
+      out[m[1]] = { ...base, [m[2]]: value };
+    } else if (typeof out[key] === 'object' && !Array.isArray(value)) {
+      out[key] = { ...out[key], eq: value };
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+};
+
+const PAGING = {
+  page: z.coerce.number().int().min(1).default(1).describe('Page number (1-based). Ignored when `after` is used.'),
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT).describe('Items per page. Lists are always paged: without paging parameters you get the first page; follow `rel="next"` in `Link` for the rest.'),
+  after: ObjectIdString.optional()
+    .describe('Cursor paging: return items whose `_id` is after this one. Cannot be combined with `sort` or `page`.')
+};
+
+const SORT_DESCRIPTION = 'Comma-separated fields; prefix with `-` for descending.';
+
+const sortParam = (description, example) => ({
+  in: 'query',
+  name: 'sort',
+  description,
+  schema: { type: 'string', minLength: 1 },
+  example
+});
+
+/** Shared paging/sort parameters (components.parameters in swagger.js), generated from PAGING. */
+export const LIST_PARAMETERS = {
+  ...parameterComponents(z.object(PAGING)),
+  Sort: sortParam(SORT_DESCRIPTION, '-rating,releaseYear')
+};
+
+/**
+ * Build a Zod schema for a list endpoint's query string.
+ * @param {object} opts
+ * @param {string[]} opts.sortable  fields allowed in `sort`
+ * @param {Record<string, {schema: z.ZodTypeAny, toMongo: Function}>} opts.filters
+ * @param {boolean} [opts.newestFirst]  default to descending `_id` (and page `after` backwards)
+ */
+export const createListQuery = ({ sortable, filters = {}, newestFirst = false }) => {
+  const idOrder = newestFirst ? -1 : 1;
+  const SortSchema = z
+    .string()
+    .trim()
+    .min(1)
+    .transform((s, ctx) => {
+      const sort = {};
+      for (const part of s.split(',').map((p) => p.trim()).filter(Boolean)) {
+        const field = part.replace(/^[-+]/, '');
+        if (!sortable.includes(field)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Cannot sort by "${field}". Allowed: ${sortable.join(', ')}`
+          });
+          return z.NEVER;
+        }
+        sort[field] = part.startsWith('-') ? -1 : 1;
+      }
+      return sort;
+    });
+
+  const schema = z
+    .object({
+      ...PAGING,
+      sort: SortSchema.optional(),
+      ...Object.fromEntries(Object.entries(filters).map(([k, f]) => [k, f.schema.optional()]))
+    })
+    .strict()
+    .refine((q) => !(q.after && q.sort), {
+      message: '`after` cursor paging cannot be combined with `sort`',
+      path: ['after']
+    })
+    .refine((q) => !(q.after && q.page > 1), {
+      message: '`after` cursor paging cannot be combined with `page`',
+      path: ['after']
+    });
+
+  /** Parse `req.query` → { filter, sort, skip, limit, page, after }. Throws ZodError. */
+  const parse = (query) => {
+    const q = schema.parse(foldBrackets(query));
+    const filter = {};
+    for (const [key, f] of Object.entries(filters)) {
+      if (q[key] !== undefined) Object.assign(filter, f.toMongo(q[key]));
+    }
+    const countFilter = { ...filter };
+    if (q.after) filter._id = { [newestFirst ? '$lt' : '$gt']: new ObjectId(q.after) };
+    // Always end with _id so pages are stable when sort keys tie.
+    const sort = { ...(q.sort || {}), _id: q.sort?._id ?? idOrder };
+    return {
+      filter,
+      countFilter,
+      sort,
+      skip: q.after ? 0 : (q.page - 1) * q.limit,
+      limit: q.limit,
+      page: q.page,
+      after: q.after
+    };
+  };
+
+  /** OpenAPI parameters for this query string: shared paging refs, `sort` with its fields, then the filters. */
+  parse.parameters = [
+    ...['Page', 'Limit', 'After'].map((p) => ({ $ref: `#/components/parameters/${p}` })),
+    sortParam(`${SORT_DESCRIPTION} Allowed: ${sortable.join(', ')}.`, `-${sortable[0]}`),
+    ...Object.entries(filters).flatMap(([name, f]) => f.params(name))
+  ];
+  /** The query-string schema itself (before bracket folding), e.g. to check the docs against it. */
+  parse.schema = schema;
+  return parse;
+};
+
+/**
+ * Set X-Total-Count and Link headers for one page of results.
+ * Offset paging gets first/prev/next/last; cursor paging (`nextAfter`) only gets next.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ total: number, page: number, limit: number, after?: string, nextAfter?: string, maxPage?: number }} info
+ *   `maxPage`: the last page the endpoint serves, if it caps paging (X-Total-Count still counts every match)
+ */
+export const setPageHeaders = (req, res, { total, page, limit, after, nextAfter, maxPage = Infinity }) => {
+  const link = (params) => {
+    const qs = new URLSearchParams();
+    for (const [k, v] of Object.entries(req.query)) {
+      // Repeated keys (?genre=a&genre=b) arrive as an array; keep every value
+      if (!['page', 'after'].includes(k)) for (const each of [v].flat()) qs.append(k, String(each));
+    }
+    for (const [k, v] of Object.entries(params)) qs.set(k, String(v));
+    qs.set('limit', String(limit));
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${qs}`;
+  };
+
+  const links = [];
+  if (after) {
+    if (nextAfter) links.push(`<${link({ after: nextAfter })}>; rel="next"`);
+  } else {
+    const lastPage = Math.max(1, Math.min(Math.ceil(total / limit), maxPage));
+    links.push(`<${link({ page: 1 })}>; rel="first"`);
+    if (page > 1) links.push(`<${link({ page: Math.min(page - 1, lastPage) })}>; rel="prev"`);
+    if (page < lastPage) links.push(`<${link({ page: page + 1 })}>; rel="next"`);
+    links.push(`<${link({ page: lastPage })}>; rel="last"`);
+  }
+
+  res.set('X-Total-Count', String(total));
+  if (links.length) res.set('Link', links.join(', '));
+};
+
+/**
+ * One page of documents; `stages` (e.g. $lookup for ?expand=) run on that page only.
+ * @param {import('mongodb').Collection} collection
+ * @param {{ filter: object, sort: object, skip: number, limit: number, stages?: object[] }} list
+ * @returns {Promise<object[]>}
+ */
+export const findPage = (collection, { filter, sort, skip, limit, stages = [] }) =>
+  (stages.length
+    ? collection.aggregate([{ $match: filter }, { $sort: sort }, { $skip: skip }, { $limit: limit }, ...stages])
+    : collection.find(filter).sort(sort).skip(skip).limit(limit)
+  ).toArray();
+
+/**
+ * Run a paged find and send the array with X-Total-Count / Link headers.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('mongodb').Collection} collection
+ * @param {ReturnType<ReturnType<typeof createListQuery>>} list  plus optional `stages` (see findPage)
+ */
+export const sendPage = async (req, res, collection, list) => {
+  const { countFilter, limit, page, after } = list;
+  const [docs, total] = await Promise.all([findPage(collection, list), collection.countDocuments(countFilter)]);
+  const nextAfter = docs.length === limit ? String(docs[docs.length - 1]._id) : undefined;
+  setPageHeaders(req, res, { total, page, limit, after, nextAfter });
+  res.status(200).json(docs);
+};
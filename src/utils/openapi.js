@@ -0,0 +1,129 @@
+// src/utils/openapi.js
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+/**
+ * OpenAPI 3.0 derived from the Zod validators, so the docs can't drift from
+ * what the API actually accepts. For a resource schema `Name`:
+ *
+ *   NameCreate   POST and PUT bodies — the schema as validated (defaults shown)
+ *   NameUpdate   PATCH merge-patch bodies — every field optional, `null` clears optional ones
+ *   Name         responses — the stored shape: defaults filled in, plus _id/createdAt/updatedAt,
+ *                deletedAt (trashed records), server-maintained fields and ?expand= embeds (readOnly)
+ *
+ * Field descriptions come from `.describe()` on the Zod side.
+ */
+
+const OPTIONS = {
+  target: 'openApi3',
+  $refStrategy: 'none',
+  // Plain z.object() strips unknown keys rather than rejecting them; only .strict() ones say so
+  removeAdditionalStrategy: 'strict'
+};
+
+/** JSON Schema (OpenAPI 3.0 dialect) for a Zod type. */
+export const toOpenApi = (schema) => zodToJsonSchema(schema, OPTIONS);
+
+const ObjectIdString = z.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/** Added by the API to every stored document. */
+const SYSTEM_FIELDS = {
+  _id: ObjectIdString,
+  createdAt: z.date(),
+  updatedAt: z.date(),
+  deletedAt: z.date().optional().describe('When it was moved to the trash; only trashed records (includeDeleted=true) have it')
+};
+
+// Unwrapping drops a `.describe()` made on the wrapper, so carry it over
+const described = (inner, outer) => (outer.description ? inner.describe(outer.description) : inner);
+const unwrapDefault = (t) => (t instanceof z.ZodDefault ? described(t.removeDefault(), t) : t);
+const unwrapOptional = (t) => (t instanceof z.ZodOptional ? described(t.unwrap(), t) : t);
+
+const mapShape = (shape, fn) => Object.fromEntries(Object.entries(shape).map(([k, t]) => [k, fn(t, k)]));
+
+/** Apply `fn` to an object schema, or to each member of a (discriminated) union of objects. */
+const eachObject = (schema, fn) => {
+  if (schema instanceof z.ZodObject) return fn(schema);
+  if (schema instanceof z.ZodDiscriminatedUnion || schema instanceof z.ZodUnion) {
+    return z.union(schema.options.map(fn));
+  }
+  throw new Error(`Cannot document ${schema.constructor.name}; expected an object or a union of objects`);
+};
+
+const markReadOnly = (json, keys) => {
+  for (const member of json.anyOf ?? [json]) {
+    for (const key of keys) if (member.properties?.[key]) member.properties[key].readOnly = true;
+  }
+  return json;
+};
+
+/** Add response-only JSON Schema properties (readOnly, never required) to each member. */
+const withProperties = (json, properties = {}) => {
+  for (const member of json.anyOf ?? [json]) {
+    for (const [key, property] of Object.entries(properties)) member.properties[key] = { ...property, readOnly: true };
+  }
+  return json;
+};
+
+/**
+ * The three component schemas for one resource.
+ * @param {string} name               component name for responses, e.g. 'Anime'
+ * @param {z.ZodTypeAny} schema       the body validator (object or union of objects)
+ * @param {object} [opts]
+ * @param {z.ZodObject} [opts.computed]  server-maintained fields (readOnly in responses)
+ * @param {string[]} [opts.required]     optional on input but always present in responses (e.g. a defaulted owner)
+ * @param {Record<string, object>} [opts.expanded]  JSON Schema of fields only ?expand= adds to responses
+ * @returns {Record<string, object>}
+ */
+export const schemaVariants = (name, schema, { computed, required = [], expanded } = {}) => {
+  const response = eachObject(schema, (obj) =>
+    z.object({
+      ...mapShape(obj.shape, (t, k) => {
+        const stored = unwrapDefault(t);
+        return required.includes(k) ? unwrapOptional(stored) : stored;
+      }),
+      ...SYSTEM_FIELDS,
+      ...computed?.shape
+    })
+  );
+  const update = eachObject(schema, (obj) =>
+    z.object(mapShape(obj.shape, (t) => (t.isOptional() ? unwrapDefault(t).nullable() : t).optional()))
+  );
+  return {
+    [name]: withProperties(
+      markReadOnly(toOpenApi(response), [...Object.keys(SYSTEM_FIELDS), ...Object.keys(computed?.shape ?? {})]),
+      expanded
+    ),
+    [`${name}Create`]: toOpenApi(schema),
+    [`${name}Update`]: toOpenApi(update)
+  };
+};
+
+/**
+ * Query parameters for each field of an object schema (refinements are looked through).
+ * A field's `.describe()` text becomes the parameter description.
+ */
+export const parametersOf = (schema) => {
+  let obj = schema;
+  while (obj instanceof z.ZodEffects) obj = obj.innerType();
+  return Object.entries(obj.shape).map(([name, t]) => {
+    // A bare optional renders as `anyOf: [{ not: {} }, …]`; for a parameter, `required` says it instead
+    const { description, ...json } = toOpenApi(unwrapOptional(t));
+    return { in: 'query', name, ...(description ? { description } : {}), ...(t.isOptional() ? {} : { required: true }), schema: json };
+  });
+};
+
+/** parametersOf(schema) keyed for components.parameters: `prefix` + capitalized field name. */
+export const parameterComponents = (schema, prefix = '') =>
+  Object.fromEntries(parametersOf(schema).map((p) => [`${prefix}${p.name.charAt(0).toUpperCase()}${p.name.slice(1)}`, p]));
+
+/* ---------- Building blocks for generated paths ---------- */
+
+/** The `{id}` path parameter: a Mongo ObjectId. */
+export const ID_PARAM = { in: 'path', name: 'id', required: true, schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' } };
+
+/** `{ $ref }` to a shared component, e.g. ref('headers', 'Link'). */
+export const ref = (kind, key) => ({ $ref: `#/components/${kind}/${key}` });
+
+/** `{ 404: 'Not found' }` → `{ 404: { description: 'Not found' } }` */
+export const responsesOf = (map) => Object.fromEntries(Object.entries(map).map(([code, description]) => [code, { description }]));
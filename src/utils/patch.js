@@ -0,0 +1,160 @@
+// src/utils/patch.js
+import { z } from 'zod';
+import { httpError } from './httpError.js';
+
+/**
+ * PATCH support for the routers.
+ *
+ *   application/merge-patch+json  RFC 7396 (plain application/json is treated the same)
+ *   application/json-patch+json   RFC 6902 (add/remove/replace/move/copy/test)
+ *
+ * The patch is applied to the stored document minus system fields, and the
+ * result is validated with the resource's full Zod schema — so a PATCH can
+ * never produce a document a PUT would have rejected.
+ */
+
+export const MERGE_PATCH = 'application/merge-patch+json';
+export const JSON_PATCH = 'application/json-patch+json';
+
+/** Fields the server owns; patches never see or touch them. */
+const SYSTEM_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(v));
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  if (ka.length !== Object.keys(b).length) return false;
+  return ka.every((k) => deepEqual(a[k], b[k]));
+};
+
+/** RFC 7396: objects merge recursively, null deletes, anything else replaces. */
+export const mergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete out[key];
+    else out[key] = mergePatch(out[key], value);
+  }
+  return out;
+};
+
+const JsonPatchSchema = z
+  .array(
+    z.discriminatedUnion('op', [
+      z.object({ op: z.literal('add'), path: z.string(), value: z.any() }),
+      z.object({ op: z.literal('remove'), path: z.string() }),
+      z.object({ op: z.literal('replace'), path: z.string(), value: z.any() }),
+      z.object({ op: z.literal('move'), from: z.string(), path: z.string() }),
+      z.object({ op: z.literal('copy'), from: z.string(), path: z.string() }),
+      z.object({ op: z.literal('test'), path: z.string(), value: z.any() })
+    ])
+  )
+  .min(1);
+
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw httpError(422, `Invalid JSON Pointer "${pointer}"`);
+  return pointer.slice(1).split('/').map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/** Resolve the container holding the pointer's last token. */
+const locate = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw httpError(422, 'Patching the whole document is not supported; use PUT');
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    parent = Array.isArray(parent) ? parent[Number(token)] : parent?.[token];
+    if (parent === null || typeof parent !== 'object') throw httpError(422, `Path "${pointer}" does not exist`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const arrayIndex = (arr, key, { allowEnd }) => {
+  if (allowEnd && key === '-') return arr.length;
+  const i = /^(0|[1-9]\d*)$/.test(key) ? Number(key) : NaN;
+  if (!(i >= 0 && i < arr.length + (allowEnd ? 1 : 0))) throw httpError(422, `Array index "${key}" is out of range`);
+  return i;
+};
+
+const getAt = (doc, pointer) => {
+  const { parent, key } = locate(doc, pointer);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, { allowEnd: false })];
+  if (!Object.hasOwn(parent, key)) throw httpError(422, `Path "${pointer}" does not exist`);
+  return parent[key];
+};
+
+const removeAt = (doc, pointer) => {
+  const value = getAt(doc, pointer);
+  const { parent, key } = locate(doc, pointer);
+  if (Array.isArray(parent)) parent.splice(Number(key), 1);
+  else delete parent[key];
+  return value;
+};
+
+const addAt = (doc, pointer, value) => {
+  const { parent, key } = locate(doc, pointer);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  else parent[key] = value;
+};
+
+/** RFC 6902: apply ops in order to a copy of `doc`; a failed `test` is a 409. */
+export const jsonPatch = (doc, ops) => {
+  const out = structuredClone(doc);
+  for (const op of ops) {
+    switch (op.op) {
+      case 'add': addAt(out, op.path, structuredClone(op.value)); break;
+      case 'remove': removeAt(out, op.path); break;
+      case 'replace': removeAt(out, op.path); addAt(out, op.path, structuredClone(op.value)); break;
+      case 'move': addAt(out, op.path, removeAt(out, op.from)); break;
+      case 'copy': addAt(out, op.path, structuredClone(getAt(out, op.from))); break;
+      case 'test':
+        if (!deepEqual(getAt(out, op.path), op.value)) throw httpError(409, `Test failed at "${op.path}"`);
+        break;
+    }
+  }
+  return out;
+};
+
+/**
+ * Merge-patch bodies are checked against the schema with every field optional
+ * and nullable (null = remove). For a discriminated union (watchlists) the
+ * branch is picked from the patch, falling back to the stored document.
+ */
+const mergePatchSchema = (schema, patch, current) => {
+  let object = schema;
+  if (schema instanceof z.ZodDiscriminatedUnion) {
+    const key = schema.discriminator;
+    object = schema.optionsMap.get(patch?.[key] ?? current[key]) ?? schema.options[0];
+  }
+  const shape = Object.fromEntries(
+    Object.entries(object.shape).map(([k, t]) => [k, t.nullable().optional()])
+  );
+  return z.object(shape);
+};
+
+/**
+ * Apply the request body as a patch to `current` and return the validated
+ * result (system fields stripped; callers re-add createdAt/updatedAt).
+ * Throws ZodError for invalid bodies/results, 415/409/422 errors otherwise.
+ * @param {import('express').Request} req
+ * @param {object} current  the stored document
+ * @param {z.ZodTypeAny} schema  the resource's full schema
+ */
+export const patchDocument = (req, current, schema) => {
+  const base = Object.fromEntries(Object.entries(current).filter(([k]) => !SYSTEM_FIELDS.includes(k)));
+  let patched;
+  if (req.is(JSON_PATCH)) {
+    patched = jsonPatch(base, JsonPatchSchema.parse(req.body));
+  } else if (req.is(MERGE_PATCH) || req.is('application/json')) {
+    if (!isPlainObject(req.body)) throw httpError(400, 'Merge patch body must be a JSON object');
+    patched = mergePatch(base, mergePatchSchema(schema, req.body, base).parse(req.body));
+  } else {
+    throw httpError(415, `Content-Type must be ${MERGE_PATCH} or ${JSON_PATCH}`);
+  }
+  return schema.parse(patched);
+};
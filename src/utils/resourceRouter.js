@@ -0,0 +1,582 @@
+// src/utils/resourceRouter.js
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { z } from 'zod';
+import { parseHistoryList, recordAudit } from '../db/audit.js';
+import { getDb, withTransaction } from '../db/connect.js';
+import { deleteWithPolicy } from '../db/integrity.js';
+import { NOT_DELETED } from '../db/trash.js';
+import { jwtCheck, needRead, needWrite } from '../middleware/auth.js';
+import { PERMISSIONS, requirePermission } from '../middleware/permissions.js';
+import { bulkBody, ExportQuerySchema, exportHandler, ImportQuerySchema, importHandler } from './bulk.js';
+import { etagOf, ifMatchFilter, notMatched, sendWithEtag } from './etag.js';
+import { httpError } from './httpError.js';
+import { createListQuery, findPage, sendPage } from './listQuery.js';
+import { ID_PARAM, parametersOf, ref, responsesOf, schemaVariants } from './openapi.js';
+import { patchDocument } from './patch.js';
+
+/**
+ * One definition → CRUD routes + their OpenAPI paths for a MongoDB collection.
+ *
+ *   GET    /            paged list (listQuery: page/limit/after/sort + filters)
+ *   GET    /:id         with ETag / If-None-Match
+ *   POST   /            validate with `schema`, 201 + Location
+ *   PUT    /:id         replace, 204 + ETag; If-Match → 412
+ *   PATCH  /:id         merge patch / JSON Patch, revalidated; 200 + ETag
+ *   DELETE /:id         moves it to the trash (sets deletedAt); ?hard=true purges it via
+ *                       deleteWithPolicy (DELETE_POLICY for referencing items)
+ *   POST   /:id/restore takes it back out of the trash, 200 + ETag
+ *   POST   /import, GET /export   when `bulk` is set (NDJSON/CSV, see bulk.js)
+ *   GET    /:id/history  when `history` is set: the record's audit entries, newest first
+ *
+ * With `expand`, GET / and GET /:id also take its query options (e.g. ?expand=)
+ * and run the aggregation stages they yield on the documents they return.
+ *
+ * Trashed records are invisible to every other route unless GET / or GET /:id
+ * asks for ?includeDeleted=true. That option, ?hard=true and /restore are for
+ * 'trash:manage' only; src/db/trash.js purges the trash after a retention window.
+ *
+ * Every write is recorded in the `audit` collection (src/db/audit.js), in the
+ * same transaction as the write itself.
+ *
+ * Hooks (all optional, may be async):
+ *   authorize(req, doc)                          after loading a document for any /:id route; throw to refuse
+ *   scopeList(req, list) → filter                extra filter ANDed into the list (e.g. "own items only")
+ *   beforeCreate(req, doc, { session }) → doc    inside the write transaction; return the document to insert
+ *   beforeUpdate(req, doc, existing, { session }) → doc   same for PUT and PATCH (req.method tells them apart)
+ *   afterCreate(req, doc) / afterUpdate(req, doc, existing) / afterDelete(req, existing)   once the write is done
+ *                                                (afterDelete for both trashing and purging)
+ *
+ * The router's `resource` property exposes the operations and guards (for other
+ * routes, e.g. PATCH /me, and the GraphQL endpoint) and the generated `openapi`
+ * fragment (paths plus the component schemas derived from `schema`) that
+ * swagger.js merges.
+ */
+
+const OPERATIONS = {
+  list: 'read', get: 'read', export: 'read', history: 'read',
+  create: 'write', replace: 'write', patch: 'write', delete: 'write', import: 'write', restore: 'write'
+};
+
+// Trash options are checked on top of the route's own guards (which may be none, e.g. public reads)
+const TRASH_GUARDS = {
+  read: [jwtCheck, needRead, requirePermission('trash:manage')],
+  write: [jwtCheck, needWrite, requirePermission('trash:manage')]
+};
+
+const DEFAULT_GUARDS = { restore: TRASH_GUARDS.write };
+
+const flag = (description) =>
+  z.enum(['true', 'false']).default('false').transform((v) => v === 'true').describe(description);
+
+/** ?includeDeleted= on GET / and GET /:id */
+export const TrashQuerySchema = z.object({
+  includeDeleted: flag('Also return records in the trash (admin only)')
+});
+
+/** ?hard= on DELETE /:id */
+export const HardDeleteQuerySchema = z.object({
+  hard: flag('Purge it now instead of moving it to the trash (admin only)')
+});
+
+/**
+ * Runs the trash guards for `scope` when `schema` parses req.query to a true
+ * option; otherwise (or when the query is malformed, which the route then
+ * rejects with 400) it lets the request straight through.
+ */
+const trashGate = (scope, schema) => {
+  const gate = Router().use(TRASH_GUARDS[scope]);
+  return (req, res, next) => {
+    const options = schema.safeParse(req.query).data ?? {};
+    return Object.values(options).some(Boolean) ? gate(req, res, next) : next();
+  };
+};
+
+/** Path :id → ObjectId. A malformed id throws a BSONError, which problem.js answers as 400 invalid-id. */
+export const parseId = (id) => new ObjectId(id);
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * @param {object} def
+ * @param {string} def.name            URL segment, e.g. 'anime' → /anime
+ * @param {string} [def.collection]    MongoDB collection (default: name)
+ * @param {import('zod').ZodTypeAny} def.schema   body schema for POST/PUT and the result of PATCH
+ * @param {{ sortable?: string[], filters?: object }} [def.list]  createListQuery options (sortable defaults to the schema's fields)
+ * @param {import('zod').AnyZodObject} [def.computed]  server-maintained fields, kept across PUT/PATCH,
+ *   sortable, and documented as readOnly
+ * @param {Record<string, Array>} [def.guards]  middleware per operation (list, get, create, replace, patch,
+ *   delete, import, export, history), falling back to `read` / `write`; restore defaults to admins only
+ * @param {object} [def.hooks]         see above
+ * @param {boolean} [def.bulk]         add /import and /export
+ * @param {boolean} [def.history]      add GET /:id/history
+ * @param {(router: import('express').Router) => void} [def.routes]  extra routes, registered before /:id
+ * @param {{ parse: Function, properties: object }} [def.expand]  `parse(req.query)` → aggregation stages for
+ *   GET / and GET /:id (`parse.parameters` documents its query options); `properties` are the JSON Schema
+ *   of the fields those stages add, documented on the response schema
+ * @param {object} def.docs            { tag, description, schema (component name), item, items, example?,
+ *   descriptions?, errors?, required? (fields optional on input but always stored, e.g. a defaulted owner) }
+ */
+export const createResourceRouter = ({
+  name,
+  collection = name,
+  schema,
+  list = {},
+  computed,
+  guards = {},
+  hooks = {},
+  bulk = false,
+  history = false,
+  routes,
+  expand,
+  docs
+}) => {
+  const col = () => getDb().collection(collection);
+  const guardsFor = (op) => guards[op] ?? DEFAULT_GUARDS[op] ?? guards[OPERATIONS[op]] ?? [];
+  const computedFields = Object.keys(computed?.shape ?? {});
+  const parseListQuery = createListQuery({
+    sortable: list.sortable ?? [...Object.keys(schema.shape ?? {}), ...computedFields, 'createdAt', 'updatedAt'],
+    filters: list.filters
+  });
+  const expandParameters = expand?.parse.parameters ?? [];
+  const stagesOf = (query) => expand?.parse(query) ?? [];
+  /** The list query plus ?includeDeleted= and the expand options → { filter, sort, …, includeDeleted, stages } */
+  const parseList = (query) => {
+    const { includeDeleted, ...rest } = query;
+    const expandQuery = {};
+    for (const { name: key } of expandParameters) {
+      if (key in rest) { expandQuery[key] = rest[key]; delete rest[key]; }
+    }
+    return { ...parseListQuery(rest), ...TrashQuerySchema.parse({ includeDeleted }), stages: stagesOf(expandQuery) };
+  };
+  parseList.parameters = [...parseListQuery.parameters, ...parametersOf(TrashQuerySchema), ...expandParameters];
+
+  const carried = (existing) => Object.fromEntries(computedFields.filter((k) => k in existing).map((k) => [k, existing[k]]));
+
+  // Unique indexes (e.g. users.email) → 409 naming the field
+  const guardDuplicates = (err) => {
+    if (err?.code !== 11000) throw err;
+    const field = Object.keys(err.keyPattern ?? {})[0] ?? 'value';
+    throw httpError(409, `${capitalize(docs.item)} with this ${field} already exists`);
+  };
+
+  /** Load `_id` (404 if missing or trashed, unless `includeDeleted`) and run the authorize hook. */
+  const load = async (req, _id, { includeDeleted = false } = {}) => {
+    const doc = await col().findOne({ _id, ...(includeDeleted ? {} : NOT_DELETED) });
+    if (!doc) throw httpError(404, 'Not found');
+    await hooks.authorize?.(req, doc);
+    return doc;
+  };
+
+  /** Insert an already-validated document. @returns {Promise<object>} the stored document */
+  const create = async (req, parsed) => {
+    const now = new Date();
+    const doc = await withTransaction(async (session) => {
+      const prepared = hooks.beforeCreate ? await hooks.beforeCreate(req, parsed, { session }) : parsed;
+      const stored = { ...prepared, createdAt: now, updatedAt: now };
+      const { insertedId } = await col().insertOne(stored, { session });
+      await recordAudit(req, { action: 'create', resource: collection, resourceId: insertedId, after: stored }, session);
+      return { ...stored, _id: insertedId };
+    }).catch(guardDuplicates);
+    await hooks.afterCreate?.(req, doc);
+    return doc;
+  };
+
+  /** Shared by replace and patch: `toDoc(existing)` yields the validated new body. */
+  const update = async (req, _id, action, toDoc) => {
+    const existing = await load(req, _id);
+    const match = ifMatchFilter(req, existing);
+    const parsed = toDoc(existing);
+    const doc = await withTransaction(async (session) => {
+      const prepared = hooks.beforeUpdate ? await hooks.beforeUpdate(req, parsed, existing, { session }) : parsed;
+      const stored = { ...prepared, ...carried(existing), createdAt: existing.createdAt, updatedAt: new Date() };
+      const { matchedCount } = await col().replaceOne({ _id, ...match }, stored, { session });
+      if (!matchedCount) return null;
+      await recordAudit(req, { action, resource: collection, resourceId: _id, before: existing, after: stored }, session);
+      return { _id, ...stored };
+    }).catch(guardDuplicates);
+    if (!doc) throw notMatched(match);
+    await hooks.afterUpdate?.(req, doc, existing);
+    return doc;
+  };
+
+  const replace = (req, _id) => {
+    const parsed = schema.parse(req.body);
+    return update(req, _id, 'replace', () => parsed);
+  };
+
+  const patch = (req, _id) => update(req, _id, 'patch', (existing) => patchDocument(req, existing, schema));
+
+  /** Move to the trash, or with `hard` (trashed or not) delete for good. */
+  const remove = async (req, _id, { hard = false } = {}) => {
+    const existing = await load(req, _id, { includeDeleted: hard });
+    const match = ifMatchFilter(req, existing);
+    if (hard) {
+      const { deletedCount } = await deleteWithPolicy(collection, _id, match, {
+        onDeleted: (session, { affected }) =>
+          recordAudit(req, { action: 'purge', resource: collection, resourceId: _id, before: existing, affected }, session)
+      });
+      if (deletedCount === 0) throw notMatched(match);
+    } else {
+      const now = new Date();
+      const trashed = await withTransaction(async (session) => {
+        const { matchedCount } = await col().updateOne(
+          { _id, ...match, ...NOT_DELETED },
+          { $set: { deletedAt: now, updatedAt: now } },
+          { session }
+        );
+        if (!matchedCount) return false;
+        const after = { ...existing, deletedAt: now, updatedAt: now };
+        await recordAudit(req, { action: 'delete', resource: collection, resourceId: _id, before: existing, after }, session);
+        return true;
+      });
+      if (!trashed) throw notMatched(match);
+    }
+    await hooks.afterDelete?.(req, existing);
+  };
+
+  /** Take a trashed record back out of the trash (409 if it isn't in it). @returns the restored document */
+  const restore = async (req, _id) => {
+    const existing = await load(req, _id, { includeDeleted: true });
+    if (!existing.deletedAt) throw httpError(409, `${capitalize(docs.item)} is not in the trash`);
+    const match = ifMatchFilter(req, existing);
+    const { deletedAt, ...kept } = existing;
+    const doc = { ...kept, updatedAt: new Date() };
+    const restored = await withTransaction(async (session) => {
+      const { matchedCount } = await col().updateOne(
+        { _id, deletedAt, ...match },
+        { $unset: { deletedAt: '' }, $set: { updatedAt: doc.updatedAt } },
+        { session }
+      );
+      if (!matchedCount) return false;
+      await recordAudit(req, { action: 'restore', resource: collection, resourceId: _id, before: existing, after: doc }, session);
+      return true;
+    });
+    if (!restored) throw notMatched(match);
+    return doc;
+  };
+
+  /** Narrow a parsed list query to what the caller may see: live records (unless includeDeleted), then scopeList. */
+  const scope = async (req, query) => {
+    const extra = { ...(query.includeDeleted ? {} : NOT_DELETED), ...(await hooks.scopeList?.(req, query)) };
+    Object.assign(query.filter, extra);
+    Object.assign(query.countFilter, extra);
+    return query;
+  };
+
+  /** One page of a parsed list query, scoped to the caller (no total). @returns {Promise<object[]>} */
+  const listPage = async (req, query) => findPage(col(), await scope(req, query));
+
+  const requireJson = (req) => {
+    if (!req.is('application/json')) throw httpError(415, 'Content-Type must be application/json');
+  };
+
+  const router = Router();
+  routes?.(router);
+
+  if (bulk) {
+    router.post('/import', ...guardsFor('import'), bulkBody, importHandler(collection, schema));
+    router.get('/export', ...guardsFor('export'), exportHandler(collection, schema));
+  }
+
+  router.get('/', ...guardsFor('list'), trashGate('read', TrashQuerySchema), async (req, res, next) => {
+    try {
+      await sendPage(req, res, col(), await scope(req, parseList(req.query)));
+    } catch (err) { next(err); }
+  });
+
+  router.get('/:id', ...guardsFor('get'), trashGate('read', TrashQuerySchema), async (req, res, next) => {
+    try {
+      const { includeDeleted } = TrashQuerySchema.parse(req.query);
+      const stages = stagesOf(req.query);
+      const doc = await load(req, parseId(req.params.id), { includeDeleted });
+      if (!stages.length) return sendWithEtag(res, doc);
+      // Embedded documents change on their own, so this gets a body ETag rather than the record's version
+      const [expanded] = await col().aggregate([{ $match: { _id: doc._id } }, ...stages]).toArray();
+      res.status(200).json(expanded ?? doc);
+    } catch (err) { next(err); }
+  });
+
+  router.post('/', ...guardsFor('create'), async (req, res, next) => {
+    try {
+      requireJson(req);
+      const doc = await create(req, schema.parse(req.body));
+      res.status(201).location(`${req.baseUrl}/${doc._id}`).json({ id: String(doc._id) });
+    } catch (err) { next(err); }
+  });
+
+  if (history) {
+    router.get('/:id/history', ...guardsFor('history'), async (req, res, next) => {
+      try {
+        const _id = parseId(req.params.id);
+        const query = parseHistoryList(req.query);
+        const scope = { resource: collection, resourceId: String(_id) };
+        Object.assign(query.filter, scope);
+        Object.assign(query.countFilter, scope);
+        const audit = getDb().collection('audit');
+        // A deleted record keeps its history, unless access depends on the record itself
+        const doc = await col().findOne({ _id });
+        if (doc) await hooks.authorize?.(req, doc);
+        else if (hooks.authorize || !(await audit.countDocuments(scope, { limit: 1 }))) throw httpError(404, 'Not found');
+        await sendPage(req, res, audit, query);
+      } catch (err) { next(err); }
+    });
+  }
+
+  router.put('/:id', ...guardsFor('replace'), async (req, res, next) => {
+    try {
+      requireJson(req);
+      const doc = await replace(req, parseId(req.params.id));
+      res.set('ETag', etagOf(doc)).status(204).send();
+    } catch (err) { next(err); }
+  });
+
+  router.patch('/:id', ...guardsFor('patch'), async (req, res, next) => {
+    try {
+      sendWithEtag(res, await patch(req, parseId(req.params.id)));
+    } catch (err) { next(err); }
+  });
+
+  router.delete('/:id', ...guardsFor('delete'), trashGate('write', HardDeleteQuerySchema), async (req, res, next) => {
+    try {
+      const { hard } = HardDeleteQuerySchema.parse(req.query);
+      await remove(req, parseId(req.params.id), { hard });
+      res.status(204).send();
+    } catch (err) { next(err); }
+  });
+
+  router.post('/:id/restore', ...guardsFor('restore'), async (req, res, next) => {
+    try {
+      sendWithEtag(res, await restore(req, parseId(req.params.id)));
+    } catch (err) { next(err); }
+  });
+
+  router.resource = {
+    name,
+    collection,
+    schema,
+    computed,
+    docs,
+    guards: guardsFor,
+    parseList,
+    list: listPage,
+    expand,
+    load,
+    create,
+    replace,
+    patch,
+    remove,
+    restore,
+    openapi: openapiFor({ name, schema, computed, docs, guardsFor, listParameters: parseList.parameters, expand, bulk, history })
+  };
+  return router;
+};
+
+/* ---------- OpenAPI ---------- */
+
+const DEFAULT_ERRORS = {
+  list: { 400: 'Invalid query parameters', 403: 'includeDeleted=true requires admin role' },
+  get: { 400: 'Invalid id', 403: 'includeDeleted=true requires admin role', 404: 'Not found' },
+  create: { 400: 'Validation error', 415: 'Unsupported Media Type' },
+  replace: {
+    400: 'Validation/ID error',
+    404: 'Not found',
+    412: 'If-Match did not match the current ETag',
+    415: 'Unsupported Media Type'
+  },
+  patch: {
+    400: 'Validation/ID error',
+    404: 'Not found',
+    409: 'A JSON Patch `test` operation failed',
+    412: 'If-Match did not match the current ETag',
+    415: 'Unsupported Media Type',
+    422: 'JSON Patch path does not exist'
+  },
+  delete: {
+    400: 'Invalid id',
+    403: 'hard=true requires admin role',
+    404: 'Not found (or, without hard=true, already in the trash)',
+    412: 'If-Match did not match the current ETag'
+  },
+  restore: { 400: 'Invalid id', 404: 'Not found', 409: 'Not in the trash', 412: 'If-Match did not match the current ETag' },
+  import: { 400: 'Malformed CSV or query', 413: 'Upload larger than 10mb', 415: 'Unsupported Media Type' },
+  export: { 400: 'Invalid format' },
+  history: { 400: 'Invalid id or query parameters', 404: 'Not found (and no history)' }
+};
+
+const openapiFor = ({ name, schema: zodSchema, computed, docs, guardsFor, listParameters, expand, bulk, history }) => {
+  const { tag, schema, item, items } = docs;
+  const schemaRef = ref('schemas', schema);
+  const createRef = ref('schemas', `${schema}Create`);
+
+  /** security + 401/403 derived from the guards; per-op overrides from docs.errors. */
+  const operation = (op, spec) => {
+    const chain = guardsFor(op);
+    const secured = chain.includes(jwtCheck);
+    const permission = chain.find((g) => g?.permission)?.permission;
+    const errors = {
+      ...DEFAULT_ERRORS[op],
+      ...(secured ? { 401: 'Not authenticated' } : {}),
+      ...docs.errors?.[OPERATIONS[op]],
+      ...(permission ? { 403: `Requires ${PERMISSIONS[permission].join(' or ')} role` } : {}),
+      ...docs.errors?.[op]
+    };
+    return {
+      tags: [tag],
+      ...spec,
+      ...(docs.descriptions?.[op] ? { description: docs.descriptions[op] } : {}),
+      ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+      responses: { ...spec.responses, ...responsesOf(errors) }
+    };
+  };
+
+  const paths = {
+    [`/${name}`]: {
+      get: operation('list', {
+        summary: `List ${items} (paged, sortable, filterable)`,
+        parameters: listParameters,
+        responses: {
+          200: {
+            description: `One page of ${items}`,
+            headers: { 'X-Total-Count': ref('headers', 'XTotalCount'), Link: ref('headers', 'Link') },
+            content: { 'application/json': { schema: { type: 'array', items: schemaRef } } }
+          }
+        }
+      }),
+      post: operation('create', {
+        summary: `Create ${item}`,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: createRef, ...(docs.example ? { example: docs.example } : {}) } }
+        },
+        responses: {
+          201: {
+            description: 'Created',
+            headers: { Location: { description: `/${name}/{id}`, schema: { type: 'string' } } },
+            content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' } } } } }
+          }
+        }
+      })
+    },
+    [`/${name}/{id}`]: {
+      get: operation('get', {
+        summary: `Get ${item} by id`,
+        parameters: [ID_PARAM, ...parametersOf(TrashQuerySchema), ...(expand?.parse.parameters ?? []), ref('parameters', 'IfNoneMatch')],
+        responses: {
+          200: {
+            description: capitalize(item),
+            headers: { ETag: ref('headers', 'ETag') },
+            content: { 'application/json': { schema: schemaRef } }
+          },
+          304: { description: 'Not modified (If-None-Match matched)' }
+        }
+      }),
+      put: operation('replace', {
+        summary: `Replace ${item}`,
+        parameters: [ID_PARAM, ref('parameters', 'IfMatch')],
+        requestBody: { required: true, content: { 'application/json': { schema: createRef } } },
+        responses: { 204: { description: 'Updated (no content)', headers: { ETag: ref('headers', 'ETag') } } }
+      }),
+      patch: operation('patch', {
+        summary: `Partially update ${item}`,
+        description:
+          'Send only the fields to change as a JSON Merge Patch (`null` removes an optional field), ' +
+          `or a JSON Patch array of operations. The result must still be a valid ${schema}Create.`,
+        parameters: [ID_PARAM, ref('parameters', 'IfMatch')],
+        requestBody: {
+          required: true,
+          content: {
+            'application/merge-patch+json': { schema: ref('schemas', `${schema}Update`) },
+            'application/json-patch+json': { schema: ref('schemas', 'JsonPatch') }
+          }
+        },
+        responses: {
+          200: {
+            description: `The updated ${schema}`,
+            headers: { ETag: ref('headers', 'ETag') },
+            content: { 'application/json': { schema: schemaRef } }
+          }
+        }
+      }),
+      delete: operation('delete', {
+        summary: `Delete ${item}`,
+        description:
+          'Moves it to the trash: it disappears from every other route until restored, and is purged after ' +
+          '`TRASH_RETENTION_DAYS`. `hard=true` purges it at once (trashed or not).',
+        parameters: [ID_PARAM, ...parametersOf(HardDeleteQuerySchema), ref('parameters', 'IfMatch')],
+        responses: { 204: { description: 'Moved to the trash (or purged)' } }
+      })
+    },
+    [`/${name}/{id}/restore`]: {
+      post: operation('restore', {
+        summary: `Restore ${item} from the trash`,
+        parameters: [ID_PARAM, ref('parameters', 'IfMatch')],
+        responses: {
+          200: {
+            description: `The restored ${schema}`,
+            headers: { ETag: ref('headers', 'ETag') },
+            content: { 'application/json': { schema: schemaRef } }
+          }
+        }
+      })
+    }
+  };
+
+  if (bulk) {
+    paths[`/${name}/import`] = {
+      post: operation('import', {
+        summary: `Bulk import ${items}`,
+        description:
+          `Upload NDJSON (one ${schema} object per line) or CSV (header row of field names, array fields separated by \`|\`). ` +
+          `Each row is validated like \`POST /${name}\`; valid rows are upserted by title + releaseYear and invalid rows are reported by line.`,
+        parameters: parametersOf(ImportQuerySchema),
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-ndjson': { schema: { type: 'string' }, ...(docs.example ? { example: `${JSON.stringify(docs.example)}\n` } : {}) },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        responses: { 200: { description: 'Import report', content: { 'application/json': { schema: ref('schemas', 'ImportReport') } } } }
+      })
+    };
+    paths[`/${name}/export`] = {
+      get: operation('export', {
+        summary: `Export all ${items}`,
+        description: 'Streams the whole collection as NDJSON (default) or CSV, in the same shape import accepts.',
+        parameters: parametersOf(ExportQuerySchema),
+        responses: {
+          200: {
+            description: 'The collection as a file download',
+            content: { 'application/x-ndjson': { schema: { type: 'string' } }, 'text/csv': { schema: { type: 'string' } } }
+          }
+        }
+      })
+    };
+  }
+
+  if (history) {
+    paths[`/${name}/{id}/history`] = {
+      get: operation('history', {
+        summary: `Change history of ${item}`,
+        description:
+          'Audit entries for this record, newest first: who (`actor`) did what (`action`) and which fields changed. ' +
+          'Deleted records keep their history. `after` pages towards older entries.',
+        parameters: [ID_PARAM, ...parseHistoryList.parameters],
+        responses: {
+          200: {
+            description: 'One page of audit entries',
+            headers: { 'X-Total-Count': ref('headers', 'XTotalCount'), Link: ref('headers', 'Link') },
+            content: { 'application/json': { schema: { type: 'array', items: ref('schemas', 'AuditEntry') } } }
+          }
+        }
+      })
+    };
+  }
+
+  return {
+    tags: [{ name: tag, description: docs.description }],
+    paths,
+    components: { schemas: schemaVariants(schema, zodSchema, { computed, required: docs.required, expanded: expand?.properties }) }
+  };
+};
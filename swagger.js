@@ -1,15 +1,33 @@
 // swagger.js
 import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
+import animeRouter from './src/routes/anime.js';
+import mangaRouter from './src/routes/manga.js';
+import usersRouter from './src/routes/users.js';
+import watchlistsRouter, { ProgressSchema } from './src/routes/watchlists.js';
+import webhooksRouter from './src/routes/webhooks.js';
+import auditRouter from './src/routes/audit.js';
+import meRouter from './src/routes/me.js';
+import { ReviewSchema, ReviewServerFields, reviewsOpenapi } from './src/routes/reviews.js';
+import { AUDIT_ACTIONS, AUDITED } from './src/db/audit.js';
+import { RecommendationQuerySchema } from './src/db/recommendations.js';
+import { EventsQuerySchema } from './src/routes/events.js';
+import { FEED_COLLECTIONS } from './src/db/changeFeed.js';
+import { RELATION_TYPES, RelationSchema } from './src/db/relations.js';
+import { DELIVERY_STATUSES, EVENT_TYPES, RESOURCES } from './src/db/webhooks.js';
+import { LIST_PARAMETERS } from './src/utils/listQuery.js';
+import { parameterComponents, schemaVariants, toOpenApi } from './src/utils/openapi.js';
 
 const options = {
   definition: {
     openapi: '3.0.3',
     info: {
       title: 'Anime & Manga Explorer API',
-      version: '1.0.0',
+      version: '2.0.0',
       description:
-        'Four collections (anime, manga, users, watchlists) with CRUD, validation, error handling, and bearer JWT security on protected routes.'
+        'Four collections (anime, manga, users, watchlists) with CRUD, validation, error handling, and bearer JWT security on protected routes.\n\n' +
+        '**Breaking change in 2.0.0:** list endpoints are always paged. A request without `page`, `limit` or `after` ' +
+        'gets the first 20 items instead of every record; follow `rel="next"` in the `Link` header for the rest.'
     },
     servers: [
       { url: '/', description: 'Render (relative base)' }
@@ -21,80 +39,360 @@ const options = {
         // Bearer JWT so you can paste a token in Swagger "Authorize"
         bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
       },
+      // --- Shared list-query parameters, generated from the Zod in src/utils/listQuery.js ---
+      parameters: {
+        ...LIST_PARAMETERS,
+        ...parameterComponents(RecommendationQuerySchema, 'Recommendation'),
+        ...parameterComponents(EventsQuerySchema, 'Events'),
+
+        // --- Conditional requests (see src/utils/etag.js) ---
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          description: 'ETag from a previous GET; answers 304 if unchanged.',
+          schema: { type: 'string' }
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          description: 'ETag from a previous GET; the write fails with 412 if the resource changed since.',
+          schema: { type: 'string' }
+        }
+      },
+      headers: {
+        XTotalCount: {
+          description: 'Total number of items matching the filters (ignores paging).',
+          schema: { type: 'integer' }
+        },
+        Link: {
+          description: 'RFC 8288 navigation links: `first`, `prev`, `next`, `last` (cursor paging: `next` only).',
+          schema: { type: 'string' }
+        },
+        ETag: {
+          description: 'Version of the resource; send it back in If-Match / If-None-Match.',
+          schema: { type: 'string' },
+          example: '"lx3k9a2b"'
+        },
+        // --- Response cache (see src/middleware/cache.js) ---
+        CacheControl: {
+          description: '`public, max-age=<seconds>` for the catalog; `private, no-cache` for per-caller reads.',
+          schema: { type: 'string' },
+          example: 'public, max-age=30'
+        },
+        XCache: {
+          description: '`HIT` when served from the response cache, `MISS` when it was read from the database.',
+          schema: { type: 'string', enum: ['HIT', 'MISS'] }
+        },
+        // --- Rate limits (see src/middleware/rateLimit.js) ---
+        RetryAfter: {
+          description: 'Seconds until the rate limit window resets.',
+          schema: { type: 'integer' }
+        },
+        RateLimitPolicy: {
+          description: 'Budget for this route group and request kind (read or write): `<requests>;w=<window seconds>`.',
+          schema: { type: 'string' },
+          example: '60;w=60'
+        }
+      },
       schemas: {
-        // --- Anime ---
-        Anime: {
+        // --- Errors (see src/middleware/problem.js); every 4xx/5xx response uses this ---
+        Problem: {
           type: 'object',
-          required: ['title', 'genres', 'releaseYear', 'status'],
+          description: 'RFC 7807 problem details, served as application/problem+json',
+          required: ['type', 'title', 'status'],
           properties: {
-            _id: { type: 'string', example: '665f6a0f2c3d4b1a9f0a1234' },
-            title: { type: 'string', example: 'Fullmetal Alchemist: Brotherhood' },
-            genres: { type: 'array', items: { type: 'string' }, example: ['Action', 'Adventure'] },
-            releaseYear: { type: 'integer', example: 2009 },
-            rating: { type: 'number', example: 9.2 },
-            episodes: { type: 'integer', example: 64 },
-            studio: { type: 'string', example: 'Bones' },
-            status: { type: 'string', enum: ['finished', 'airing', 'upcoming'] },
-            description: { type: 'string', example: 'Two brothers…' },
-            coverImage: { type: 'string', format: 'uri', example: 'https://example.com/img.png' }
+            type: {
+              type: 'string',
+              description: '`about:blank` (the status says it all) or a /problems/… slug such as validation-error, duplicate-key, invalid-id',
+              example: '/problems/validation-error'
+            },
+            title: { type: 'string', example: 'Validation error' },
+            status: { type: 'integer', example: 400 },
+            detail: { type: 'string', example: 'The request did not pass validation; see `errors`' },
+            instance: { type: 'string', description: 'The request path', example: '/anime' },
+            requestId: { type: 'string', description: 'Also sent as X-Request-Id; quote it when reporting a problem', example: 'c0a8012e-7f1b-4a57-9b7e-2f3a1d6c9e10' },
+            errors: {
+              type: 'object',
+              description: 'Validation details (Zod flatten() output): `formErrors` and `fieldErrors`',
+              example: { formErrors: [], fieldErrors: { episodes: ['Expected number, received string'] } }
+            }
           }
         },
 
-        // --- Manga ---
-        Manga: {
+        // --- PATCH (application/json-patch+json) ---
+        JsonPatch: {
+          type: 'array',
+          description: 'RFC 6902 operations, applied in order',
+          items: {
+            type: 'object',
+            required: ['op', 'path'],
+            properties: {
+              op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+              path: { type: 'string', example: '/genres/-' },
+              from: { type: 'string', description: 'Source pointer for move/copy' },
+              value: { description: 'Value for add/replace/test' }
+            }
+          },
+          example: [{ op: 'replace', path: '/rating', value: 9.3 }, { op: 'add', path: '/genres/-', value: 'Drama' }]
+        },
+
+        // --- Bulk import (POST /anime/import, /manga/import) ---
+        ImportReport: {
           type: 'object',
-          required: ['title', 'genres', 'author', 'status'],
           properties: {
-            _id: { type: 'string', example: '665f6a0f2c3d4b1a9f0a5678' },
-            title: { type: 'string', example: 'One Piece' },
-            genres: { type: 'array', items: { type: 'string' }, example: ['Adventure', 'Fantasy'] },
-            author: { type: 'string', example: 'Eiichiro Oda' },
-            chapters: { type: 'integer', example: 1100 },
-            status: { type: 'string', enum: ['ongoing', 'finished', 'hiatus'] },
-            releaseYear: { type: 'integer', example: 1997 },
-            rating: { type: 'number', example: 9.0 },
-            description: { type: 'string', example: 'A grand pirate adventure.' },
-            coverImage: { type: 'string', format: 'uri', example: 'https://example.com/img2.png' }
+            dryRun: { type: 'boolean' },
+            received: { type: 'integer', description: 'Rows in the upload' },
+            valid: { type: 'integer' },
+            inserted: { type: 'integer', description: 'New records (or would be, in a dry run)' },
+            updated: { type: 'integer', description: 'Existing title + releaseYear matches' },
+            rejected: { type: 'integer' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  line: { type: 'integer' },
+                  errors: { type: 'object', description: 'Zod flatten() output for that row' }
+                }
+              }
+            }
           }
         },
 
-        // --- Users (W06) ---
-        User: {
+        // --- Audit log (GET /audit, /anime/{id}/history, /manga/{id}/history; see src/db/audit.js) ---
+        AuditEntry: {
           type: 'object',
-          required: ['email', 'displayName', 'role'],
           properties: {
-            _id: { type: 'string', example: '6640a2f2d7b3c1a9f0a11223' },
-            email: { type: 'string', format: 'email', example: 'demo@example.com' },
-            displayName: { type: 'string', example: 'Demo User' },
-            role: { type: 'string', enum: ['user', 'admin'], example: 'user' },
-            createdAt: { type: 'string', format: 'date-time', example: '2025-09-15T12:00:00.000Z' },
-            updatedAt: { type: 'string', format: 'date-time', example: '2025-09-16T12:00:00.000Z' }
+            _id: { type: 'string', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            at: { type: 'string', format: 'date-time' },
+            actor: { type: 'string', nullable: true, description: 'JWT subject of the caller (null when anonymous, or for the trash purge)', example: 'auth0|123' },
+            action: { type: 'string', enum: AUDIT_ACTIONS },
+            resource: { type: 'string', enum: AUDITED },
+            resourceId: { type: 'string', example: '665f6a0f2c3d4b1a9f0a1234' },
+            requestId: { type: 'string', description: 'X-Request-Id of the write' },
+            changes: {
+              type: 'array',
+              description: 'Top-level fields that changed; `before` is absent for added fields, `after` for removed ones',
+              items: {
+                type: 'object',
+                required: ['field'],
+                properties: { field: { type: 'string' }, before: {}, after: {} }
+              },
+              example: [{ field: 'rating', before: 9.1, after: 9.2 }]
+            },
+            affected: { type: 'integer', description: 'Purges only: referencing watchlist items cascaded or nullified' }
           }
         },
 
-        // --- Watchlist item (W06) ---
-        WatchItem: {
+        // --- Reviews (/anime/{id}/reviews, /manga/{id}/reviews) ---
+        ...schemaVariants('Review', ReviewSchema, { computed: ReviewServerFields }),
+
+        // --- Relations (/anime/{id}/relations, /manga/{id}/relations, /franchises/{id}) ---
+        RelationCreate: toOpenApi(RelationSchema),
+        Relation: {
           type: 'object',
-          required: ['userId', 'kind', 'refId', 'status'],
           properties: {
-            _id: { type: 'string', example: '665f6a0f2c3d4b1a9f0a9abc' },
-            userId: { type: 'string', description: 'User ObjectId', example: '6640a2f2d7b3c1a9f0a11223' },
-            kind: { type: 'string', enum: ['anime', 'manga'], example: 'anime' },
-            refId: {
+            _id: { type: 'string', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            type: { type: 'string', enum: RELATION_TYPES },
+            direction: {
               type: 'string',
-              description: 'Referenced anime/manga ObjectId',
-              example: '665f6a0f2c3d4b1a9f0a1234'
+              enum: ['outgoing', 'incoming'],
+              description: '`outgoing`: `title` is this title\'s `type`; `incoming`: this title is `title`\'s `type`'
             },
-            status: {
+            title: { $ref: '#/components/schemas/TitleSummary' }
+          }
+        },
+        TitleSummary: {
+          type: 'object',
+          properties: {
+            kind: { type: 'string', enum: ['anime', 'manga'] },
+            _id: { type: 'string', example: '665f6a0f2c3d4b1a9f0a1234' },
+            title: { type: 'string', example: 'Monster' },
+            releaseYear: { type: 'integer', example: 2004 },
+            status: { type: 'string' },
+            coverImage: { type: 'string' }
+          }
+        },
+        Franchise: {
+          type: 'object',
+          properties: {
+            root: {
+              type: 'object',
+              description: 'The title the walk started from',
+              properties: { kind: { type: 'string', enum: ['anime', 'manga'] }, id: { type: 'string' } }
+            },
+            titles: { type: 'array', description: 'Oldest first', items: { $ref: '#/components/schemas/TitleSummary' } },
+            relations: {
+              type: 'array',
+              description: 'Each edge once: `to` is the `type` of `from`',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  type: { type: 'string', enum: RELATION_TYPES },
+                  from: { type: 'object', properties: { kind: { type: 'string' }, id: { type: 'string' } } },
+                  to: { type: 'object', properties: { kind: { type: 'string' }, id: { type: 'string' } } }
+                }
+              }
+            }
+          }
+        },
+
+        // --- Webhooks (/webhooks/{id}/deliveries, /webhooks/{id}/test) ---
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', description: 'Also sent as X-Webhook-Delivery', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            webhookId: { type: 'string' },
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            attempts: { type: 'integer' },
+            nextAttemptAt: { type: 'string', format: 'date-time', description: 'When a pending delivery is tried next' },
+            deliveredAt: { type: 'string', format: 'date-time' },
+            event: {
+              type: 'object',
+              description: 'The POSTed body, byte for byte as signed',
+              properties: {
+                id: { type: 'string' },
+                type: { type: 'string', enum: ['ping', ...EVENT_TYPES] },
+                at: { type: 'string', format: 'date-time' },
+                actor: { type: 'string', nullable: true, example: 'auth0|123' },
+                resource: { type: 'string', enum: [...Object.values(RESOURCES), 'webhook'] },
+                data: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    object: { type: 'object', description: 'The record after the change (before it, for purges)' },
+                    changes: { $ref: '#/components/schemas/AuditEntry/properties/changes' }
+                  }
+                }
+              }
+            },
+            log: {
+              type: 'array',
+              description: 'Every attempt, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  at: { type: 'string', format: 'date-time' },
+                  durationMs: { type: 'integer' },
+                  status: { type: 'integer', description: 'HTTP status the receiver answered' },
+                  error: { type: 'string', description: 'Why no answer arrived, e.g. a timeout' }
+                }
+              }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+
+        // --- GET /events (the `data` of each Server-Sent Event) ---
+        ChangeEvent: {
+          type: 'object',
+          properties: {
+            collection: { type: 'string', enum: FEED_COLLECTIONS },
+            operation: {
               type: 'string',
-              enum: ['planned', 'watching', 'completed', 'reading'],
-              example: 'planned'
+              enum: ['create', 'update', 'delete'],
+              description: 'Trashing a record is a `delete`, restoring it a `create`'
             },
-            notes: { type: 'string', example: 'Start this weekend' },
-            createdAt: { type: 'string', format: 'date-time', example: '2025-09-15T12:00:00.000Z' },
-            updatedAt: { type: 'string', format: 'date-time', example: '2025-09-16T12:00:00.000Z' }
+            documentId: { type: 'string', example: '665f6a0f2c3d4b1a9f0a1234' },
+            userId: { type: 'string', description: 'Watchlist items only: the owner' },
+            at: { type: 'string', format: 'date-time' }
+          }
+        },
+
+        // --- GET /admin/cache ---
+        CacheStats: {
+          type: 'object',
+          properties: {
+            hits: { type: 'integer', example: 930 },
+            misses: { type: 'integer', example: 70 },
+            hitRate: { type: 'number', description: 'hits / (hits + misses)', example: 0.93 },
+            stored: { type: 'integer', description: 'Responses added to the cache' },
+            invalidations: { type: 'integer', description: 'Writes (and flushes) that dropped cached responses' },
+            entries: { type: 'integer', description: 'Responses cached right now' },
+            groups: {
+              type: 'object',
+              description: 'Cached route groups by path prefix',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  ttlMs: { type: 'integer' },
+                  private: { type: 'boolean', description: 'Cached per caller' },
+                  collections: { type: 'array', items: { type: 'string' }, description: 'Writes to these invalidate the group' }
+                }
+              }
+            },
+            since: { type: 'string', format: 'date-time', description: 'When this instance started counting' }
+          }
+        },
+
+        // --- POST /graphql ---
+        GraphQLRequest: {
+          type: 'object',
+          required: ['query'],
+          properties: {
+            query: { type: 'string' },
+            variables: { type: 'object', additionalProperties: true },
+            operationName: { type: 'string' }
+          }
+        },
+        GraphQLResponse: {
+          type: 'object',
+          properties: {
+            data: { type: 'object', nullable: true, additionalProperties: true },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  path: { type: 'array', items: { oneOf: [{ type: 'string' }, { type: 'integer' }] } },
+                  extensions: {
+                    type: 'object',
+                    description: 'For errors a REST route would have answered: its `status`, problem `type` and validation `errors`',
+                    properties: {
+                      status: { type: 'integer', example: 403 },
+                      type: { type: 'string', example: '/problems/insufficient-scope' },
+                      errors: { type: 'object', additionalProperties: true }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+
+        // --- POST /watchlists/{id}/progress ---
+        WatchProgress: toOpenApi(ProgressSchema),
+
+        // --- Recommendations (/users/{id}/recommendations, /me/recommendations) ---
+        Recommendation: {
+          type: 'object',
+          properties: {
+            kind: { type: 'string', enum: ['anime', 'manga'] },
+            score: { type: 'number', description: 'Blend of genre overlap, peer co-occurrence and rating (0–1)', example: 0.742 },
+            reasons: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['Because you completed Fullmetal Alchemist (Action, Adventure)', 'Highly rated (9.1)']
+            },
+            title: {
+              type: 'object',
+              description: 'The suggested title (summary fields)',
+              properties: {
+                _id: { type: 'string', example: '665f6a0f2c3d4b1a9f0a1234' },
+                title: { type: 'string', example: 'Hunter x Hunter' },
+                genres: { type: 'array', items: { type: 'string' } },
+                rating: { type: 'number' },
+                averageScore: { type: 'number' },
+                coverImage: { type: 'string' }
+              }
+            }
           }
         }
+
+        // Anime, Manga, User, WatchItem, Webhook (+ Create/Update variants) come from the resource routers below
       }
     }
     // NOTE: We do NOT set a global `security` here.
@@ -105,7 +403,85 @@ const options = {
   apis: ['./src/routes/*.js']
 };
 
-export const swaggerSpec = swaggerJsdoc(options);
+/** Point every error response the route docs declare without a body at the shared Problem schema. */
+const withProblemResponses = (spec) => {
+  const problem = { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } };
+  for (const operations of Object.values(spec.paths ?? {})) {
+    for (const { responses } of Object.values(operations)) {
+      for (const [code, response] of Object.entries(responses ?? {})) {
+        if (Number(code) >= 400 && !response.content) response.content = problem;
+      }
+    }
+  }
+  return spec;
+};
+
+/**
+ * Every API route sits in a rate-limited group (server.js), so each operation can answer 429.
+ * Successful responses carry the same RateLimit-* headers; the 429 documents them once.
+ */
+const withRateLimitResponses = (spec) => {
+  for (const operations of Object.values(spec.paths ?? {})) {
+    for (const operation of Object.values(operations)) {
+      operation.responses ??= {};
+      operation.responses[429] ??= {
+        description: 'Rate limit exceeded; `RateLimit-Remaining` is 0 until `Retry-After` seconds have passed',
+        headers: {
+          'Retry-After': { $ref: '#/components/headers/RetryAfter' },
+          'RateLimit-Policy': { $ref: '#/components/headers/RateLimitPolicy' }
+        }
+      };
+    }
+  }
+  return spec;
+};
+
+// GET routes the response cache covers (CACHE_GROUPS in server.js)
+const CACHED_PATHS = ['/anime', '/anime/{id}', '/manga', '/manga/{id}', '/franchises/{id}', '/watchlists', '/watchlists/{id}'];
+
+/** Document Cache-Control and X-Cache on the cached reads' 200 responses. */
+const withCacheHeaders = (spec) => {
+  for (const path of CACHED_PATHS) {
+    const ok = spec.paths[path]?.get?.responses?.[200];
+    if (!ok) continue;
+    ok.headers = {
+      ...ok.headers,
+      'Cache-Control': { $ref: '#/components/headers/CacheControl' },
+      'X-Cache': { $ref: '#/components/headers/XCache' }
+    };
+  }
+  return spec;
+};
+
+/**
+ * Add the paths (and component schemas) generated in code: the CRUD paths createResourceRouter
+ * builds (src/utils/resourceRouter.js) and routes whose parameters come from their validators (GET /audit, GET /me/watchlist, reviews).
+ * Hand-written @openapi blocks for the same path (e.g. /users/{id}/recommendations) are kept alongside.
+ */
+const withGenerated = (spec, generated) => {
+  const tags = generated.flatMap((g) => g.tags ?? []);
+  spec.tags = [...tags, ...(spec.tags ?? []).filter((t) => !tags.some((g) => g.name === t.name))];
+  for (const { paths, components } of generated) {
+    for (const [path, operations] of Object.entries(paths)) spec.paths[path] = { ...operations, ...spec.paths[path] };
+    Object.assign(spec.components.schemas, components?.schemas);
+  }
+  return spec;
+};
+
+const RESOURCE_ROUTERS = [animeRouter, mangaRouter, usersRouter, watchlistsRouter, webhooksRouter];
+
+export const swaggerSpec = withProblemResponses(
+  withRateLimitResponses(
+    withCacheHeaders(
+      withGenerated(swaggerJsdoc(options), [
+        ...RESOURCE_ROUTERS.map((r) => r.resource.openapi),
+        auditRouter.openapi,
+        meRouter.openapi,
+        reviewsOpenapi
+      ])
+    )
+  )
+);
 export const serveSwagger = swaggerUi.serve;
 export const setupSwagger = swaggerUi.setup(swaggerSpec, {
   explorer: true,
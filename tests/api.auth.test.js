@@ -0,0 +1,397 @@
+// tests/api.auth.test.js
+import { afterAll, beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import request from 'supertest';
+import { configureAuth } from '../src/middleware/auth.js';
+import { signToken, startTestApp, TEST_AUTH } from './helpers/testApp.js';
+
+// In-process with JWT validation on (HS256 test issuer): the auth guards
+let app;
+let db;
+let stop;
+
+beforeAll(async () => {
+  ({ app, db, stop } = await startTestApp({ auth: TEST_AUTH }));
+});
+
+afterAll(async () => {
+  await stop?.();
+});
+
+const ANIME = { title: 'Mushishi', genres: ['Mystery'], releaseYear: 2005, status: 'finished' };
+
+const bearer = (claims = {}) => `Bearer ${signToken({ scope: 'read:library', ...claims })}`;
+const writer = (claims = {}) => bearer({ scope: 'read:library write:library', ...claims });
+const editor = (claims = {}) => writer({ roles: ['editor'], ...claims });
+
+let alice;
+let bob;
+let animeId;
+
+beforeEach(async () => {
+  await Promise.all(['anime', 'users', 'watchlists', 'relations', 'audit', 'webhooks'].map((c) => db.collection(c).deleteMany({})));
+  const now = new Date();
+  const users = await db.collection('users').insertMany([
+    { email: 'alice@example.com', displayName: 'Alice', role: 'user', sub: 'auth0|alice', createdAt: now, updatedAt: now },
+    { email: 'bob@example.com', displayName: 'Bob', role: 'user', sub: 'auth0|bob', createdAt: now, updatedAt: now }
+  ]);
+  [alice, bob] = Object.values(users.insertedIds).map(String);
+  animeId = String((await db.collection('anime').insertOne({ ...ANIME, createdAt: now, updatedAt: now })).insertedId);
+});
+
+describe('jwtCheck / scopes', () => {
+  it('reads stay public', async () => {
+    expect((await request(app).get('/anime')).status).toBe(200);
+    expect((await request(app).get(`/anime/${animeId}`)).status).toBe(200);
+  });
+
+  // express-oauth2-jwt-bearer reports a missing token as invalid_request (400); the problem layer makes it 401
+  it('write without a token -> 401 problem with WWW-Authenticate', async () => {
+    const r = await request(app).post('/anime').send(ANIME);
+    expect(r.status).toBe(401);
+    expect(r.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(r.headers['www-authenticate']).toMatch(/^Bearer/);
+    expect(r.body).toMatchObject({ type: '/problems/unauthorized', status: 401, instance: '/anime' });
+    expect((await request(app).put(`/anime/${animeId}`).send(ANIME)).status).toBe(401);
+    expect((await request(app).delete(`/anime/${animeId}`)).status).toBe(401);
+  });
+
+  it('token with a bad signature or wrong audience -> 401', async () => {
+    const forged = `${signToken({ scope: 'read:library write:library', roles: ['editor'] }).slice(0, -4)}AAAA`;
+    expect((await request(app).post('/anime').set('Authorization', `Bearer ${forged}`).send(ANIME)).status).toBe(401);
+    const r = await request(app).post('/anime').set('Authorization', editor({ aud: 'someone-else' })).send(ANIME);
+    expect(r.status).toBe(401);
+  });
+
+  it('token without write:library -> 403', async () => {
+    const r = await request(app).post('/anime').set('Authorization', bearer({ roles: ['editor'] })).send(ANIME);
+    expect(r.status).toBe(403);
+    expect(r.body.type).toBe('/problems/insufficient-scope');
+  });
+
+  it('token with write:library and the editor role -> 201', async () => {
+    const r = await request(app).post('/anime').set('Authorization', editor()).send(ANIME);
+    expect(r.status).toBe(201);
+  });
+});
+
+describe('permission map', () => {
+  it('catalog writes need editor or admin', async () => {
+    expect((await request(app).post('/anime').set('Authorization', writer()).send(ANIME)).status).toBe(403);
+    expect((await request(app).delete(`/anime/${animeId}`).set('Authorization', writer())).status).toBe(403);
+    const r = await request(app).delete(`/anime/${animeId}`).set('Authorization', writer({ roles: ['admin'] }));
+    expect(r.status).toBe(204);
+  });
+
+  it('relations are public to read; changing them needs editor or admin', async () => {
+    const other = String((await db.collection('anime').insertOne({ ...ANIME, title: 'Sequel' })).insertedId);
+    const body = { type: 'sequel', kind: 'anime', id: other };
+    expect((await request(app).post(`/anime/${animeId}/relations`).send(body)).status).toBe(401);
+    expect((await request(app).post(`/anime/${animeId}/relations`).set('Authorization', writer()).send(body)).status).toBe(403);
+    expect((await request(app).post(`/anime/${animeId}/relations`).set('Authorization', editor()).send(body)).status).toBe(201);
+    expect((await request(app).get(`/anime/${other}/relations`)).body).toHaveLength(1);
+    expect((await request(app).get(`/franchises/${animeId}`)).body.titles).toHaveLength(2);
+  });
+
+  it('editors cannot manage users', async () => {
+    expect((await request(app).get('/users').set('Authorization', editor())).status).toBe(403);
+    const r = await request(app).post('/users').set('Authorization', editor()).send({ email: 'x@example.com', displayName: 'X' });
+    expect(r.status).toBe(403);
+  });
+
+  it('catalog history needs editor or admin; the audit feed needs admin', async () => {
+    await request(app).patch(`/anime/${animeId}`).set('Authorization', editor({ sub: 'auth0|ed' })).send({ episodes: 26 });
+    expect((await request(app).get(`/anime/${animeId}/history`)).status).toBe(401);
+    expect((await request(app).get(`/anime/${animeId}/history`).set('Authorization', bearer())).status).toBe(403);
+    const history = await request(app).get(`/anime/${animeId}/history`).set('Authorization', editor());
+    expect(history.status).toBe(200);
+    expect(history.body[0]).toMatchObject({ action: 'patch', actor: 'auth0|ed' });
+
+    expect((await request(app).get('/audit').set('Authorization', editor())).status).toBe(403);
+    const feed = await request(app).get('/audit').set('Authorization', bearer({ roles: ['admin'] }));
+    expect(feed.status).toBe(200);
+    expect(feed.body).toHaveLength(1);
+  });
+
+  it('the trash is admin-only: includeDeleted, restore and hard delete', async () => {
+    expect((await request(app).delete(`/anime/${animeId}`).set('Authorization', editor())).status).toBe(204);
+    expect((await request(app).get(`/anime/${animeId}?includeDeleted=true`)).status).toBe(401);
+    expect((await request(app).get('/anime?includeDeleted=true').set('Authorization', editor())).status).toBe(403);
+    expect((await request(app).post(`/anime/${animeId}/restore`).set('Authorization', editor())).status).toBe(403);
+    expect((await request(app).delete(`/anime/${animeId}?hard=true`).set('Authorization', editor())).status).toBe(403);
+
+    const admin = writer({ roles: ['admin'] });
+    expect((await request(app).get('/anime?includeDeleted=true').set('Authorization', admin)).body).toHaveLength(1);
+    expect((await request(app).post(`/anime/${animeId}/restore`).set('Authorization', admin)).status).toBe(200);
+    expect((await request(app).get(`/anime/${animeId}`)).status).toBe(200);
+    expect((await request(app).delete(`/anime/${animeId}?hard=true`).set('Authorization', admin)).status).toBe(204);
+    expect(await db.collection('anime').countDocuments()).toBe(0);
+  });
+
+  it('following watchlist changes needs a token', async () => {
+    expect((await request(app).get('/events?mine=true')).status).toBe(401);
+    expect((await request(app).get('/events?collection=watchlists')).status).toBe(401);
+  });
+
+  it('webhooks are admin-only', async () => {
+    const body = { url: 'https://example.com/hook', events: ['*'] };
+    expect((await request(app).get('/webhooks')).status).toBe(401);
+    expect((await request(app).post('/webhooks').set('Authorization', editor()).send(body)).status).toBe(403);
+    const admin = writer({ roles: ['admin'] });
+    const r = await request(app).post('/webhooks').set('Authorization', admin).send(body);
+    expect(r.status).toBe(201);
+    expect((await request(app).get(`/webhooks/${r.body.id}/deliveries`).set('Authorization', editor())).status).toBe(403);
+    expect((await request(app).get(`/webhooks/${r.body.id}/deliveries`).set('Authorization', admin)).status).toBe(200);
+  });
+
+  it('the response cache admin is admin-only', async () => {
+    expect((await request(app).get('/admin/cache')).status).toBe(401);
+    expect((await request(app).get('/admin/cache').set('Authorization', editor())).status).toBe(403);
+    expect((await request(app).delete('/admin/cache').set('Authorization', editor())).status).toBe(403);
+    // This app has no cache configured
+    expect((await request(app).get('/admin/cache').set('Authorization', bearer({ roles: ['admin'] }))).status).toBe(404);
+  });
+
+  it('GraphQL fields run the REST guards', async () => {
+    const gql = (query, auth) => {
+      const r = request(app).post('/graphql').send({ query });
+      return auth ? r.set('Authorization', auth) : r;
+    };
+    expect((await gql('{ animeList { title } }')).body.data.animeList).toHaveLength(1);
+
+    const anonymous = await gql(`mutation { deleteAnime(id: "${animeId}") }`);
+    expect(anonymous.status).toBe(200);
+    expect(anonymous.body.errors[0].extensions.status).toBe(401);
+    const asWriter = await gql(`mutation { deleteAnime(id: "${animeId}") }`, writer());
+    expect(asWriter.body.errors[0].extensions).toMatchObject({ status: 403 });
+    expect((await gql(`mutation { deleteAnime(id: "${animeId}") }`, editor())).body.data.deleteAnime).toBe(true);
+
+    expect((await gql('{ users { id } }', editor())).body.errors[0].extensions.status).toBe(403);
+    const me = await gql('{ me { displayName } }', bearer({ sub: 'auth0|alice' }));
+    expect(me.body.data.me.displayName).toBe('Alice');
+  });
+
+  it('admins list and create users, including roles', async () => {
+    const admin = writer({ roles: ['admin'] });
+    expect((await request(app).get('/users').set('Authorization', admin)).body).toHaveLength(2);
+    const r = await request(app)
+      .post('/users')
+      .set('Authorization', admin)
+      .send({ email: 'ed@example.com', displayName: 'Ed', role: 'editor' });
+    expect(r.status).toBe(201);
+  });
+
+  it('users read and edit only their own profile', async () => {
+    expect((await request(app).get(`/users/${alice}`).set('Authorization', bearer({ sub: 'auth0|alice' }))).status).toBe(200);
+    expect((await request(app).get(`/users/${bob}`).set('Authorization', bearer({ sub: 'auth0|alice' }))).status).toBe(403);
+
+    const own = await request(app)
+      .patch(`/users/${alice}`)
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ displayName: 'Alice L.' });
+    expect(own.status).toBe(200);
+    expect(own.body).toMatchObject({ displayName: 'Alice L.', role: 'user', sub: 'auth0|alice' });
+
+    const other = await request(app)
+      .patch(`/users/${bob}`)
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ displayName: 'Hacked' });
+    expect(other.status).toBe(403);
+  });
+
+  it('only admins change roles', async () => {
+    const self = await request(app)
+      .patch(`/users/${alice}`)
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ role: 'admin' });
+    expect(self.status).toBe(403);
+
+    const put = await request(app)
+      .put(`/users/${alice}`)
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ email: 'alice@example.com', displayName: 'Alice' });
+    expect(put.status).toBe(204); // role/sub omitted → kept
+
+    const admin = await request(app)
+      .patch(`/users/${alice}`)
+      .set('Authorization', writer({ roles: ['admin'] }))
+      .send({ role: 'editor' });
+    expect(admin.status).toBe(200);
+    expect(admin.body.role).toBe('editor');
+  });
+});
+
+describe('roles from the users collection (AUTH_ROLES_FROM_DB)', () => {
+  beforeAll(() => configureAuth({ ...TEST_AUTH, rolesFromDb: true }));
+  afterAll(() => configureAuth(TEST_AUTH));
+
+  it('a token without the role claim takes the linked user\'s role', async () => {
+    expect((await request(app).post('/anime').set('Authorization', writer({ sub: 'auth0|alice' })).send(ANIME)).status).toBe(403);
+    await db.collection('users').updateOne({ sub: 'auth0|alice' }, { $set: { role: 'editor' } });
+    const r = await request(app).post('/anime').set('Authorization', writer({ sub: 'auth0|alice' })).send(ANIME);
+    expect(r.status).toBe(201);
+  });
+
+  it('the claim still wins when present', async () => {
+    await db.collection('users').updateOne({ sub: 'auth0|alice' }, { $set: { role: 'editor' } });
+    const r = await request(app).post('/anime').set('Authorization', writer({ sub: 'auth0|alice', roles: [] })).send(ANIME);
+    expect(r.status).toBe(403);
+  });
+});
+
+describe('requireAdmin', () => {
+  it('import/export need the admin role claim', async () => {
+    const ndjson = `${JSON.stringify(ANIME)}\n`;
+    const asUser = await request(app)
+      .post('/anime/import')
+      .set('Authorization', writer())
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson);
+    expect(asUser.status).toBe(403);
+
+    const asAdmin = await request(app)
+      .post('/anime/import?dryRun=true')
+      .set('Authorization', writer({ roles: ['admin'] }))
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson);
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body).toMatchObject({ dryRun: true, valid: 1, updated: 1 });
+
+    expect((await request(app).get('/anime/export').set('Authorization', bearer({}))).status).toBe(403);
+  });
+});
+
+describe('watchlist ownership', () => {
+  it('token whose sub has no linked user -> 403 on /me/watchlist', async () => {
+    const r = await request(app).get('/me/watchlist').set('Authorization', bearer({ sub: 'auth0|stranger' }));
+    expect(r.status).toBe(403);
+  });
+
+  it('no token -> 401 on /me/watchlist', async () => {
+    expect((await request(app).get('/me/watchlist')).status).toBe(401);
+  });
+
+  it('items default to the caller and are hidden from other users', async () => {
+    const created = await request(app)
+      .post('/watchlists')
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ kind: 'anime', refId: animeId });
+    expect(created.status).toBe(201);
+    const path = `/watchlists/${created.body.id}`;
+
+    const own = await request(app).get(path).set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(own.status).toBe(200);
+    expect(own.body.userId).toBe(alice);
+
+    expect((await request(app).get(path).set('Authorization', bearer({ sub: 'auth0|bob' }))).status).toBe(403);
+    expect((await request(app).delete(path).set('Authorization', writer({ sub: 'auth0|bob' }))).status).toBe(403);
+
+    const mine = await request(app).get('/me/watchlist').set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(mine.body).toHaveLength(1);
+
+    // Same query options as GET /watchlists, except picking another owner
+    const expanded = await request(app).get('/me/watchlist?sort=-progress&expand=ref').set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(expanded.status).toBe(200);
+    expect(expanded.body[0].ref._id).toBe(animeId);
+    const other = await request(app).get(`/me/watchlist?userId=${bob}`).set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(other.status).toBe(400);
+  });
+
+  it('creating an item for someone else -> 403 unless admin', async () => {
+    const body = { userId: bob, kind: 'anime', refId: animeId };
+    const asAlice = await request(app).post('/watchlists').set('Authorization', writer({ sub: 'auth0|alice' })).send(body);
+    expect(asAlice.status).toBe(403);
+    const asAdmin = await request(app)
+      .post('/watchlists')
+      .set('Authorization', writer({ sub: 'auth0|admin', roles: ['admin'] }))
+      .send(body);
+    expect(asAdmin.status).toBe(201);
+  });
+
+  it('GraphQL watch items are scoped to the caller', async () => {
+    const now = new Date();
+    await db.collection('watchlists').insertMany([
+      { userId: alice, kind: 'anime', refId: animeId, status: 'planned', progress: 0, createdAt: now, updatedAt: now },
+      { userId: bob, kind: 'anime', refId: animeId, status: 'planned', progress: 0, createdAt: now, updatedAt: now }
+    ]);
+    const query = '{ watchItems { user { displayName } title { ... on Anime { title } } } }';
+    const r = await request(app).post('/graphql').set('Authorization', bearer({ sub: 'auth0|alice' })).send({ query });
+    expect(r.body.data.watchItems).toEqual([{ user: { displayName: 'Alice' }, title: { title: ANIME.title } }]);
+    expect((await request(app).post('/graphql').send({ query })).body.errors[0].extensions.status).toBe(401);
+  });
+
+  it('recommendations are visible to their owner only', async () => {
+    const own = await request(app).get(`/users/${alice}/recommendations`).set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(own.status).toBe(200);
+    const other = await request(app).get(`/users/${bob}/recommendations`).set('Authorization', bearer({ sub: 'auth0|alice' }));
+    expect(other.status).toBe(403);
+  });
+});
+
+describe('provisioning and /me', () => {
+  const carol = { sub: 'auth0|carol', email: 'carol@example.com', name: 'Carol' };
+
+  it('first request with a new sub creates the profile from the claims', async () => {
+    const r = await request(app).get('/me').set('Authorization', bearer(carol));
+    expect(r.status).toBe(200);
+    expect(r.body).toMatchObject({ email: 'carol@example.com', displayName: 'Carol', role: 'user', sub: 'auth0|carol' });
+    expect(r.headers.etag).toBeTruthy();
+
+    await request(app).get('/me').set('Authorization', bearer(carol));
+    expect(await db.collection('users').countDocuments({ sub: 'auth0|carol' })).toBe(1);
+    const [entry, ...more] = await db.collection('audit').find({ action: 'provision' }).toArray();
+    expect(more).toHaveLength(0);
+    expect(entry).toMatchObject({ actor: 'auth0|carol', resource: 'users', resourceId: String(r.body._id) });
+  });
+
+  it('concurrent first requests create and audit the profile once', async () => {
+    const erin = { sub: 'auth0|erin', email: 'erin@example.com' };
+    const responses = await Promise.all([1, 2, 3, 4].map(() => request(app).get('/me').set('Authorization', bearer(erin))));
+    expect(responses.map((r) => r.status)).toEqual([200, 200, 200, 200]);
+    expect(new Set(responses.map((r) => r.body._id)).size).toBe(1);
+    expect(await db.collection('users').countDocuments({ sub: 'auth0|erin' })).toBe(1);
+    expect(await db.collection('audit').countDocuments({ action: 'provision', actor: 'auth0|erin' })).toBe(1);
+  });
+
+  it('a token without an email claim is not provisioned', async () => {
+    expect((await request(app).get('/me').set('Authorization', bearer({ sub: 'auth0|anon' }))).status).toBe(403);
+  });
+
+  it('an email already used by another profile -> 409 unless verified and unlinked', async () => {
+    await db.collection('users').insertOne({ email: 'dave@example.com', displayName: 'Dave', role: 'user' });
+    const claims = { sub: 'auth0|dave', email: 'dave@example.com' };
+    expect((await request(app).get('/me').set('Authorization', bearer(claims))).status).toBe(409);
+
+    const linked = await request(app).get('/me').set('Authorization', bearer({ ...claims, email_verified: true }));
+    expect(linked.status).toBe(200);
+    expect(linked.body).toMatchObject({ displayName: 'Dave', sub: 'auth0|dave' });
+
+    const taken = await request(app).get('/me').set('Authorization', bearer({ sub: 'auth0|alice2', email: 'alice@example.com', email_verified: true }));
+    expect(taken.status).toBe(409); // alice's profile is already linked to another sub
+  });
+
+  it('a trashed profile counts as none and is not provisioned again', async () => {
+    const claims = { sub: 'auth0|alice', email: 'alice@example.com' };
+    expect((await request(app).delete(`/users/${alice}`).set('Authorization', writer(claims))).status).toBe(204);
+    const r = await request(app).get('/me').set('Authorization', bearer(claims));
+    expect(r.status).toBe(403);
+    expect(await db.collection('users').countDocuments({ sub: 'auth0|alice' })).toBe(1);
+  });
+
+  it('PATCH /me edits the caller\'s profile but not their role', async () => {
+    const ok = await request(app)
+      .patch('/me')
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ displayName: 'Ally' });
+    expect(ok.status).toBe(200);
+    expect(ok.body.displayName).toBe('Ally');
+
+    const role = await request(app).patch('/me').set('Authorization', writer({ sub: 'auth0|alice' })).send({ role: 'admin' });
+    expect(role.status).toBe(403);
+
+    const dup = await request(app)
+      .patch('/me')
+      .set('Authorization', writer({ sub: 'auth0|alice' }))
+      .send({ email: 'bob@example.com' });
+    expect(dup.status).toBe(409);
+  });
+});
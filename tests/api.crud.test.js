@@ -0,0 +1,1230 @@
+// tests/api.crud.test.js
+import { createServer, get } from 'node:http';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, it, expect, vi } from 'vitest';
+import { ObjectId } from 'mongodb';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { ensureIndexes } from '../src/db/indexes.js';
+import { MAX_DEPTH, MAX_FIELDS } from '../src/graphql/limits.js';
+import { purgeTrash } from '../src/db/trash.js';
+import { deliverDue, verifySignature } from '../src/db/webhooks.js';
+import { createMongoStore } from '../src/middleware/rateLimit.js';
+import { startTestApp } from './helpers/testApp.js';
+
+// In-process only (auth off): every CRUD route plus its validation errors
+let app;
+let db;
+let stop;
+
+beforeAll(async () => {
+  ({ app, db, stop } = await startTestApp());
+});
+
+afterAll(async () => {
+  await stop?.();
+});
+
+beforeEach(async () => {
+  await Promise.all(['anime', 'manga', 'users', 'watchlists', 'reviews', 'relations', 'audit', 'webhooks', 'webhookDeliveries'].map((c) => db.collection(c).deleteMany({})));
+});
+
+const MISSING_ID = '56816b8bdaf759f43071afe0';
+
+const ANIME = {
+  title: 'Fullmetal Alchemist: Brotherhood',
+  genres: ['Action', 'Adventure'],
+  releaseYear: 2009,
+  rating: 9.1,
+  episodes: 64,
+  studio: 'Bones',
+  status: 'finished'
+};
+
+const MANGA = {
+  title: 'Monster',
+  genres: ['Mystery', 'Thriller'],
+  author: 'Naoki Urasawa',
+  chapters: 162,
+  status: 'finished'
+};
+
+const USER = { email: 'demo@example.com', displayName: 'Demo User' };
+
+const create = async (path, body) => {
+  const r = await request(app).post(path).send(body);
+  expect(r.status).toBe(201);
+  return r.body.id;
+};
+
+describe.each([
+  ['anime', ANIME, { episodes: 'many' }],
+  ['manga', MANGA, { author: '' }]
+])('CRUD — %s', (kind, valid, invalidPatch) => {
+  const base = `/${kind}`;
+
+  it('POST -> 201 with id and Location', async () => {
+    const r = await request(app).post(base).send(valid);
+    expect(r.status).toBe(201);
+    expect(r.body.id).toMatch(/^[0-9a-f]{24}$/);
+    expect(r.headers.location).toBe(`${base}/${r.body.id}`);
+  });
+
+  it('POST invalid body -> 400 with field errors', async () => {
+    const r = await request(app).post(base).send({ ...valid, ...invalidPatch });
+    expect(r.status).toBe(400);
+    expect(r.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(r.body).toMatchObject({ type: '/problems/validation-error', title: 'Validation error', status: 400, instance: base });
+    expect(Object.keys(r.body.errors.fieldErrors)).toEqual(Object.keys(invalidPatch));
+  });
+
+  it('POST non-JSON -> 415', async () => {
+    const r = await request(app).post(base).set('Content-Type', 'text/plain').send('hello');
+    expect(r.status).toBe(415);
+  });
+
+  it('GET list -> 200 array with X-Total-Count', async () => {
+    await create(base, valid);
+    const r = await request(app).get(base);
+    expect(r.status).toBe(200);
+    expect(r.body).toHaveLength(1);
+    expect(r.headers['x-total-count']).toBe('1');
+  });
+
+  it('GET list without paging parameters -> first page of 20, with a next link', async () => {
+    const now = new Date();
+    await db.collection(kind).insertMany(
+      Array.from({ length: 21 }, (_, i) => ({ ...valid, title: `${valid.title} ${i}`, createdAt: now, updatedAt: now }))
+    );
+    const r = await request(app).get(base);
+    expect(r.status).toBe(200);
+    expect(r.body).toHaveLength(20);
+    expect(r.headers['x-total-count']).toBe('21');
+    const next = r.headers.link.match(/<([^>]+)>; rel="next"/)?.[1];
+    expect(next).toBe(`${base}?page=2&limit=20`);
+    expect((await request(app).get(next)).body).toHaveLength(1);
+  });
+
+  it('GET list with an unknown sort field -> 400', async () => {
+    const r = await request(app).get(`${base}?sort=nope`);
+    expect(r.status).toBe(400);
+  });
+
+  it('GET /:id -> 200 with ETag, 304 on If-None-Match', async () => {
+    const id = await create(base, valid);
+    const r = await request(app).get(`${base}/${id}`);
+    expect(r.status).toBe(200);
+    expect(r.body.title).toBe(valid.title);
+    expect(r.headers.etag).toBeTruthy();
+    const again = await request(app).get(`${base}/${id}`).set('If-None-Match', r.headers.etag);
+    expect(again.status).toBe(304);
+  });
+
+  it('GET /:id malformed -> 400, missing -> 404', async () => {
+    const bad = await request(app).get(`${base}/not-an-id`);
+    expect(bad.status).toBe(400);
+    expect(bad.body.type).toBe('/problems/invalid-id');
+    expect((await request(app).get(`${base}/${MISSING_ID}`)).status).toBe(404);
+  });
+
+  it('PUT -> 204 and keeps createdAt', async () => {
+    const id = await create(base, valid);
+    const before = (await request(app).get(`${base}/${id}`)).body;
+    const r = await request(app).put(`${base}/${id}`).send({ ...valid, title: 'Renamed' });
+    expect(r.status).toBe(204);
+    const after = (await request(app).get(`${base}/${id}`)).body;
+    expect(after.title).toBe('Renamed');
+    expect(after.createdAt).toBe(before.createdAt);
+  });
+
+  it('PUT invalid -> 400, missing -> 404, stale If-Match -> 412', async () => {
+    const id = await create(base, valid);
+    expect((await request(app).put(`${base}/${id}`).send({ ...valid, ...invalidPatch })).status).toBe(400);
+    expect((await request(app).put(`${base}/${MISSING_ID}`).send(valid)).status).toBe(404);
+    const stale = await request(app).put(`${base}/${id}`).set('If-Match', '"stale"').send(valid);
+    expect(stale.status).toBe(412);
+  });
+
+  it('PATCH merge patch -> 200 with the updated document', async () => {
+    const id = await create(base, valid);
+    const r = await request(app)
+      .patch(`${base}/${id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ rating: 7.5 }));
+    expect(r.status).toBe(200);
+    expect(r.body.rating).toBe(7.5);
+    expect(r.body.title).toBe(valid.title);
+  });
+
+  it('PATCH JSON Patch with a failing test op -> 409', async () => {
+    const id = await create(base, valid);
+    const r = await request(app)
+      .patch(`${base}/${id}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'test', path: '/title', value: 'Other' }]));
+    expect(r.status).toBe(409);
+  });
+
+  it('PATCH producing an invalid document -> 400', async () => {
+    const id = await create(base, valid);
+    const r = await request(app).patch(`${base}/${id}`).send(invalidPatch);
+    expect(r.status).toBe(400);
+  });
+
+  it('DELETE -> 204, then 404', async () => {
+    const id = await create(base, valid);
+    expect((await request(app).delete(`${base}/${id}`)).status).toBe(204);
+    expect((await request(app).get(`${base}/${id}`)).status).toBe(404);
+    expect((await request(app).delete(`${base}/${id}`)).status).toBe(404);
+  });
+
+  it('GET /:id/history -> every write newest first, with actor and field diffs', async () => {
+    const id = await create(base, valid);
+    await db.collection('users').insertOne({ email: 'ed@example.com', displayName: 'Ed', role: 'editor', sub: 'auth0|editor' });
+    expect((await request(app).patch(`${base}/${id}`).set('X-Debug-User', 'auth0|editor').send({ rating: 7.5 })).status).toBe(200);
+    const r = await request(app).get(`${base}/${id}/history`);
+    expect(r.status).toBe(200);
+    expect(r.headers['x-total-count']).toBe('2');
+    expect(r.body.map((e) => e.action)).toEqual(['patch', 'create']);
+    expect(r.body[0]).toMatchObject({
+      actor: 'auth0|editor',
+      resource: kind,
+      resourceId: id,
+      changes: [{ field: 'rating', before: valid.rating, after: 7.5 }]
+    });
+    expect(r.body[1].changes.map((c) => c.field)).toEqual(expect.arrayContaining(['title', 'genres']));
+    expect(r.body[1].changes.every((c) => !('before' in c))).toBe(true);
+
+    const patches = await request(app).get(`${base}/${id}/history?action=patch`);
+    expect(patches.body).toHaveLength(1);
+  });
+
+  it('GET /:id/history outlives the record; unknown ids -> 404', async () => {
+    const id = await create(base, valid);
+    await request(app).delete(`${base}/${id}?hard=true`);
+    const r = await request(app).get(`${base}/${id}/history`);
+    expect(r.status).toBe(200);
+    expect(r.body[0]).toMatchObject({ action: 'purge', affected: 0 });
+    expect(r.body[0].changes).toContainEqual({ field: 'title', before: valid.title });
+    expect((await request(app).get(`${base}/${MISSING_ID}/history`)).status).toBe(404);
+  });
+});
+
+describe('CRUD — users', () => {
+  it('POST, GET, PUT, PATCH, DELETE', async () => {
+    const id = await create('/users', USER);
+
+    const got = await request(app).get(`/users/${id}`);
+    expect(got.status).toBe(200);
+    expect(got.body.role).toBe('user');
+
+    const put = await request(app).put(`/users/${id}`).send({ ...USER, displayName: 'Renamed' });
+    expect(put.status).toBe(204);
+
+    const patched = await request(app).patch(`/users/${id}`).send({ displayName: 'Patched' });
+    expect(patched.status).toBe(200);
+    expect(patched.body.displayName).toBe('Patched');
+
+    expect((await request(app).delete(`/users/${id}`)).status).toBe(204);
+    expect((await request(app).get(`/users/${id}`)).status).toBe(404);
+  });
+
+  it('duplicate email (any case) -> 409', async () => {
+    await create('/users', USER);
+    const r = await request(app).post('/users').send({ ...USER, email: USER.email.toUpperCase() });
+    expect(r.status).toBe(409);
+    expect(r.body.detail).toBe('A user with this email already exists');
+    const other = await create('/users', { ...USER, email: 'other@example.com' });
+    const clash = await request(app).patch(`/users/${other}`).send({ email: USER.email });
+    expect(clash.status).toBe(409);
+  });
+
+  it('POST invalid email -> 400', async () => {
+    const r = await request(app).post('/users').send({ ...USER, email: 'nope' });
+    expect(r.status).toBe(400);
+    expect(r.body.errors.fieldErrors.email).toBeDefined();
+  });
+
+  it('GET list -> 200 array, paged and filterable by role', async () => {
+    await create('/users', USER);
+    await create('/users', { ...USER, email: 'ed@example.com', role: 'editor' });
+    const r = await request(app).get('/users?limit=1');
+    expect(r.status).toBe(200);
+    expect(r.body).toHaveLength(1);
+    expect(r.headers['x-total-count']).toBe('2');
+    const editors = await request(app).get('/users?role=editor');
+    expect(editors.body.map((u) => u.email)).toEqual(['ed@example.com']);
+  });
+});
+
+describe('CRUD — watchlists', () => {
+  let userId;
+  let animeId;
+
+  beforeEach(async () => {
+    userId = await create('/users', USER);
+    animeId = await create('/anime', ANIME);
+  });
+
+  const item = () => ({ userId, kind: 'anime', refId: animeId });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('POST, GET, PUT, PATCH, DELETE', async () => {
+    const id = await create('/watchlists', item());
+
+    const got = await request(app).get(`/watchlists/${id}`);
+    expect(got.status).toBe(200);
+    expect(got.body.status).toBe('planned');
+
+    const put = await request(app).put(`/watchlists/${id}`).send({ ...item(), status: 'watching', progress: 3 });
+    expect(put.status).toBe(204);
+
+    const patched = await request(app).patch(`/watchlists/${id}`).send({ notes: 'great so far' });
+    expect(patched.status).toBe(200);
+    expect(patched.body).toMatchObject({ status: 'watching', progress: 3, notes: 'great so far' });
+
+    expect((await request(app).delete(`/watchlists/${id}`)).status).toBe(204);
+    expect((await request(app).get(`/watchlists/${id}`)).status).toBe(404);
+  });
+
+  it('GET list filters by kind and status', async () => {
+    await create('/watchlists', item());
+    expect((await request(app).get('/watchlists?kind=anime&status=planned')).body).toHaveLength(1);
+    expect((await request(app).get('/watchlists?kind=manga')).body).toHaveLength(0);
+    expect((await request(app).get('/watchlists?nope=1')).status).toBe(400);
+  });
+
+  it('?expand=ref,user embeds the title and owner; ?fields= trims them', async () => {
+    const mangaId = await create('/manga', MANGA);
+    const id = await create('/watchlists', item());
+    await create('/watchlists', { userId, kind: 'manga', refId: mangaId });
+
+    const list = await request(app).get('/watchlists?expand=ref,user&sort=kind');
+    expect(list.status).toBe(200);
+    expect(list.headers['x-total-count']).toBe('2');
+    expect(list.body.map((i) => [i.refId, i.ref.title, i.user.email])).toEqual([
+      [animeId, ANIME.title, USER.email],
+      [mangaId, MANGA.title, USER.email]
+    ]);
+
+    const one = await request(app).get(`/watchlists/${id}?expand=ref&fields=title,coverImage`);
+    expect(one.status).toBe(200);
+    expect(one.body.ref).toEqual({ _id: animeId, title: ANIME.title });
+    expect(one.body.user).toBeUndefined();
+
+    const owner = await request(app).get(`/watchlists/${id}?expand=user,ref&fields=title,user.displayName`);
+    expect(owner.body.user).toEqual({ _id: userId, displayName: USER.displayName });
+    expect(Object.keys(owner.body.ref)).toEqual(['_id', 'title']);
+
+    expect((await request(app).delete(`/anime/${animeId}`)).status).toBe(204);
+    expect((await request(app).get(`/watchlists/${id}?expand=ref`)).body.ref).toBeNull();
+    expect((await request(app).get('/watchlists?expand=reviews')).status).toBe(400);
+    expect((await request(app).get(`/watchlists/${id}?fields=title;drop`)).status).toBe(400);
+  });
+
+  it('POST with a status from the other kind -> 400', async () => {
+    const r = await request(app).post('/watchlists').send({ ...item(), status: 'reading' });
+    expect(r.status).toBe(400);
+  });
+
+  it('POST referencing a missing title -> 422', async () => {
+    const r = await request(app).post('/watchlists').send({ ...item(), refId: MISSING_ID });
+    expect(r.status).toBe(422);
+    expect(r.body.errors.fieldErrors.refId).toBeDefined();
+  });
+
+  it('POST /:id/progress increments and completes at the episode count', async () => {
+    const id = await create('/watchlists', { ...item(), progress: 62 });
+    const step = await request(app).post(`/watchlists/${id}/progress`);
+    expect(step.status).toBe(200);
+    expect(step.body).toMatchObject({ progress: 63, status: 'watching' });
+
+    const done = await request(app).post(`/watchlists/${id}/progress`).send({ by: 1 });
+    expect(done.body).toMatchObject({ progress: 64, status: 'completed' });
+
+    const over = await request(app).post(`/watchlists/${id}/progress`);
+    expect(over.status).toBe(422);
+  });
+
+  it('purging the title cascades to its watchlist items', async () => {
+    const id = await create('/watchlists', item());
+    expect((await request(app).delete(`/anime/${animeId}?hard=true`)).status).toBe(204);
+    expect((await request(app).get(`/watchlists/${id}`)).status).toBe(404);
+  });
+
+  it('a trashed title keeps its items but takes no new ones', async () => {
+    const id = await create('/watchlists', item());
+    expect((await request(app).delete(`/anime/${animeId}`)).status).toBe(204);
+    expect((await request(app).get(`/watchlists/${id}`)).status).toBe(200);
+    const r = await request(app).post('/watchlists').send(item());
+    expect(r.status).toBe(422);
+    expect(r.body.errors.fieldErrors.refId).toBeDefined();
+  });
+
+  it('DELETE_POLICY=restrict -> 409 on purge while items reference the record', async () => {
+    vi.stubEnv('DELETE_POLICY_ANIME', 'restrict');
+    const id = await create('/watchlists', item());
+    const r = await request(app).delete(`/anime/${animeId}?hard=true`);
+    expect(r.status).toBe(409);
+    expect(r.body.detail).toMatch(/1 watchlists item\(s\) still reference/);
+    expect((await request(app).get(`/anime/${animeId}`)).status).toBe(200);
+    expect((await request(app).get(`/watchlists/${id}`)).status).toBe(200);
+
+    // A soft delete doesn't touch references, and the purge goes through once they are gone
+    expect((await request(app).delete(`/anime/${animeId}`)).status).toBe(204);
+    expect((await request(app).delete(`/anime/${animeId}?hard=true`)).status).toBe(409);
+    expect((await request(app).delete(`/watchlists/${id}?hard=true`)).status).toBe(204);
+    expect((await request(app).delete(`/anime/${animeId}?hard=true`)).status).toBe(204);
+  });
+
+  it('DELETE_POLICY=nullify keeps the items with the reference set to null', async () => {
+    vi.stubEnv('DELETE_POLICY_USERS', 'nullify');
+    const id = await create('/watchlists', item());
+    const other = await create('/users', { ...USER, email: 'other@example.com' });
+    const kept = await create('/watchlists', { ...item(), userId: other });
+
+    expect((await request(app).delete(`/users/${userId}?hard=true`)).status).toBe(204);
+    const doc = await db.collection('watchlists').findOne({ _id: new ObjectId(id) });
+    expect(doc).toMatchObject({ userId: null, refId: animeId });
+    expect((await db.collection('watchlists').findOne({ _id: new ObjectId(kept) })).userId).toBe(other);
+  });
+});
+
+describe('Reviews', () => {
+  it('keeps averageScore and reviewCount in sync', async () => {
+    const animeId = await create('/anime', ANIME);
+    const a = await create('/users', USER);
+    const b = await create('/users', { ...USER, email: 'b@example.com' });
+
+    const first = await request(app).post(`/anime/${animeId}/reviews`).set('X-Debug-User', a).send({ score: 8 });
+    expect(first.status).toBe(201);
+    await request(app).post(`/anime/${animeId}/reviews`).set('X-Debug-User', b).send({ score: 10 });
+    const dup = await request(app).post(`/anime/${animeId}/reviews`).set('X-Debug-User', a).send({ score: 5 });
+    expect(dup.status).toBe(409);
+
+    let title = (await request(app).get(`/anime/${animeId}`)).body;
+    expect(title).toMatchObject({ averageScore: 9, reviewCount: 2 });
+
+    const other = await request(app)
+      .put(`/anime/${animeId}/reviews/${first.body.id}`)
+      .set('X-Debug-User', b)
+      .send({ score: 1 });
+    expect(other.status).toBe(403);
+
+    expect((await request(app).delete(`/anime/${animeId}/reviews/${first.body.id}`).set('X-Debug-User', a)).status).toBe(204);
+    title = (await request(app).get(`/anime/${animeId}`)).body;
+    expect(title).toMatchObject({ averageScore: 10, reviewCount: 1 });
+  });
+
+  it('POST score out of range -> 400', async () => {
+    const animeId = await create('/anime', ANIME);
+    const a = await create('/users', USER);
+    const r = await request(app).post(`/anime/${animeId}/reviews`).set('X-Debug-User', a).send({ score: 11 });
+    expect(r.status).toBe(400);
+  });
+});
+
+describe('Recommendations', () => {
+  let me;
+  let ids;
+
+  beforeEach(async () => {
+    me = await create('/users', USER);
+    const peers = [
+      await create('/users', { ...USER, email: 'peer1@example.com' }),
+      await create('/users', { ...USER, email: 'peer2@example.com' })
+    ];
+    const anime = (title, genres, rating) => create('/anime', { ...ANIME, title, genres, rating });
+    ids = {
+      done: await anime('Done', ['Action', 'Fantasy'], 7),
+      owned: await anime('Owned', ['Action', 'Fantasy'], 9),
+      match: await anime('Match', ['Action', 'Fantasy'], 6),
+      half: await anime('Half', ['Fantasy', 'Romance'], 10),
+      peer: await anime('Peer', ['Horror'], 5),
+      unrelated: await anime('Unrelated', ['Sports'], 9),
+      manga: await create('/manga', { ...MANGA, title: 'Action Manga', genres: ['Action'] })
+    };
+    const add = (userId, refId, status = 'planned') => create('/watchlists', { userId, kind: 'anime', refId, status });
+    await add(me, ids.done, 'completed');
+    await add(me, ids.owned);
+    // Both peers completed "Done" like me; they also added "Peer", and one of them "Match"
+    for (const peer of peers) {
+      await add(peer, ids.done, 'completed');
+      await add(peer, ids.peer);
+    }
+    await add(peers[1], ids.match);
+    // Neither counts: the other peer dropped "Match", and a user who only planned "Done" is no peer
+    await add(peers[0], ids.match, 'dropped');
+    const planner = await create('/users', { ...USER, email: 'planner@example.com' });
+    await add(planner, ids.done);
+    await add(planner, ids.peer);
+  });
+
+  it('ranks by genre overlap (0.5), peers (0.3) and rating (0.2), leaving out what the user has', async () => {
+    const r = await request(app).get(`/users/${me}/recommendations`);
+    expect(r.status).toBe(200);
+    // Match: 2/2 genres, 1 of 2 peers, 6/10; Half: 1/2 genres, 10/10; Peer: 2 of 2 peers, 5/10; Action Manga: 1/2 genres
+    expect(r.body.map((rec) => [rec.kind, rec.title._id, rec.score])).toEqual([
+      ['anime', ids.match, 0.77],
+      ['anime', ids.half, 0.45],
+      ['anime', ids.peer, 0.4],
+      ['manga', ids.manga, 0.25]
+    ]);
+    expect(r.body.map((rec) => rec.title.title)).not.toContain('Owned'); // on the watchlist, though the best match
+  });
+
+  it('explains each pick: the completed title it resembles, peers and rating', async () => {
+    const [match, half, peer, manga] = (await request(app).get(`/users/${me}/recommendations`)).body;
+    expect(match.reasons).toEqual([
+      'Because you completed Done (Action, Fantasy)',
+      '1 other user(s) who completed Done also added this'
+    ]);
+    expect(half.reasons).toEqual(['Because you completed Done (Fantasy)', 'Highly rated (10)']);
+    expect(peer.reasons).toEqual(['2 other user(s) who completed Done also added this']);
+    expect(manga.reasons).toEqual(['Because you completed Done (Action)']);
+  });
+
+  it('?kind= and ?limit= narrow the list; /me/recommendations answers for the caller', async () => {
+    const manga = await request(app).get(`/users/${me}/recommendations?kind=manga`);
+    expect(manga.body.map((rec) => rec.title.title)).toEqual(['Action Manga']);
+    const top = await request(app).get(`/users/${me}/recommendations?limit=2`);
+    expect(top.body.map((rec) => rec.title.title)).toEqual(['Match', 'Half']);
+    expect((await request(app).get(`/users/${me}/recommendations?limit=0`)).status).toBe(400);
+
+    const mine = await request(app).get('/me/recommendations').set('X-Debug-User', me);
+    expect(mine.status).toBe(200);
+    expect(mine.body).toEqual((await request(app).get(`/users/${me}/recommendations`)).body);
+  });
+
+  it('a trashed title is neither recommended nor counted as completed', async () => {
+    await request(app).delete(`/anime/${ids.done}`);
+    const r = await request(app).get(`/users/${me}/recommendations`);
+    const titles = r.body.map((rec) => rec.title.title);
+    expect(titles).not.toContain('Done');
+    // Nothing completed left: no genre or peer signal, so the rating decides
+    expect(titles.slice(0, 2)).toEqual(['Half', 'Unrelated']);
+    expect(r.body[0].reasons).toEqual(['Highly rated (10)']);
+  });
+});
+
+describe('Search', () => {
+  it('connectToDb creates the text indexes it relies on', async () => {
+    for (const kind of ['anime', 'manga']) {
+      const names = (await db.collection(kind).indexes()).map((i) => i.name);
+      expect(names).toContain('search_text');
+    }
+  });
+
+  it('GET /search ranks anime and manga together, tagged with their kind, and pages them', async () => {
+    const fma = await create('/anime', ANIME);
+    const described = await create('/anime', { ...ANIME, title: 'Hagane', description: 'A young alchemist pays the price' });
+    const titled = await create('/manga', { ...MANGA, title: 'Alchemist', author: 'Hiromu Arakawa' });
+    await create('/manga', MANGA);
+
+    const all = await request(app).get('/search?q=alchemist');
+    expect(all.status).toBe(200);
+    expect(all.headers['x-total-count']).toBe('3');
+    // Title matches (weight 10, shorter title first) ahead of a description match (weight 1)
+    expect(all.body.map((t) => [t._id, t.kind])).toEqual([
+      [titled, 'manga'],
+      [fma, 'anime'],
+      [described, 'anime']
+    ]);
+    expect(all.body[0].score).toBeGreaterThan(all.body[2].score);
+
+    const first = await request(app).get('/search?q=alchemist&limit=2');
+    expect(first.body.map((t) => t._id)).toEqual([titled, fma]);
+    expect(first.headers['x-total-count']).toBe('3');
+    expect(first.headers.link).toContain('rel="next"');
+    const second = await request(app).get('/search?q=alchemist&limit=2&page=2');
+    expect(second.body.map((t) => t._id)).toEqual([described]);
+
+    const anime = await request(app).get('/search?q=alchemist&kind=anime');
+    expect(anime.body.map((t) => t.kind)).toEqual(['anime', 'anime']);
+    expect(anime.headers['x-total-count']).toBe('2');
+
+    expect((await request(app).get('/search?q=naoki')).body.map((t) => t.title)).toEqual(['Monster']);
+    expect((await request(app).get('/search?q=zzzz')).body).toEqual([]);
+  });
+
+  it('GET /search without q, with an unknown kind or past the last page served -> 400', async () => {
+    expect((await request(app).get('/search')).status).toBe(400);
+    expect((await request(app).get('/search?q=x&kind=novel')).status).toBe(400);
+    expect((await request(app).get('/search?q=x&page=50')).status).toBe(200);
+    expect((await request(app).get('/search?q=x&page=51')).status).toBe(400);
+  });
+
+  it('ensureIndexes fails when the text index cannot be created', async () => {
+    const anime = db.collection('anime');
+    await anime.dropIndex('search_text');
+    await anime.createIndex({ title: 'text' }, { name: 'other_text' });
+    try {
+      await expect(ensureIndexes(db)).rejects.toThrow(/anime\.search_text/);
+    } finally {
+      await anime.dropIndex('other_text');
+      await ensureIndexes(db);
+    }
+  });
+});
+
+describe('Bulk import / export', () => {
+  // superagent only buffers text/* and JSON; NDJSON needs an explicit parser
+  const asText = (res, cb) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => cb(null, text));
+  };
+
+  it('GET /export streams NDJSON or CSV, leaving out the trash', async () => {
+    const id = await create('/anime', ANIME);
+    const quoted = await create('/anime', { ...ANIME, title: 'Hello, "World"', genres: ['Comedy', 'Slice of Life'] });
+    const trashed = await create('/anime', { ...ANIME, title: 'Gone' });
+    await request(app).delete(`/anime/${trashed}`);
+
+    const ndjson = await request(app).get('/anime/export').buffer(true).parse(asText);
+    expect(ndjson.status).toBe(200);
+    expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(ndjson.headers['content-disposition']).toBe('attachment; filename="anime.ndjson"');
+    const rows = ndjson.body.trimEnd().split('\n').map((line) => JSON.parse(line));
+    expect(rows.map((r) => [r._id, r.title])).toEqual([[id, ANIME.title], [quoted, 'Hello, "World"']]);
+    expect(rows[0]).toMatchObject({ genres: ANIME.genres, episodes: ANIME.episodes });
+
+    const csv = await request(app).get('/anime/export').set('Accept', 'text/csv');
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    const lines = csv.text.trimEnd().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^_id,title,genres,releaseYear,.*,createdAt,updatedAt$/);
+    expect(lines[2].startsWith(`${quoted},"Hello, ""World""",Comedy|Slice of Life,2009,`)).toBe(true);
+    expect((await request(app).get('/anime/export?format=csv')).text).toBe(csv.text);
+
+    // An export imports back as-is: every row matches its record
+    const again = await request(app).post('/anime/import').set('Content-Type', 'text/csv').send(csv.text);
+    expect(again.body).toMatchObject({ received: 2, valid: 2, inserted: 0, updated: 2, rejected: 0 });
+  });
+
+  it('CSV import upserts the valid rows and reports the bad ones by line', async () => {
+    const existing = await create('/anime', ANIME);
+    const csv = [
+      'title,genres,releaseYear,episodes,status,studio',
+      'Cowboy Bebop,Action|Sci-Fi,1998,26,finished,Sunrise',
+      ',Drama,2000,12,finished,',
+      'Trigun,Action,1998,many,finished,Madhouse',
+      `"${ANIME.title}",Action|Adventure,2009,64,finished,Bones Inc`
+    ].join('\n');
+
+    const r = await request(app).post('/anime/import').set('Content-Type', 'text/csv').send(csv);
+    expect(r.status).toBe(200);
+    expect(r.body).toMatchObject({ dryRun: false, received: 4, valid: 2, inserted: 1, updated: 1, rejected: 2 });
+    expect(r.body.errors.map((e) => e.line)).toEqual([3, 4]);
+    expect(r.body.errors[0].errors.fieldErrors.title).toBeDefined();
+    expect(r.body.errors[1].errors.fieldErrors.episodes).toBeDefined();
+
+    const list = await request(app).get('/anime?sort=title');
+    expect(list.body.map((a) => [a.title, a.studio, a.genres])).toEqual([
+      ['Cowboy Bebop', 'Sunrise', ['Action', 'Sci-Fi']],
+      [ANIME.title, 'Bones Inc', ['Action', 'Adventure']]
+    ]);
+    expect(list.body[1]._id).toBe(existing);
+    expect(list.body[0].releaseYear).toBe(1998);
+
+    const broken = await request(app).post('/anime/import').set('Content-Type', 'text/csv').send('title,genres\n"unterminated');
+    expect(broken.status).toBe(400);
+    expect((await request(app).post('/anime/import').set('Content-Type', 'text/plain').send('x')).status).toBe(415);
+  });
+});
+
+describe('Routing & errors', () => {
+  it('unknown path -> 404 problem', async () => {
+    const r = await request(app).get('/nope');
+    expect(r.status).toBe(404);
+    expect(r.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(r.body).toMatchObject({ type: 'about:blank', title: 'Not Found', status: 404, instance: '/nope' });
+  });
+
+  it('malformed JSON -> 400 problem', async () => {
+    const r = await request(app).post('/anime').set('Content-Type', 'application/json').send('{"title":');
+    expect(r.status).toBe(400);
+    expect(r.body.type).toBe('/problems/malformed-body');
+  });
+
+  it('echoes X-Request-Id, or makes one up', async () => {
+    const given = await request(app).get('/nope').set('X-Request-Id', 'trace-123');
+    expect(given.headers['x-request-id']).toBe('trace-123');
+    expect(given.body.requestId).toBe('trace-123');
+    const minted = await request(app).get('/nope');
+    expect(minted.body.requestId).toBe(minted.headers['x-request-id']);
+    expect(minted.body.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('GET /healthz -> 200', async () => {
+    const r = await request(app).get('/healthz');
+    expect(r.body).toEqual({ status: 'ok' });
+  });
+});
+
+describe('Relations & franchises', () => {
+  const relate = (kind, id, body) => request(app).post(`/${kind}/${id}/relations`).send(body);
+
+  it('POST /:id/relations -> 201; listed from both sides with their direction', async () => {
+    const manga = await create('/manga', MANGA);
+    const anime = await create('/anime', { ...ANIME, title: 'Monster' });
+    const r = await relate('manga', manga, { type: 'adaptation', kind: 'anime', id: anime });
+    expect(r.status).toBe(201);
+    expect(r.headers.location).toBe(`/manga/${manga}/relations/${r.body.id}`);
+
+    const fromManga = await request(app).get(`/manga/${manga}/relations`);
+    expect(fromManga.body).toEqual([
+      { _id: r.body.id, type: 'adaptation', direction: 'outgoing', title: expect.objectContaining({ kind: 'anime', _id: anime }) }
+    ]);
+    const fromAnime = await request(app).get(`/anime/${anime}/relations`);
+    expect(fromAnime.body[0]).toMatchObject({ type: 'adaptation', direction: 'incoming', title: { kind: 'manga', title: 'Monster' } });
+  });
+
+  it('rejects self-relations, missing titles and a second relation between the same pair', async () => {
+    const a = await create('/anime', ANIME);
+    const b = await create('/anime', { ...ANIME, title: 'Sequel' });
+    expect((await relate('anime', a, { type: 'sequel', kind: 'anime', id: a })).status).toBe(422);
+    expect((await relate('anime', a, { type: 'sequel', kind: 'manga', id: b })).status).toBe(422);
+    expect((await relate('anime', a, { type: 'remake', kind: 'anime', id: b })).status).toBe(400);
+    expect((await relate('anime', MISSING_ID, { type: 'sequel', kind: 'anime', id: b })).status).toBe(404);
+    expect((await relate('anime', a, { type: 'sequel', kind: 'anime', id: b })).status).toBe(201);
+    expect((await relate('anime', b, { type: 'prequel', kind: 'anime', id: a })).status).toBe(409);
+  });
+
+  it('DELETE /:id/relations/:relationId -> 204, only through one of its titles', async () => {
+    const a = await create('/anime', ANIME);
+    const b = await create('/anime', { ...ANIME, title: 'Sequel' });
+    const c = await create('/anime', { ...ANIME, title: 'Unrelated' });
+    const { body } = await relate('anime', a, { type: 'sequel', kind: 'anime', id: b });
+    expect((await request(app).delete(`/anime/${c}/relations/${body.id}`)).status).toBe(404);
+    expect((await request(app).delete(`/anime/${b}/relations/${body.id}`)).status).toBe(204);
+    expect((await request(app).get(`/anime/${a}/relations`)).body).toEqual([]);
+  });
+
+  it('relation writes are audited and drop cached franchise reads', async () => {
+    const cached = createApp({ db, auth: false, cache: { groups: { '/franchises': { ttlMs: 60_000, collections: ['relations', 'anime', 'manga'] } } } });
+    const a = await create('/anime', ANIME);
+    const b = await create('/anime', { ...ANIME, title: 'Sequel' });
+    const franchise = () => request(cached).get(`/franchises/${a}`);
+    await franchise();
+    expect((await franchise()).headers['x-cache']).toBe('HIT');
+
+    const { body } = await request(cached).post(`/anime/${a}/relations`).send({ type: 'sequel', kind: 'anime', id: b });
+    const grown = await franchise();
+    expect(grown.headers['x-cache']).toBe('MISS');
+    expect(grown.body.titles).toHaveLength(2);
+
+    expect((await request(cached).delete(`/anime/${b}/relations/${body.id}`)).status).toBe(204);
+    expect((await franchise()).body.titles).toHaveLength(1);
+
+    const entries = (await request(app).get('/audit?resource=relations')).body;
+    expect(entries.map((e) => [e.action, e.resourceId])).toEqual([['purge', body.id], ['create', body.id]]);
+    expect(entries[1].changes).toContainEqual({ field: 'type', after: 'sequel' });
+  });
+
+  it('GET /franchises/:id walks relations across anime and manga', async () => {
+    const manga = await create('/manga', { ...MANGA, releaseYear: 1994 });
+    const first = await create('/anime', { ...ANIME, title: 'Season 1', releaseYear: 2004 });
+    const second = await create('/anime', { ...ANIME, title: 'Season 2', releaseYear: 2010 });
+    const spinoff = await create('/manga', { ...MANGA, title: 'Another Monster', releaseYear: 2002 });
+    await create('/anime', { ...ANIME, title: 'Elsewhere' });
+    await relate('manga', manga, { type: 'adaptation', kind: 'anime', id: first });
+    await relate('anime', second, { type: 'prequel', kind: 'anime', id: first });
+    await relate('manga', manga, { type: 'spin-off', kind: 'manga', id: spinoff });
+
+    const r = await request(app).get(`/franchises/${second}`);
+    expect(r.status).toBe(200);
+    expect(r.body.root).toEqual({ kind: 'anime', id: second });
+    expect(r.body.titles.map((t) => t.title)).toEqual(['Monster', 'Another Monster', 'Season 1', 'Season 2']);
+    expect(r.body.relations).toHaveLength(3);
+
+    // Trashing the bridge splits the franchise; purging it removes its edges for good
+    await request(app).delete(`/anime/${first}`);
+    expect((await request(app).get(`/franchises/${second}`)).body.titles.map((t) => t.title)).toEqual(['Season 2']);
+    await request(app).post(`/anime/${first}/restore`);
+    expect((await request(app).get(`/franchises/${manga}`)).body.titles).toHaveLength(4);
+    await request(app).delete(`/anime/${first}?hard=true`);
+    expect(await db.collection('relations').countDocuments()).toBe(1);
+    expect((await request(app).get(`/franchises/${manga}`)).body.titles.map((t) => t.title)).toEqual(['Monster', 'Another Monster']);
+
+    expect((await request(app).get(`/franchises/${MISSING_ID}`)).status).toBe(404);
+  });
+});
+
+describe('Trash', () => {
+  it('DELETE hides the record; includeDeleted=true still shows it', async () => {
+    const id = await create('/anime', ANIME);
+    await create('/anime', { ...ANIME, title: 'Kept' });
+    expect((await request(app).delete(`/anime/${id}`)).status).toBe(204);
+
+    const list = await request(app).get('/anime');
+    expect(list.body.map((a) => a.title)).toEqual(['Kept']);
+    expect(list.headers['x-total-count']).toBe('1');
+    expect((await request(app).patch(`/anime/${id}`).send({ rating: 1 })).status).toBe(404);
+    expect((await request(app).get(`/search?q=${encodeURIComponent('Fullmetal')}`)).body).toHaveLength(0);
+    expect((await request(app).get(`/anime/${id}/reviews`)).status).toBe(404);
+
+    const all = await request(app).get('/anime?includeDeleted=true&sort=title');
+    expect(all.headers['x-total-count']).toBe('2');
+    const got = await request(app).get(`/anime/${id}?includeDeleted=true`);
+    expect(got.status).toBe(200);
+    expect(got.body.deletedAt).toBeTruthy();
+
+    const [entry] = (await request(app).get(`/anime/${id}/history`)).body;
+    expect(entry).toMatchObject({ action: 'delete', changes: [{ field: 'deletedAt', after: got.body.deletedAt }] });
+  });
+
+  it('reviews of a trashed title are out of reach until it is restored', async () => {
+    const id = await create('/anime', ANIME);
+    const author = await create('/users', USER);
+    const review = await request(app).post(`/anime/${id}/reviews`).set('X-Debug-User', author).send({ score: 8 });
+    const path = `/anime/${id}/reviews/${review.body.id}`;
+    expect((await request(app).delete(`/anime/${id}`)).status).toBe(204);
+
+    expect((await request(app).get(path)).status).toBe(404);
+    expect((await request(app).put(path).set('X-Debug-User', author).send({ score: 2 })).status).toBe(404);
+    expect((await request(app).patch(path).set('X-Debug-User', author).send({ score: 2 })).status).toBe(404);
+    expect((await request(app).delete(path).set('X-Debug-User', author)).status).toBe(404);
+    // Nothing recomputed the score on the trashed record
+    expect(await db.collection('anime').findOne({ _id: new ObjectId(id) })).toMatchObject({ averageScore: 8, reviewCount: 1 });
+    expect(await db.collection('reviews').countDocuments()).toBe(1);
+
+    await request(app).post(`/anime/${id}/restore`);
+    expect((await request(app).get(path)).body.score).toBe(8);
+    expect((await request(app).patch(path).set('X-Debug-User', author).send({ score: 6 })).status).toBe(200);
+  });
+
+  it('POST /:id/restore -> 200 + ETag; 409 when not in the trash', async () => {
+    const id = await create('/manga', MANGA);
+    expect((await request(app).post(`/manga/${id}/restore`)).status).toBe(409);
+    await request(app).delete(`/manga/${id}`);
+    const r = await request(app).post(`/manga/${id}/restore`);
+    expect(r.status).toBe(200);
+    expect(r.headers.etag).toBeTruthy();
+    expect(r.body.deletedAt).toBeUndefined();
+    expect((await request(app).get(`/manga/${id}`)).body.title).toBe(MANGA.title);
+    expect((await request(app).get(`/manga/${id}/history?action=restore`)).body).toHaveLength(1);
+    expect((await request(app).post(`/manga/${MISSING_ID}/restore`)).status).toBe(404);
+  });
+
+  it('DELETE ?hard=true purges, from the trash or not', async () => {
+    const trashed = await create('/users', USER);
+    const live = await create('/users', { ...USER, email: 'live@example.com' });
+    await request(app).delete(`/users/${trashed}`);
+    expect((await request(app).delete(`/users/${trashed}`)).status).toBe(404);
+    expect((await request(app).delete(`/users/${trashed}?hard=true`)).status).toBe(204);
+    expect((await request(app).delete(`/users/${live}?hard=true`)).status).toBe(204);
+    expect(await db.collection('users').countDocuments()).toBe(0);
+    expect((await request(app).delete(`/users/${live}?hard=nope`)).status).toBe(400);
+  });
+
+  it('purgeTrash removes records trashed longer than the retention window', async () => {
+    const userId = await create('/users', USER);
+    const old = await create('/anime', ANIME);
+    const recent = await create('/anime', { ...ANIME, title: 'Recent' });
+    const itemId = await create('/watchlists', { userId, kind: 'anime', refId: old });
+    await request(app).delete(`/anime/${old}`);
+    await request(app).delete(`/anime/${recent}`);
+    await db.collection('anime').updateOne({ title: ANIME.title }, { $set: { deletedAt: new Date('2020-01-01') } });
+
+    expect(await purgeTrash({ days: 30 })).toBe(1);
+    expect((await request(app).get(`/anime?includeDeleted=true`)).body.map((a) => a.title)).toEqual(['Recent']);
+    expect((await request(app).get(`/watchlists/${itemId}`)).status).toBe(404); // DELETE_POLICY=cascade
+    const [entry] = (await request(app).get(`/audit?resourceId=${old}&action=purge`)).body;
+    expect(entry).toMatchObject({ actor: null, affected: 1 });
+  });
+});
+
+describe('Audit log', () => {
+  it('GET /audit -> filters by actor, resource, action and date range', async () => {
+    const animeId = await create('/anime', ANIME);
+    await db.collection('users').insertOne({ email: 'bob@example.com', displayName: 'Bob', role: 'editor', sub: 'auth0|bob' });
+    expect((await request(app).post('/manga').set('X-Debug-User', 'auth0|bob').send(MANGA)).status).toBe(201);
+    expect((await request(app).put(`/anime/${animeId}`).set('X-Debug-User', 'auth0|bob').send({ ...ANIME, episodes: 65 })).status).toBe(204);
+
+    const all = await request(app).get('/audit');
+    expect(all.status).toBe(200);
+    expect(all.body.map((e) => `${e.resource}:${e.action}`)).toEqual(['anime:replace', 'manga:create', 'anime:create']);
+
+    const bob = await request(app).get(`/audit?actor=${encodeURIComponent('auth0|bob')}&resource=anime`);
+    expect(bob.body).toHaveLength(1);
+    expect(bob.body[0]).toMatchObject({ action: 'replace', resourceId: animeId, changes: [{ field: 'episodes', before: 64, after: 65 }] });
+
+    expect((await request(app).get(`/audit?resourceId=${animeId}&action=create`)).body).toHaveLength(1);
+    const since = new Date(Date.now() + 60_000).toISOString();
+    expect((await request(app).get(`/audit?at[gte]=${since}`)).body).toHaveLength(0);
+    expect((await request(app).get('/audit?resource=reviews')).status).toBe(400);
+  });
+
+  it('records watchlist progress and bulk import rows that changed something', async () => {
+    const animeId = await create('/anime', ANIME);
+    const userId = await create('/users', { email: 'p@example.com', displayName: 'P' });
+    const itemId = await create('/watchlists', { userId, kind: 'anime', refId: animeId });
+    await request(app).post(`/watchlists/${itemId}/progress`).send({ by: 2 });
+    const progress = await request(app).get(`/audit?resourceId=${itemId}&action=progress`);
+    expect(progress.body[0].changes).toEqual(expect.arrayContaining([
+      { field: 'progress', after: 2 },
+      { field: 'status', before: 'planned', after: 'watching' }
+    ]));
+
+    const ndjson = `${JSON.stringify(MANGA)}\n${JSON.stringify({ ...MANGA, title: 'New' })}\n`;
+    await request(app).post('/manga/import').set('Content-Type', 'application/x-ndjson').send(ndjson);
+    await request(app).post('/anime/import').set('Content-Type', 'application/x-ndjson').send(`${JSON.stringify(ANIME)}\n`);
+    const imports = await request(app).get('/audit?action=import');
+    expect(imports.body.map((e) => e.resource)).toEqual(['manga', 'manga']); // re-importing an unchanged anime is not a change
+  });
+});
+
+describe('Webhooks', () => {
+  // A local receiver that records each POST and answers with `reply.status`
+  const received = [];
+  const reply = { status: 204 };
+  let receiver;
+  let url;
+
+  beforeAll(async () => {
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(reply.status).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(() => new Promise((resolve) => receiver.close(resolve)));
+
+  beforeEach(() => {
+    received.length = 0;
+    reply.status = 204;
+  });
+
+  const register = async (events) => {
+    const id = await create('/webhooks', { url, events });
+    const { secret } = (await request(app).get(`/webhooks/${id}`)).body;
+    return { id, secret };
+  };
+
+  it('POST /webhooks -> generates a secret; invalid url or event -> 400', async () => {
+    const { secret } = await register(['anime.created']);
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+    expect((await request(app).post('/webhooks').send({ url: 'ftp://example.com', events: ['*'] })).status).toBe(400);
+    expect((await request(app).post('/webhooks').send({ url, events: ['anime.exploded'] })).status).toBe(400);
+  });
+
+  it('PUT without a secret keeps it, and the audit log never shows it', async () => {
+    const { id, secret } = await register(['*']);
+    expect((await request(app).put(`/webhooks/${id}`).send({ url, events: ['manga.created'] })).status).toBe(204);
+    expect((await request(app).get(`/webhooks/${id}`)).body).toMatchObject({ secret, events: ['manga.created'] });
+    await request(app).patch(`/webhooks/${id}`).send({ secret: 'a-brand-new-secret-value' });
+    const [rotated] = (await request(app).get(`/audit?resourceId=${id}&action=patch`)).body;
+    expect(rotated.changes).toEqual([{ field: 'secret', before: '[redacted]', after: '[redacted]' }]);
+  });
+
+  it('delivers subscribed events with a valid signature', async () => {
+    const { id, secret } = await register(['anime.created']);
+    const animeId = await create('/anime', ANIME);
+    await create('/manga', MANGA); // not subscribed
+    expect(await deliverDue()).toBe(1);
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(headers['x-webhook-event']).toBe('anime.created');
+    expect(verifySignature(secret, headers['x-webhook-signature'], body)).toBe(true);
+    expect(verifySignature('wrong-secret-value', headers['x-webhook-signature'], body)).toBe(false);
+    expect(JSON.parse(body)).toMatchObject({ type: 'anime.created', resource: 'anime', data: { id: animeId, object: { title: ANIME.title } } });
+
+    const log = await request(app).get(`/webhooks/${id}/deliveries`);
+    expect(log.status).toBe(200);
+    expect(log.body[0]).toMatchObject({ _id: headers['x-webhook-delivery'], status: 'succeeded', attempts: 1, log: [{ status: 204 }] });
+  });
+
+  it('a failing receiver is retried later with backoff', async () => {
+    const { id } = await register(['*']);
+    reply.status = 500;
+    await create('/anime', ANIME);
+    expect(await deliverDue()).toBe(1);
+    expect(await deliverDue()).toBe(0); // not due again yet
+
+    const [delivery] = (await request(app).get(`/webhooks/${id}/deliveries?status=pending`)).body;
+    expect(delivery).toMatchObject({ attempts: 1, log: [{ status: 500 }] });
+    expect(new Date(delivery.nextAttemptAt) - new Date(delivery.log[0].at)).toBeGreaterThanOrEqual(30_000);
+
+    await db.collection('webhookDeliveries').updateOne({}, { $set: { nextAttemptAt: new Date() } });
+    reply.status = 200;
+    expect(await deliverDue()).toBe(1);
+    expect((await request(app).get(`/webhooks/${id}/deliveries`)).body[0]).toMatchObject({ status: 'succeeded', attempts: 2 });
+  });
+
+  it('watchlist.completed fires when an item reaches completed', async () => {
+    await register(['watchlist.completed']);
+    const animeId = await create('/anime', ANIME);
+    const userId = await create('/users', USER);
+    const itemId = await create('/watchlists', { userId, kind: 'anime', refId: animeId });
+    await request(app).post(`/watchlists/${itemId}/progress`).send({ by: 64 });
+    await deliverDue();
+    expect(received.map((r) => JSON.parse(r.body).type)).toEqual(['watchlist.completed']);
+    expect(JSON.parse(received[0].body).data.object).toMatchObject({ status: 'completed', progress: 64 });
+  });
+
+  it('POST /webhooks/:id/test -> pings once and logs the delivery', async () => {
+    const { id } = await register(['anime.created']);
+    const r = await request(app).post(`/webhooks/${id}/test`);
+    expect(r.status).toBe(200);
+    expect(r.body).toMatchObject({ status: 'succeeded', event: { type: 'ping' } });
+    expect(received[0].headers['x-webhook-event']).toBe('ping');
+
+    reply.status = 500;
+    expect((await request(app).post(`/webhooks/${id}/test`)).body).toMatchObject({ status: 'failed', attempts: 1 });
+    expect((await request(app).get(`/webhooks/${id}/deliveries?event=ping`)).body).toHaveLength(2);
+    expect((await request(app).post(`/webhooks/${MISSING_ID}/test`)).status).toBe(404);
+  });
+
+  it('deactivated or trashed webhooks get no new deliveries', async () => {
+    const { id } = await register(['*']);
+    await request(app).patch(`/webhooks/${id}`).send({ active: false });
+    await create('/anime', ANIME);
+    expect(await db.collection('webhookDeliveries').countDocuments()).toBe(0);
+
+    await request(app).patch(`/webhooks/${id}`).send({ active: true });
+    expect((await request(app).delete(`/webhooks/${id}`)).status).toBe(204);
+    await create('/manga', MANGA);
+    expect(await db.collection('webhookDeliveries').countDocuments()).toBe(0);
+  });
+});
+
+describe('GraphQL', () => {
+  const gql = (query, variables) => request(app).post('/graphql').send({ query, variables });
+
+  it('resolves watch items with their titles and owners', async () => {
+    const userId = await create('/users', USER);
+    const animeId = await create('/anime', ANIME);
+    const mangaId = await create('/manga', MANGA);
+    await create('/watchlists', { userId, kind: 'anime', refId: animeId, status: 'watching', progress: 3 });
+    await create('/watchlists', { userId, kind: 'manga', refId: mangaId });
+
+    const r = await gql(`{
+      watchItems(sort: "kind") {
+        kind status progress
+        title { __typename ... on Anime { title episodes } ... on Manga { title chapters } }
+        user { displayName }
+      }
+    }`);
+    expect(r.status).toBe(200);
+    expect(r.body.errors).toBeUndefined();
+    expect(r.body.data.watchItems).toEqual([
+      { kind: 'anime', status: 'watching', progress: 3, title: { __typename: 'Anime', title: ANIME.title, episodes: 64 }, user: { displayName: USER.displayName } },
+      { kind: 'manga', status: 'planned', progress: 0, title: { __typename: 'Manga', title: MANGA.title, chapters: 162 }, user: { displayName: USER.displayName } }
+    ]);
+  });
+
+  it('lists with the REST filters and fetches by id', async () => {
+    const id = await create('/anime', ANIME);
+    await create('/anime', { ...ANIME, title: 'Cowboy Bebop', releaseYear: 1998 });
+
+    const list = await gql('{ animeList(filter: "releaseYear[gte]=2000") { id title } }');
+    expect(list.body.data.animeList).toEqual([{ id, title: ANIME.title }]);
+
+    const one = await gql('query ($id: ID!) { anime(id: $id) { title createdAt } }', { id });
+    expect(one.body.data.anime.title).toBe(ANIME.title);
+    expect((await gql(`{ anime(id: "${MISSING_ID}") { title } }`)).body.data.anime).toBeNull();
+
+    expect((await request(app).get('/graphql').query({ query: '{ mangaList { id } }' })).body.data.mangaList).toEqual([]);
+  });
+
+  it('creates, updates and deletes through the resource rules', async () => {
+    const created = await gql('mutation ($input: AnimeInput!) { createAnime(input: $input) { id title rating } }', { input: ANIME });
+    expect(created.body.data.createAnime).toMatchObject({ title: ANIME.title, rating: 9.1 });
+    const { id } = created.body.data.createAnime;
+
+    const updated = await gql(`mutation { updateAnime(id: "${id}", input: { rating: 9.3 }) { rating episodes } }`);
+    expect(updated.body.data.updateAnime).toEqual({ rating: 9.3, episodes: 64 });
+
+    expect((await gql(`mutation { deleteAnime(id: "${id}") }`)).body.data.deleteAnime).toBe(true);
+    expect((await request(app).get(`/anime/${id}`)).status).toBe(404);
+
+    const audit = await request(app).get(`/audit?resourceId=${id}`);
+    expect(audit.body.map((e) => e.action)).toEqual(['delete', 'patch', 'create']);
+  });
+
+  it('reports validation errors with the REST status', async () => {
+    const r = await gql('mutation { createAnime(input: { title: "", genres: [], releaseYear: 2000, status: "finished" }) { id } }');
+    expect(r.status).toBe(200);
+    expect(r.body.data).toBeNull();
+    expect(r.body.errors[0].extensions).toMatchObject({ status: 400, type: '/problems/validation-error' });
+    expect(r.body.errors[0].extensions.errors.fieldErrors.title).toBeDefined();
+  });
+
+  it('rejects bad documents, GET mutations and non-JSON bodies', async () => {
+    expect((await gql('{ animeList { nope } }')).status).toBe(400);
+    expect((await gql('{ animeList ')).status).toBe(400);
+    expect((await request(app).post('/graphql').send({})).status).toBe(400);
+    expect((await request(app).get('/graphql').query({ query: 'mutation { deleteAnime(id: "x") }' })).status).toBe(405);
+    expect((await request(app).post('/graphql').type('text/plain').send('{ animeList { id } }')).status).toBe(415);
+    expect((await request(app).get('/graphql/schema')).text).toContain('type WatchItem');
+  });
+
+  it('rejects operations over the depth and field limits before resolving anything', async () => {
+    // Nothing in today's schema nests past three levels, so anything deeper is also made-up fields
+    const deep = await gql(`{ watchItems { user { ${'a { '.repeat(MAX_DEPTH - 2)}b${' }'.repeat(MAX_DEPTH - 2)} } } }`);
+    expect(deep.status).toBe(400);
+    expect(deep.body.errors.map((e) => e.message)).toContain(`Operation is nested ${MAX_DEPTH + 1} levels deep; the limit is ${MAX_DEPTH}`);
+
+    const aliases = Array.from({ length: MAX_FIELDS / 2 }, (_, i) => `a${i}: animeList { id }`).join(' ');
+    expect((await gql(`{ ${aliases} }`)).status).toBe(200);
+    const wide = await gql(`fragment F on Anime { id title } { ${aliases.replaceAll('{ id }', '{ ...F }')} }`);
+    expect(wide.status).toBe(400);
+    expect(wide.body.errors[0].message).toBe(`Operation selects ${MAX_FIELDS * 3 / 2} fields; the limit is ${MAX_FIELDS}`);
+
+    expect((await gql('{ __schema { types { fields { type { ofType { ofType { ofType { name } } } } } } } }')).status).toBe(200);
+  });
+});
+
+describe('Change feed (GET /events)', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  /** Open the stream; `next(n)` resolves with the first `n` frames (blank-line separated, retry line skipped). */
+  const follow = (path, headers = {}) => new Promise((resolve, reject) => {
+    const req = get({ host: '127.0.0.1', port, path, headers }, (res) => {
+      let text = '';
+      const waiting = [];
+      const frames = () => text.split('\n\n').slice(0, -1).filter((f) => !f.startsWith('retry:'));
+      const check = () => waiting.splice(0).forEach((w) => (frames().length >= w.n ? w.resolve(frames().slice(0, w.n)) : waiting.push(w)));
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; check(); });
+      resolve({
+        status: res.statusCode,
+        type: res.headers['content-type'],
+        next: (n) => new Promise((done) => { waiting.push({ n, resolve: done }); check(); }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+
+  const parse = (frame) => Object.fromEntries(frame.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+
+  it('streams creates, updates and trash moves of anime and manga', async () => {
+    const feed = await follow('/events');
+    expect(feed.status).toBe(200);
+    expect(feed.type).toMatch(/^text\/event-stream/);
+
+    const animeId = await create('/anime', ANIME);
+    await request(app).patch(`/anime/${animeId}`).send({ episodes: 65 });
+    await create('/users', USER); // not in the feed
+    await request(app).delete(`/anime/${animeId}`);
+    await request(app).post(`/anime/${animeId}/restore`);
+    const frames = (await feed.next(4)).map(parse);
+    feed.close();
+
+    expect(frames.map((f) => JSON.parse(f.data))).toMatchObject([
+      { collection: 'anime', operation: 'create', documentId: animeId },
+      { collection: 'anime', operation: 'update', documentId: animeId },
+      { collection: 'anime', operation: 'delete', documentId: animeId },
+      { collection: 'anime', operation: 'create', documentId: animeId }
+    ]);
+    expect(frames.every((f) => /^[0-9a-f]{24}$/.test(f.id))).toBe(true);
+  });
+
+  it('?collection= narrows the feed; a rolled-back write is never sent', async () => {
+    const feed = await follow('/events?collection=manga');
+    await create('/anime', ANIME);
+    expect((await request(app).post('/manga').send({ ...MANGA, chapters: 'many' })).status).toBe(400);
+    const mangaId = await create('/manga', MANGA);
+    const [frame] = await feed.next(1);
+    feed.close();
+    expect(JSON.parse(parse(frame).data)).toMatchObject({ collection: 'manga', operation: 'create', documentId: mangaId });
+  });
+
+  it('Last-Event-ID resumes right after that event; an unknown one sends a reset', async () => {
+    const feed = await follow('/events');
+    await create('/anime', ANIME);
+    const [first] = await feed.next(1);
+    feed.close();
+    const mangaId = await create('/manga', MANGA); // missed while disconnected
+
+    const resumed = await follow('/events', { 'Last-Event-ID': parse(first).id });
+    const [missed] = await resumed.next(1);
+    resumed.close();
+    expect(JSON.parse(parse(missed).data)).toMatchObject({ collection: 'manga', documentId: mangaId });
+
+    const stale = await follow('/events', { 'Last-Event-ID': MISSING_ID });
+    const [reset] = await stale.next(1);
+    stale.close();
+    expect(parse(reset)).toEqual({ id: '', event: 'reset', data: '{}' });
+  });
+
+  it('watchlist items are followed with ?collection=watchlists or ?mine=true', async () => {
+    const animeId = await create('/anime', ANIME);
+    await db.collection('users').insertMany([
+      { email: 'a@example.com', displayName: 'A', role: 'user', sub: 'auth0|a' },
+      { email: 'b@example.com', displayName: 'B', role: 'user', sub: 'auth0|b' }
+    ]);
+    const [a, b] = await db.collection('users').find().sort({ _id: 1 }).toArray();
+    const mine = await follow('/events?mine=true', { 'X-Debug-User': 'auth0|a' });
+    await create('/watchlists', { userId: String(b._id), kind: 'anime', refId: animeId });
+    const ownId = await create('/watchlists', { userId: String(a._id), kind: 'anime', refId: animeId });
+    const [frame] = await mine.next(1);
+    mine.close();
+    expect(JSON.parse(parse(frame).data)).toMatchObject({ collection: 'watchlists', documentId: ownId, userId: String(a._id) });
+
+    expect((await request(app).get('/events?collection=anime&mine=true')).status).toBe(400);
+  });
+
+  it('turns away streams beyond EVENTS_MAX_SUBSCRIBERS with a 503 and Retry-After', async () => {
+    vi.stubEnv('EVENTS_MAX_SUBSCRIBERS', '1');
+    try {
+      const feed = await follow('/events');
+      const refused = await request(app).get('/events');
+      expect(refused.status).toBe(503);
+      expect(refused.headers['retry-after']).toBe('3');
+      feed.close();
+
+      // The slot frees up once the server notices the first stream closed
+      await vi.waitFor(async () => {
+        const again = await follow('/events');
+        again.close();
+        expect(again.status).toBe(200);
+      });
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
+
+describe('Rate limit store (MongoDB)', () => {
+  beforeEach(async () => {
+    await db.collection('rateLimits').deleteMany({});
+  });
+
+  it('counts every hit in a window, even concurrent first hits', async () => {
+    const store = createMongoStore();
+    const counts = await Promise.all(Array.from({ length: 5 }, () => store.increment('/anime:write:ip:1.2.3.4', 60_000)));
+    expect(counts.map((c) => c.count).sort()).toEqual([1, 2, 3, 4, 5]);
+    expect((await store.increment('/anime:write:ip:5.6.7.8', 60_000)).count).toBe(1);
+  });
+
+  it('stores windows with an expiry the TTL index removes', async () => {
+    const { resetAt } = await createMongoStore().increment('/search:read:sub:auth0|x', 60_000);
+    const [doc] = await db.collection('rateLimits').find().toArray();
+    expect(doc.expiresAt.getTime()).toBe(resetAt);
+    const indexes = await db.collection('rateLimits').indexes();
+    expect(indexes.find((i) => i.name === 'rate_limit_expiry')).toMatchObject({ expireAfterSeconds: 0 });
+  });
+});
@@ -1,9 +1,20 @@
 // tests/api.get.test.js
-import { describe, it, expect } from 'vitest';
+import { afterAll, beforeAll, describe, it, expect } from 'vitest';
 import request from 'supertest';
+import { startTestApp } from './helpers/testApp.js';
 
-// Default to your local port 8045; can override with TEST_BASE env
-const BASE = process.env.TEST_BASE || 'http://localhost:8045';
+// In-process against an in-memory MongoDB by default; set TEST_BASE
+// (npm run test:local / test:render) to hit a running server instead
+let BASE = process.env.TEST_BASE;
+let stop;
+
+beforeAll(async () => {
+  if (!BASE) ({ app: BASE, stop } = await startTestApp());
+});
+
+afterAll(async () => {
+  await stop?.();
+});
 
 // Well-formed (likely) nonexistent ObjectIds for 404/400 checks
 const BAD_IDS = [
@@ -0,0 +1,160 @@
+// tests/cache.test.js
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { createLruStore, invalidateCached } from '../src/middleware/cache.js';
+
+// No database needed: /healthz stands in for a cached route group
+const MINUTE = 60_000;
+const GROUPS = { '/healthz': { ttlMs: MINUTE, maxAge: 30 } };
+
+const appWith = ({ groups = GROUPS, store = createLruStore() } = {}) =>
+  createApp({ auth: false, cache: { groups, store } });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('response cache', () => {
+  it('answers a repeated read from the cache with the same body and ETag', async () => {
+    const app = appWith();
+    const first = await request(app).get('/healthz');
+    expect(first.status).toBe(200);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(first.headers['cache-control']).toBe('public, max-age=30');
+
+    const second = await request(app).get('/healthz');
+    expect(second.status).toBe(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.headers['cache-control']).toBe('public, max-age=30');
+    expect(second.headers['content-type']).toMatch(/application\/json/);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(second.body).toEqual(first.body);
+
+    const revalidated = await request(app).get('/healthz').set('If-None-Match', first.headers.etag);
+    expect(revalidated.status).toBe(304);
+    expect(revalidated.headers['x-cache']).toBe('HIT');
+  });
+
+  it('keys entries on the query string regardless of parameter order', async () => {
+    const app = appWith();
+    expect((await request(app).get('/healthz?a=1&b=2')).headers['x-cache']).toBe('MISS');
+    expect((await request(app).get('/healthz?b=2&a=1')).headers['x-cache']).toBe('HIT');
+    expect((await request(app).get('/healthz?a=2&b=2')).headers['x-cache']).toBe('MISS');
+  });
+
+  it('never caches trash reads or routes outside the configured groups', async () => {
+    const app = appWith();
+    for (let i = 0; i < 2; i += 1) {
+      expect((await request(app).get('/healthz?includeDeleted=true')).headers['x-cache']).toBeUndefined();
+      expect((await request(app).get('/')).headers['x-cache']).toBeUndefined();
+    }
+  });
+
+  it('drops entries once a write to a collection they depend on commits', async () => {
+    const app = appWith({ groups: { '/healthz': { ttlMs: MINUTE, collections: ['anime'] } } });
+    await request(app).get('/healthz');
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('HIT');
+
+    invalidateCached(['manga']);
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('HIT');
+
+    invalidateCached(['anime']); // no session: applied straight away
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('MISS');
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('HIT');
+  });
+
+  it('expires entries after ttlMs', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    const app = appWith();
+    await request(app).get('/healthz');
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('HIT');
+    vi.setSystemTime(new Date('2025-01-01T00:01:00Z'));
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('MISS');
+  });
+
+  it('keeps private groups per caller and skips anonymous callers', async () => {
+    const app = appWith({ groups: { '/healthz': { ttlMs: MINUTE, private: true } } });
+    const as = (sub) => request(app).get('/healthz').set('X-Debug-User', sub);
+
+    const first = await as('auth0|alice');
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(first.headers['cache-control']).toBe('private, no-cache');
+    expect((await as('auth0|alice')).headers['x-cache']).toBe('HIT');
+    expect((await as('auth0|bob')).headers['x-cache']).toBe('MISS');
+
+    for (let i = 0; i < 2; i += 1) expect((await request(app).get('/healthz')).headers['x-cache']).toBeUndefined();
+  });
+
+  it('serves reads uncached when the store fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = { ...createLruStore(), get: async () => { throw new Error('store down'); } };
+    const app = appWith({ store });
+    for (let i = 0; i < 2; i += 1) expect((await request(app).get('/healthz')).status).toBe(200);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('LRU store', () => {
+  it('evicts the least recently read entry beyond maxEntries', async () => {
+    const store = createLruStore({ maxEntries: 2 });
+    await store.set('a', 1, { ttlMs: MINUTE });
+    await store.set('b', 2, { ttlMs: MINUTE });
+    expect(await store.get('a')).toBe(1); // b is now the oldest
+    await store.set('c', 3, { ttlMs: MINUTE });
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBe(1);
+    expect(await store.size()).toBe(2);
+  });
+
+  it('invalidates by tag', async () => {
+    const store = createLruStore();
+    await store.set('a', 1, { ttlMs: MINUTE, tags: ['anime'] });
+    await store.set('b', 2, { ttlMs: MINUTE, tags: ['manga', 'users'] });
+    await store.invalidate('users');
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+  });
+});
+
+describe('/admin/cache', () => {
+  it('reports hits and misses and flushes on DELETE', async () => {
+    const app = appWith();
+    await request(app).get('/healthz');
+    await request(app).get('/healthz');
+
+    const stats = await request(app).get('/admin/cache');
+    expect(stats.status).toBe(200);
+    expect(stats.headers['cache-control']).toBe('no-store');
+    expect(stats.body).toMatchObject({
+      hits: 1,
+      misses: 1,
+      stored: 1,
+      hitRate: 0.5,
+      entries: 1,
+      groups: { '/healthz': { ttlMs: MINUTE, private: false, collections: ['healthz'] } }
+    });
+
+    expect((await request(app).delete('/admin/cache')).status).toBe(204);
+    expect((await request(app).get('/admin/cache')).body.entries).toBe(0);
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('MISS');
+  });
+
+  it('flushes a single collection', async () => {
+    const app = appWith();
+    await request(app).get('/healthz');
+    expect((await request(app).delete('/admin/cache?collection=anime')).status).toBe(204);
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('HIT');
+    expect((await request(app).delete('/admin/cache?collection=healthz')).status).toBe(204);
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBe('MISS');
+    expect((await request(app).delete('/admin/cache?scope=all')).status).toBe(400);
+  });
+
+  it('is 404 when caching is off', async () => {
+    const app = createApp({ auth: false });
+    expect((await request(app).get('/admin/cache')).status).toBe(404);
+    expect((await request(app).get('/healthz')).headers['x-cache']).toBeUndefined();
+  });
+});
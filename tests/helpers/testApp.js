@@ -0,0 +1,62 @@
+// tests/helpers/testApp.js
+import { createHmac } from 'node:crypto';
+import { MongoClient, ServerApiVersion } from 'mongodb';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { connectToDb } from '../../src/db/connect.js';
+import { createApp } from '../../src/app.js';
+
+/** Auth settings for suites that exercise the guards (HS256, so no JWKS fetch). */
+export const TEST_AUTH = {
+  audience: 'https://anime-api.test',
+  issuer: 'https://issuer.test/',
+  secret: 'test-secret-that-is-long-enough-for-hs256',
+  tokenSigningAlg: 'HS256'
+};
+
+const ROLE_CLAIM = process.env.AUTH_ROLE_CLAIM || 'https://example.com/roles';
+
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+/**
+ * Sign an access token TEST_AUTH accepts (no role claim unless `roles` is given).
+ * @param {{ sub?: string, scope?: string, roles?: string[] }} claims
+ */
+export const signToken = ({ sub = 'auth0|tester', scope = '', roles, ...rest } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const head = b64url({ alg: 'HS256', typ: 'JWT' });
+  const body = b64url({
+    iss: TEST_AUTH.issuer,
+    aud: TEST_AUTH.audience,
+    iat: now,
+    exp: now + 300,
+    sub,
+    scope,
+    ...(roles ? { [ROLE_CLAIM]: roles } : {}),
+    ...rest
+  });
+  const sig = createHmac('sha256', TEST_AUTH.secret).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+};
+
+/**
+ * Start an in-memory mongod, connect the app's db layer to it and build the app.
+ * @param {{ auth?: false | object }} [options]  forwarded to createApp (default: auth off)
+ * @returns {Promise<{ app: import('express').Express, db: import('mongodb').Db, stop: () => Promise<void> }>}
+ */
+export const startTestApp = async ({ auth = false } = {}) => {
+  const mongod = await MongoMemoryServer.create();
+  // Same Stable API settings as production, so strict-mode gaps show up here too
+  const client = new MongoClient(mongod.getUri(), {
+    serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true }
+  });
+  const db = await connectToDb(undefined, 'anime_manga_test', { client });
+  const app = createApp({ db, auth });
+  return {
+    app,
+    db,
+    stop: async () => {
+      await client.close();
+      await mongod.stop();
+    }
+  };
+};
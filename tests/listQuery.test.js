@@ -0,0 +1,42 @@
+// tests/listQuery.test.js
+import { describe, it, expect } from 'vitest';
+import { setPageHeaders } from '../src/utils/listQuery.js';
+
+// Plain objects stand in for the Express request and response — no app or database needed
+const headersFor = (query, info) => {
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+  setPageHeaders({ baseUrl: '/anime', path: '/', query }, res, info);
+  return headers;
+};
+
+describe('setPageHeaders', () => {
+  it('links every page, keeping the other query parameters', () => {
+    const headers = headersFor({ page: '2', limit: '10', sort: '-rating' }, { total: 35, page: 2, limit: 10 });
+    expect(headers['X-Total-Count']).toBe('35');
+    expect(headers.Link.split(', ')).toEqual([
+      '</anime?limit=10&sort=-rating&page=1>; rel="first"',
+      '</anime?limit=10&sort=-rating&page=1>; rel="prev"',
+      '</anime?limit=10&sort=-rating&page=3>; rel="next"',
+      '</anime?limit=10&sort=-rating&page=4>; rel="last"'
+    ]);
+  });
+
+  it('stops the last link at maxPage', () => {
+    const { Link } = headersFor({}, { total: 1000, page: 1, limit: 10, maxPage: 50 });
+    expect(Link).toContain('</anime?page=50&limit=10>; rel="last"');
+  });
+
+  it('keeps every value of a repeated parameter', () => {
+    const { Link } = headersFor({ genre: ['Action', 'Drama'] }, { total: 25, page: 1, limit: 20 });
+    expect(Link).toContain('</anime?genre=Action&genre=Drama&page=2&limit=20>; rel="next"');
+  });
+
+  it('cursor paging only links the next page', () => {
+    const { Link } = headersFor(
+      { after: '665f6a0f2c3d4b1a9f0a1234' },
+      { total: 50, page: 1, limit: 20, after: '665f6a0f2c3d4b1a9f0a1234', nextAfter: '665f6a0f2c3d4b1a9f0a1299' }
+    );
+    expect(Link).toBe('</anime?after=665f6a0f2c3d4b1a9f0a1299&limit=20>; rel="next"');
+  });
+});
@@ -0,0 +1,157 @@
+// tests/openapi.test.js
+import { beforeAll, describe, it, expect } from 'vitest';
+import request from 'supertest';
+import { z } from 'zod';
+import { createApp } from '../src/app.js';
+import animeRouter from '../src/routes/anime.js';
+import mangaRouter from '../src/routes/manga.js';
+import usersRouter from '../src/routes/users.js';
+import watchlistsRouter, { ProgressSchema } from '../src/routes/watchlists.js';
+import webhooksRouter from '../src/routes/webhooks.js';
+import { parseReviewList, ReviewSchema, ReviewServerFields } from '../src/routes/reviews.js';
+import { EventsQuerySchema } from '../src/routes/events.js';
+import { parseMyWatchlist } from '../src/routes/me.js';
+import { parseAuditList } from '../src/db/audit.js';
+import { RelationSchema } from '../src/db/relations.js';
+import { schemaVariants, toOpenApi } from '../src/utils/openapi.js';
+
+// The served spec against the Zod validators — no database needed
+const RESOURCES = [animeRouter, mangaRouter, usersRouter, watchlistsRouter, webhooksRouter].map((r) => r.resource);
+
+let spec;
+
+beforeAll(async () => {
+  const res = await request(createApp({ auth: false })).get('/swagger.json');
+  expect(res.status).toBe(200);
+  spec = res.body;
+});
+
+const deref = (p) => (p.$ref ? spec.components.parameters[p.$ref.split('/').pop()] : p);
+
+/** A value a parameter's documented schema allows. */
+const sampleFor = ({ example, schema }) => {
+  if (example !== undefined) return String(example);
+  if (schema.enum) return schema.enum[0];
+  if (schema.pattern) return '665f6a0f2c3d4b1a9f0a1234';
+  if (schema.format === 'date-time') return '2025-01-01T00:00:00Z';
+  if (schema.type === 'integer' || schema.type === 'number') return String(schema.minimum ?? 1);
+  return 'x';
+};
+
+/** Query keys a createListQuery parser takes, with the values it allows for enum-typed ones (else null). */
+const acceptedValues = (parse) => {
+  const unwrap = (t) => (t instanceof z.ZodOptional || t instanceof z.ZodDefault ? unwrap(t._def.innerType) : t);
+  let obj = parse.schema;
+  while (obj instanceof z.ZodEffects) obj = obj.innerType();
+  return Object.fromEntries(Object.entries(obj.shape).map(([name, t]) => [name, unwrap(t) instanceof z.ZodEnum ? unwrap(t).options : null]));
+};
+
+/** Every documented value parses, and every query key (and enum value) the parser takes is documented. */
+const expectDocumentedExactly = (documented, parse) => {
+  const params = documented.map(deref);
+  for (const param of params) {
+    for (const value of param.schema.enum ?? [sampleFor(param)]) {
+      expect(() => parse({ [param.name]: value }), `${param.name}=${value}`).not.toThrow();
+    }
+  }
+  for (const [name, accepted] of Object.entries(acceptedValues(parse))) {
+    const param = params.find((p) => p.name === name);
+    expect(param, name).toBeDefined();
+    if (accepted) expect(param.schema.enum, name).toEqual(accepted);
+  }
+};
+
+describe('GET /swagger.json matches the validators', () => {
+  it.each(RESOURCES.map((r) => [r.name, r]))('%s: component schemas are generated from its Zod schema', (_name, r) => {
+    const { schema, computed, docs, expand } = r;
+    const expected = schemaVariants(docs.schema, schema, { computed, required: docs.required, expanded: expand?.properties });
+    for (const [key, json] of Object.entries(expected)) {
+      expect(spec.components.schemas[key], key).toEqual(json);
+    }
+  });
+
+  it('review, relation and progress schemas are generated from their Zod schemas', () => {
+    const expected = {
+      ...schemaVariants('Review', ReviewSchema, { computed: ReviewServerFields }),
+      RelationCreate: toOpenApi(RelationSchema),
+      WatchProgress: toOpenApi(ProgressSchema)
+    };
+    for (const [key, json] of Object.entries(expected)) {
+      expect(spec.components.schemas[key], key).toEqual(json);
+    }
+  });
+
+  it.each(RESOURCES.map((r) => [r.name, r]))('%s: bodies use the Create/Update variants, responses the stored shape', (name, r) => {
+    const ref = (suffix) => ({ $ref: `#/components/schemas/${r.docs.schema}${suffix}` });
+    const item = spec.paths[`/${name}/{id}`];
+    expect(spec.paths[`/${name}`].post.requestBody.content['application/json'].schema).toEqual(ref('Create'));
+    expect(item.put.requestBody.content['application/json'].schema).toEqual(ref('Create'));
+    expect(item.patch.requestBody.content['application/merge-patch+json'].schema).toEqual(ref('Update'));
+    expect(item.get.responses[200].content['application/json'].schema).toEqual(ref(''));
+  });
+
+  it.each(RESOURCES.map((r) => [r.name, r]))('%s: the documented request example is valid', (name, r) => {
+    const { example } = spec.paths[`/${name}`].post.requestBody.content['application/json'];
+    expect(() => r.schema.parse(example)).not.toThrow();
+  });
+
+  it.each(RESOURCES.map((r) => [r.name, r]))('%s: every documented list parameter is accepted', (name, r) => {
+    for (const param of spec.paths[`/${name}`].get.parameters.map(deref)) {
+      expect(() => r.parseList({ [param.name]: sampleFor(param) }), param.name).not.toThrow();
+    }
+  });
+
+  it('watchlists document ?expand= on the list, the item and the WatchItem schema', () => {
+    const { parse } = watchlistsRouter.resource.expand;
+    for (const path of ['/watchlists', '/watchlists/{id}']) {
+      const params = spec.paths[path].get.parameters.map(deref);
+      for (const name of ['expand', 'fields']) {
+        const param = params.find((p) => p.name === name);
+        expect(param, `${path} ${name}`).toBeDefined();
+        expect(() => parse({ [name]: sampleFor(param) }), `${path} ${name}`).not.toThrow();
+      }
+    }
+    for (const member of spec.components.schemas.WatchItem.anyOf) {
+      expect(member.properties.ref).toMatchObject({ readOnly: true, nullable: true });
+      expect(member.properties.user).toMatchObject({ readOnly: true, nullable: true });
+    }
+    expect(parse({ expand: 'ref,user', fields: 'title,user.displayName' })).toHaveLength(6);
+    expect(() => parse({ expand: 'reviews' })).toThrow();
+  });
+
+  it('GET /audit documents exactly the parameters parseAuditList accepts', () => {
+    expectDocumentedExactly(spec.paths['/audit'].get.parameters, parseAuditList);
+  });
+
+  it.each(['anime', 'manga'])('GET /%s/{id}/reviews documents exactly the parameters parseReviewList accepts', (kind) => {
+    const params = spec.paths[`/${kind}/{id}/reviews`].get.parameters.filter((p) => p.in !== 'path');
+    expectDocumentedExactly(params, parseReviewList);
+  });
+
+  it('GET /me/watchlist documents the GET /watchlists parameters it accepts', () => {
+    const params = spec.paths['/me/watchlist'].get.parameters.map(deref);
+    const list = spec.paths['/watchlists'].get.parameters.map(deref);
+    expect(params.map((p) => p.name)).toEqual(list.map((p) => p.name).filter((n) => !['userId', 'includeDeleted'].includes(n)));
+    for (const param of params) {
+      expect(() => parseMyWatchlist({ [param.name]: sampleFor(param) }), param.name).not.toThrow();
+    }
+    expect(() => parseMyWatchlist({ sort: '-progress' })).not.toThrow();
+    expect(() => parseMyWatchlist({ userId: '665f6a0f2c3d4b1a9f0a1234' })).toThrow();
+  });
+
+  it('every documented GET /events query parameter is accepted', () => {
+    for (const param of spec.paths['/events'].get.parameters.map(deref).filter((p) => p.in === 'query')) {
+      for (const value of param.schema.enum ?? [sampleFor(param)]) {
+        expect(() => EventsQuerySchema.parse({ [param.name]: value }), `${param.name}=${value}`).not.toThrow();
+      }
+    }
+  });
+
+  it('documents each input field the validators read, and no others', () => {
+    const fieldsOf = (json) => (json.anyOf ?? [json]).flatMap((m) => Object.keys(m.properties)).sort();
+    const shapeOf = (schema) => (schema.options ?? [schema]).flatMap((o) => Object.keys(o.shape)).sort();
+    for (const r of RESOURCES) {
+      expect(fieldsOf(spec.components.schemas[`${r.docs.schema}Create`]), r.name).toEqual(shapeOf(r.schema));
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// tests/rateLimit.test.js
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { createMemoryStore } from '../src/middleware/rateLimit.js';
+import { signToken, TEST_AUTH } from './helpers/testApp.js';
+
+// No database needed: /healthz and unknown routes stand in for a limited route group
+const MINUTE = 60_000;
+const GROUPS = { '/healthz': { windowMs: MINUTE, read: 2, write: 1 }, '/healthz/deep': { windowMs: MINUTE, read: 1 } };
+
+const appWith = ({ auth = false, groups = GROUPS, store = createMemoryStore() } = {}) =>
+  createApp({ auth, rateLimit: { groups, store } });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('rate limits', () => {
+  it('counts reads per window and answers 429 with Retry-After once the budget is spent', async () => {
+    const app = appWith();
+    const first = await request(app).get('/healthz');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    const second = await request(app).get('/healthz');
+    expect(second.status).toBe(200);
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+
+    const res = await request(app).get('/healthz');
+    expect(res.status).toBe(429);
+    expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.headers['retry-after']).toBe(res.headers['ratelimit-reset']);
+    expect(res.body).toMatchObject({ status: 429, title: 'Too Many Requests' });
+  });
+
+  it('keeps separate budgets for reads and writes', async () => {
+    const app = appWith();
+    expect((await request(app).post('/healthz')).status).toBe(404); // counted, then no such route
+    expect((await request(app).post('/healthz')).status).toBe(429);
+    expect((await request(app).get('/healthz')).status).toBe(200);
+  });
+
+  it('starts a fresh budget in the next window', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T00:00:10Z'));
+    const app = appWith();
+    expect((await request(app).post('/healthz')).status).toBe(404);
+    expect((await request(app).post('/healthz')).status).toBe(429);
+    vi.setSystemTime(new Date('2025-01-01T00:01:00Z'));
+    expect((await request(app).post('/healthz')).status).toBe(404);
+  });
+
+  it('uses the longest matching group and leaves other paths alone', async () => {
+    const app = appWith();
+    expect((await request(app).get('/healthz/deep')).status).toBe(404);
+    const res = await request(app).get('/healthz/deep');
+    expect(res.status).toBe(429);
+    expect(res.headers['ratelimit-limit']).toBe('1');
+
+    const other = await request(app).get('/');
+    expect(other.status).toBe(200);
+    expect(other.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  it('counts anonymous callers by IP, trusting one proxy hop', async () => {
+    const app = appWith();
+    const from = (ip) => request(app).post('/healthz').set('X-Forwarded-For', ip);
+    expect((await from('203.0.113.1')).status).toBe(404);
+    expect((await from('203.0.113.1')).status).toBe(429);
+    expect((await from('203.0.113.2')).status).toBe(404);
+    // Only the hop the proxy appended counts, so a spoofed left-most entry doesn't buy a new budget
+    expect((await from('198.51.100.7, 203.0.113.1')).status).toBe(429);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = { increment: async () => { throw new Error('store down'); } };
+    const app = appWith({ store });
+    for (let i = 0; i < 3; i += 1) expect((await request(app).get('/healthz')).status).toBe(200);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('rate limits with JWT validation on', () => {
+  const bearer = (sub) => `Bearer ${signToken({ sub })}`;
+
+  it('counts authenticated callers by subject, not IP', async () => {
+    const app = appWith({ auth: TEST_AUTH });
+    expect((await request(app).post('/healthz').set('Authorization', bearer('auth0|alice'))).status).toBe(404);
+    expect((await request(app).post('/healthz').set('Authorization', bearer('auth0|alice'))).status).toBe(429);
+    expect((await request(app).post('/healthz').set('Authorization', bearer('auth0|bob'))).status).toBe(404);
+    expect((await request(app).post('/healthz')).status).toBe(404); // anonymous, same IP: its own budget
+  });
+
+  it('treats an invalid token as anonymous instead of rejecting it', async () => {
+    const app = appWith({ auth: TEST_AUTH });
+    expect((await request(app).get('/healthz').set('Authorization', 'Bearer not-a-jwt')).status).toBe(200);
+    expect((await request(app).get('/healthz')).status).toBe(200);
+    expect((await request(app).get('/healthz').set('Authorization', 'Bearer forged.token.here')).status).toBe(429);
+  });
+});